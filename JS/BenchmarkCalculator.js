@@ -0,0 +1,110 @@
+/**
+ * Benchmark Calculator Module
+ * Compares a household's monthly spending with typical spending for its
+ * size and region, and classifies it as below, at or above typical
+ */
+
+export class BenchmarkCalculator {
+    constructor(options = {}) {
+        // Typical monthly spending per region and household size (last size applies to larger households)
+        this.regions = {
+            general: {
+                name: 'General',
+                tolerance: 0.15,
+                households: [
+                    { size: 1, cleaning: 25, water: 15 },
+                    { size: 2, cleaning: 40, water: 25 },
+                    { size: 3, cleaning: 55, water: 35 },
+                    { size: 4, cleaning: 70, water: 45 },
+                    { size: 5, cleaning: 85, water: 55 }
+                ]
+            }
+        };
+
+        this.defaultRegion = 'general';
+
+        if (options.regions) {
+            this.setRegions(options.regions);
+        }
+    }
+
+    /**
+     * Replace or add benchmark regions
+     * @param {Object} regions - { regionKey: { name, tolerance, households: [{ size, cleaning, water }] } }
+     */
+    setRegions(regions = {}) {
+        Object.entries(regions).forEach(([key, region]) => {
+            this.regions[key] = {
+                ...region,
+                households: [...region.households].sort((a, b) => a.size - b.size)
+            };
+        });
+
+        console.log('📏 Benchmark regions:', Object.keys(this.regions).join(', '));
+    }
+
+    /**
+     * Get available regions for selection
+     * @returns {Array<Object>} [{ key, name }]
+     */
+    getRegions() {
+        return Object.entries(this.regions).map(([key, region]) => ({ key, name: region.name || key }));
+    }
+
+    /**
+     * Typical monthly spending for a household
+     * @param {string} regionKey - Region key (falls back to the default region)
+     * @param {number} householdSize - Number of people
+     * @returns {Object} { region, regionName, size, cleaning, water, total, tolerance }
+     */
+    getTypical(regionKey, householdSize) {
+        const key = this.regions[regionKey] ? regionKey : this.defaultRegion;
+        const region = this.regions[key] || Object.values(this.regions)[0];
+        const size = Math.max(1, Math.floor(Number(householdSize) || 1));
+
+        // Largest entry that does not exceed the household size
+        const entry = region.households.filter(h => h.size <= size).pop() || region.households[0];
+
+        return {
+            region: key,
+            regionName: region.name || key,
+            size,
+            cleaning: entry.cleaning,
+            water: entry.water,
+            total: entry.cleaning + entry.water,
+            tolerance: Number.isFinite(region.tolerance) ? region.tolerance : 0.15
+        };
+    }
+
+    /**
+     * Classify monthly spending against the typical value
+     * @param {Object} params - { monthlyTotal, householdSize, region }
+     * @returns {Object} { level: 'below'|'at'|'above', typical, monthlyTotal, differencePercent }
+     */
+    classify(params = {}) {
+        const typical = this.getTypical(params.region, params.householdSize);
+        const monthlyTotal = Number(params.monthlyTotal) || 0;
+        const ratio = typical.total > 0 ? monthlyTotal / typical.total : 1;
+
+        let level = 'at';
+        if (ratio > 1 + typical.tolerance) {
+            level = 'above';
+        } else if (ratio < 1 - typical.tolerance) {
+            level = 'below';
+        }
+
+        return {
+            level,
+            typical,
+            monthlyTotal,
+            differencePercent: Math.round((ratio - 1) * 100)
+        };
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BenchmarkCalculator };
+} else if (typeof window !== 'undefined') {
+    window.BenchmarkCalculator = BenchmarkCalculator;
+}
@@ -9,6 +9,7 @@ export class CalculatorModule {
     constructor() {
         this.isInitialized = false;
         this.cacheManager = null; // Will be injected by main app
+        this.moneyFormatter = null; // Will be injected by main app (MoneyFormatter)
         
         // Product data - prices in USD per month
         this.productData = {
@@ -40,6 +41,12 @@ export class CalculatorModule {
             warrantyYears: 10 // Warranty period
         };
         
+        // Annual inflation rates used by the multi-year projection
+        this.inflationRates = {
+            cleaning: 0.03,
+            water: 0.03
+        };
+        
         // Calculation history
         this.calculationHistory = [];
         this.currentCalculation = null;
@@ -266,6 +273,72 @@ export class CalculatorModule {
         return projections;
     }
 
+    /**
+     * Set annual inflation rates for the multi-year projection
+     * @param {Object} rates - { cleaning, water } as fractions (0.05 = 5%)
+     */
+    setInflationRates(rates = {}) {
+        ['cleaning', 'water'].forEach(key => {
+            const rate = Number(rates[key]);
+            if (Number.isFinite(rate) && rate >= 0) {
+                this.inflationRates[key] = rate;
+            }
+        });
+        
+        console.log('📈 Inflation rates set:', this.inflationRates);
+    }
+
+    /**
+     * Year-by-year projection with separate inflation for cleaning and water.
+     * Year 1 uses today's prices; each following year applies the annual rate.
+     * @param {Object} params - { cleaningMonthly, waterMonthly, monthsPerYear, years }
+     * @returns {Object} { rows, nominalTotal, adjustedTotal, inflationCost, rates }
+     */
+    calculateInflationProjection(params = {}) {
+        const cleaningMonthly = Number(params.cleaningMonthly) || 0;
+        const waterMonthly = Number(params.waterMonthly) || 0;
+        const monthsPerYear = Number(params.monthsPerYear) || 12;
+        const years = Math.max(1, Math.floor(Number(params.years) || 1));
+        const rates = { ...this.inflationRates };
+        
+        const cleaningYear = cleaningMonthly * monthsPerYear;
+        const waterYear = waterMonthly * monthsPerYear;
+        
+        const rows = [];
+        let nominalTotal = 0;
+        let adjustedTotal = 0;
+        
+        for (let year = 1; year <= years; year++) {
+            const cleaning = cleaningYear * Math.pow(1 + rates.cleaning, year - 1);
+            const water = waterYear * Math.pow(1 + rates.water, year - 1);
+            const nominal = cleaningYear + waterYear;
+            const adjusted = cleaning + water;
+            
+            nominalTotal += nominal;
+            adjustedTotal += adjusted;
+            
+            rows.push({
+                year,
+                cleaning,
+                water,
+                nominal,
+                adjusted,
+                cumulativeNominal: nominalTotal,
+                cumulativeAdjusted: adjustedTotal
+            });
+        }
+        
+        return {
+            years,
+            monthsPerYear,
+            rates,
+            rows,
+            nominalTotal,
+            adjustedTotal,
+            inflationCost: adjustedTotal - nominalTotal
+        };
+    }
+
     /**
      * Calculate Pasteur System savings analysis
      */
@@ -322,6 +395,83 @@ export class CalculatorModule {
         };
     }
 
+    /**
+     * Override Pasteur System parameters (e.g. from the product catalog)
+     * @param {Object} config - Any of initialCost, monthlyMaintenance, productSavings, waterSavings, systemLifespan
+     */
+    setPasteurSystem(config = {}) {
+        Object.keys(this.pasteurSystem).forEach(key => {
+            const value = Number(config[key]);
+            if (config[key] !== undefined && Number.isFinite(value) && value >= 0) {
+                this.pasteurSystem[key] = value;
+            }
+        });
+        
+        console.log('💧 Pasteur System parameters set:', this.pasteurSystem);
+    }
+
+    /**
+     * Pasteur savings analysis from itemized monthly expenses
+     * @param {Array} products - [{ name, monthly, savingsFactor? }] monthly cost per product
+     * @param {number} waterCost - Monthly water cost
+     * @returns {Object} Savings, break-even month, lifetime savings and ROI
+     */
+    calculateItemizedPasteurSavings(products = [], waterCost = 0) {
+        const system = this.pasteurSystem;
+        
+        // Savings per product (falls back to the general product savings factor)
+        const productSavings = products.map(item => {
+            const monthly = Number(item.monthly) || 0;
+            const factor = Number.isFinite(item.savingsFactor) ? item.savingsFactor : system.productSavings;
+            return {
+                name: item.name,
+                monthly,
+                factor,
+                savings: monthly * factor
+            };
+        });
+        
+        const cleaningCost = productSavings.reduce((sum, item) => sum + item.monthly, 0);
+        const cleaningSavings = productSavings.reduce((sum, item) => sum + item.savings, 0);
+        const waterSavings = (Number(waterCost) || 0) * system.waterSavings;
+        const totalMonthlySavings = cleaningSavings + waterSavings - system.monthlyMaintenance;
+        
+        // Without positive net savings the system never pays for itself
+        const breakEvenMonth = totalMonthlySavings > 0
+            ? Math.ceil(system.initialCost / totalMonthlySavings)
+            : null;
+        
+        const lifespanMonths = system.systemLifespan * 12;
+        const lifetimeSavings = (totalMonthlySavings * lifespanMonths) - system.initialCost;
+        const roi = system.initialCost > 0 ? (lifetimeSavings / system.initialCost) * 100 : 0;
+        
+        return {
+            initialCost: system.initialCost,
+            products: productSavings,
+            monthlyCosts: {
+                cleaning: cleaningCost,
+                water: Number(waterCost) || 0
+            },
+            monthlySavings: {
+                cleaning: cleaningSavings,
+                water: waterSavings,
+                maintenance: system.monthlyMaintenance,
+                total: totalMonthlySavings
+            },
+            payback: {
+                months: breakEvenMonth,
+                years: breakEvenMonth ? Math.round((breakEvenMonth / 12) * 10) / 10 : null
+            },
+            breakEvenMonth,
+            lifetime: {
+                totalSavings: lifetimeSavings,
+                years: system.systemLifespan
+            },
+            roi: Math.round(roi),
+            isWorthwhile: breakEvenMonth !== null && breakEvenMonth <= lifespanMonths
+        };
+    }
+
     /**
      * Get available product options for UI
      */
@@ -355,8 +505,13 @@ export class CalculatorModule {
 
     /**
      * Format currency for display
+     * Uses the app-wide MoneyFormatter when injected so every screen shares one format
      */
     formatCurrency(amount, currency = 'USD') {
+        if (this.moneyFormatter) {
+            return this.moneyFormatter.format(amount);
+        }
+
         return new Intl.NumberFormat('es-ES', {
             style: 'currency',
             currency: currency,
@@ -594,7 +749,7 @@ export class CalculatorModule {
         
         console.log(`🧮 Updated ${category}.${type} data and refreshed cache`);
     }
-}
+
     /**
      * Cleanup and destroy the calculator module
      */
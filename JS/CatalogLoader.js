@@ -0,0 +1,507 @@
+/**
+ * Catalog Loader Module
+ * Loads the product and water catalog from a versioned catalog.json file,
+ * validates every entry against the catalog schema and falls back to the
+ * built-in default catalog when the file is missing or invalid
+ */
+
+export class CatalogLoader {
+    constructor(options = {}) {
+        this.url = options.url || 'catalog.json';
+        this.defaultCatalog = options.defaultCatalog || null;
+        this.supportedVersion = 1;
+
+        this.catalog = null;
+        this.source = null; // 'file' | 'default'
+        this.errors = [];
+
+        // Catalog schema: each section describes the shape of its entries
+        this.schema = {
+            products: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        emoji: { type: 'string', required: true },
+                        prices: { type: 'array', required: true, minItems: 1, items: { type: 'number', min: 0 } },
+                        unit: { type: 'string' },
+                        savingsFactor: { type: 'number', min: 0, max: 1 },
+                        personalCare: { type: 'boolean' },
+                        otherAmount: {
+                            type: 'object',
+                            properties: {
+                                min: { type: 'number', required: true, min: 0 },
+                                max: { type: 'number', required: true, min: 0 }
+                            }
+                        }
+                    }
+                }
+            },
+            units: {
+                type: 'map',
+                minItems: 1,
+                values: {
+                    type: 'object',
+                    properties: {
+                        singular: { type: 'string', required: true },
+                        plural: { type: 'string', required: true }
+                    }
+                }
+            },
+            quantities: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'integer', min: 0 }
+            },
+            waterTypes: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        emoji: { type: 'string', required: true },
+                        value: { type: 'string', required: true }
+                    }
+                }
+            },
+            waterFrequencies: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'integer', min: 1 }
+            },
+            waterPrices: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'number', min: 0 }
+            },
+            quantityOtherAmount: {
+                type: 'object',
+                optional: true,
+                properties: {
+                    min: { type: 'integer', required: true, min: 1 },
+                    max: { type: 'integer', required: true, min: 1 }
+                }
+            },
+            waterPriceOtherAmount: {
+                type: 'object',
+                optional: true,
+                properties: {
+                    min: { type: 'number', required: true, min: 0 },
+                    max: { type: 'number', required: true, min: 0 }
+                }
+            },
+            currency: {
+                type: 'object',
+                optional: true,
+                properties: {
+                    code: { type: 'string', required: true },
+                    locale: { type: 'string' }
+                }
+            },
+            pasteurSystem: {
+                type: 'object',
+                optional: true,
+                properties: {
+                    initialCost: { type: 'number', required: true, min: 0 },
+                    monthlyMaintenance: { type: 'number', required: true, min: 0 },
+                    systemLifespan: { type: 'integer', required: true, min: 1 },
+                    productSavings: { type: 'number', min: 0, max: 1 },
+                    waterSavings: { type: 'number', min: 0, max: 1 }
+                }
+            },
+            impactFactors: {
+                type: 'map',
+                optional: true,
+                values: {
+                    type: 'object',
+                    properties: {
+                        containersPerPurchase: { type: 'number', required: true, min: 0 },
+                        plasticGramsPerContainer: { type: 'number', required: true, min: 0 },
+                        co2GramsPerContainer: { type: 'number', required: true, min: 0 },
+                        container: { type: 'string' },
+                        containerPlural: { type: 'string' }
+                    }
+                }
+            },
+            benchmarks: {
+                type: 'map',
+                optional: true,
+                values: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', required: true },
+                        tolerance: { type: 'number', min: 0, max: 1 },
+                        households: {
+                            type: 'array',
+                            required: true,
+                            minItems: 1,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    size: { type: 'integer', required: true, min: 1 },
+                                    cleaning: { type: 'number', required: true, min: 0 },
+                                    water: { type: 'number', required: true, min: 0 }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        // Entry keys that must be unique inside each section
+        this.uniqueKeys = {
+            products: 'name',
+            waterTypes: 'value'
+        };
+    }
+
+    /**
+     * Fetch, validate and return the active catalog
+     * @returns {Promise<Object>} { catalog, source, version, errors }
+     */
+    async load() {
+        this.errors = [];
+
+        let data = null;
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            this.errors.push(`No se pudo cargar ${this.url}: ${error.message}`);
+            return this.useDefault();
+        }
+
+        return this.applyCatalog(data);
+    }
+
+    /**
+     * Validate raw catalog data and build the active catalog from it
+     * @param {Object} data - Parsed catalog.json contents
+     * @returns {Object} { catalog, source, version, errors }
+     */
+    applyCatalog(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            this.errors.push('El catálogo debe ser un objeto JSON');
+            return this.useDefault();
+        }
+
+        if (!Number.isInteger(data.version)) {
+            this.errors.push('El catálogo no indica un "version" entero');
+            return this.useDefault();
+        }
+
+        if (data.version > this.supportedVersion) {
+            this.errors.push(`Versión de catálogo ${data.version} no soportada (máximo ${this.supportedVersion})`);
+            return this.useDefault();
+        }
+
+        const catalog = { version: data.version };
+        let usedDefaultSection = false;
+
+        Object.keys(this.schema).forEach(section => {
+            // Las secciones opcionales ausentes usan el valor por defecto sin reportar error
+            if (data[section] === undefined && this.schema[section].optional) {
+                catalog[section] = this.getDefaultSection(section);
+                return;
+            }
+
+            const entries = this.validateSection(section, data[section]);
+            if (entries) {
+                catalog[section] = entries;
+            } else {
+                usedDefaultSection = true;
+                catalog[section] = this.getDefaultSection(section);
+            }
+        });
+
+        this.validateProductReferences(catalog);
+
+        this.catalog = catalog;
+        this.source = 'file';
+        this.reportErrors();
+
+        if (usedDefaultSection) {
+            console.warn('⚠️ Algunas secciones del catálogo usan los valores por defecto');
+        }
+        console.log(`📦 Catálogo v${catalog.version} cargado desde ${this.url}`);
+
+        return this.getResult();
+    }
+
+    /**
+     * Validate one catalog section, dropping invalid entries
+     * @param {string} section - Section name
+     * @param {*} value - Raw section value
+     * @returns {Array|null} Valid entries, or null if the section is unusable
+     */
+    validateSection(section, value) {
+        const rule = this.schema[section];
+
+        if (value === undefined) {
+            this.errors.push(`Falta la sección "${section}"`);
+            return null;
+        }
+
+        if (rule.type === 'map') {
+            return this.validateMapSection(section, value);
+        }
+
+        if (rule.type === 'object') {
+            const sectionErrors = this.validateValue(value, rule, section);
+            if (sectionErrors.length === 0 && rule.properties.min && !this.isValidRange(value)) {
+                sectionErrors.push(`${section}: "min" no puede ser mayor que "max"`);
+            }
+            if (sectionErrors.length > 0) {
+                this.errors.push(...sectionErrors);
+                return null;
+            }
+            return value;
+        }
+
+        if (!Array.isArray(value)) {
+            this.errors.push(`"${section}" debe ser una lista`);
+            return null;
+        }
+
+        const seen = new Set();
+        const uniqueKey = this.uniqueKeys[section];
+        const entries = value.filter((entry, index) => {
+            const entryErrors = this.validateValue(entry, rule.items, `${section}[${index}]`);
+
+            if (entryErrors.length === 0 && uniqueKey) {
+                const key = entry[uniqueKey];
+                if (seen.has(key)) {
+                    entryErrors.push(`${section}[${index}].${uniqueKey}: "${key}" está duplicado`);
+                }
+                seen.add(key);
+            }
+
+            if (entryErrors.length > 0) {
+                this.errors.push(...entryErrors);
+                return false;
+            }
+            return true;
+        });
+
+        if (entries.length < (rule.minItems || 0)) {
+            this.errors.push(`"${section}" no tiene entradas válidas`);
+            return null;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Validate a keyed catalog section (e.g. units), dropping invalid entries
+     * @param {string} section - Section name
+     * @param {*} value - Raw section value
+     * @returns {Object|null} Valid entries, or null if the section is unusable
+     */
+    validateMapSection(section, value) {
+        const rule = this.schema[section];
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            this.errors.push(`"${section}" debe ser un objeto`);
+            return null;
+        }
+
+        const entries = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            const entryErrors = this.validateValue(entry, rule.values, `${section}.${key}`);
+            if (entryErrors.length > 0) {
+                this.errors.push(...entryErrors);
+            } else {
+                entries[key] = entry;
+            }
+        });
+
+        if (Object.keys(entries).length < (rule.minItems || 0)) {
+            this.errors.push(`"${section}" no tiene entradas válidas`);
+            return null;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check product fields that depend on other sections or on each other.
+     * Invalid optional fields are removed so the product itself stays usable.
+     * @param {Object} catalog - Catalog being built
+     */
+    validateProductReferences(catalog) {
+        catalog.products.forEach((product, index) => {
+            const path = `products[${index}]`;
+
+            if (product.unit !== undefined && !catalog.units[product.unit]) {
+                this.errors.push(`${path}.unit: unidad "${product.unit}" no definida en "units"`);
+                delete product.unit;
+            }
+
+            if (product.otherAmount && !this.isValidRange(product.otherAmount)) {
+                this.errors.push(`${path}.otherAmount: "min" no puede ser mayor que "max"`);
+                delete product.otherAmount;
+            }
+        });
+    }
+
+    /**
+     * Check that a { min, max } range is not inverted
+     * @param {Object} range - Range to check
+     * @returns {boolean}
+     */
+    isValidRange(range) {
+        return range.min <= range.max;
+    }
+
+    /**
+     * Validate a value against a schema rule
+     * @param {*} value - Value to check
+     * @param {Object} rule - Schema rule
+     * @param {string} path - Path used in error messages
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    validateValue(value, rule, path) {
+        const errors = [];
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string' || value.trim() === '') {
+                    errors.push(`${path}: se esperaba un texto no vacío`);
+                }
+                break;
+
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(`${path}: se esperaba un número`);
+                } else if (rule.type === 'integer' && !Number.isInteger(value)) {
+                    errors.push(`${path}: se esperaba un número entero`);
+                } else if (rule.min !== undefined && value < rule.min) {
+                    errors.push(`${path}: debe ser mayor o igual a ${rule.min}`);
+                } else if (rule.max !== undefined && value > rule.max) {
+                    errors.push(`${path}: debe ser menor o igual a ${rule.max}`);
+                }
+                break;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    errors.push(`${path}: se esperaba verdadero o falso`);
+                }
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path}: se esperaba una lista`);
+                    break;
+                }
+                if (rule.minItems && value.length < rule.minItems) {
+                    errors.push(`${path}: debe tener al menos ${rule.minItems} elemento(s)`);
+                }
+                if (rule.items) {
+                    value.forEach((item, index) => {
+                        errors.push(...this.validateValue(item, rule.items, `${path}[${index}]`));
+                    });
+                }
+                break;
+
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path}: se esperaba un objeto`);
+                    break;
+                }
+                Object.entries(rule.properties || {}).forEach(([key, propertyRule]) => {
+                    if (value[key] === undefined || value[key] === null) {
+                        if (propertyRule.required) {
+                            errors.push(`${path}.${key}: campo obligatorio`);
+                        }
+                        return;
+                    }
+                    errors.push(...this.validateValue(value[key], propertyRule, `${path}.${key}`));
+                });
+                break;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Use the built-in default catalog
+     * @returns {Object} { catalog, source, version, errors }
+     */
+    useDefault() {
+        this.catalog = this.cloneDefault();
+        this.source = 'default';
+        this.reportErrors();
+        console.warn('⚠️ Usando catálogo por defecto');
+        return this.getResult();
+    }
+
+    /**
+     * Get a copy of one section of the default catalog
+     * @param {string} section - Section name
+     * @returns {Array}
+     */
+    getDefaultSection(section) {
+        const defaults = this.cloneDefault();
+        if (defaults[section] !== undefined) {
+            return defaults[section];
+        }
+        const type = this.schema[section].type;
+        if (type === 'object') return null;
+        return type === 'map' ? {} : [];
+    }
+
+    /**
+     * Deep copy of the default catalog so callers cannot mutate it
+     * @returns {Object}
+     */
+    cloneDefault() {
+        return this.defaultCatalog ? JSON.parse(JSON.stringify(this.defaultCatalog)) : {};
+    }
+
+    /**
+     * Log validation errors as a single group
+     */
+    reportErrors() {
+        if (this.errors.length === 0) return;
+
+        console.group(`⚠️ Catálogo: ${this.errors.length} error(es) de validación`);
+        this.errors.forEach(error => console.warn(`- ${error}`));
+        console.groupEnd();
+    }
+
+    /**
+     * Get the result of the last load
+     * @returns {Object}
+     */
+    getResult() {
+        return {
+            catalog: this.catalog,
+            source: this.source,
+            version: this.catalog ? this.catalog.version : null,
+            errors: [...this.errors]
+        };
+    }
+
+    /**
+     * Get validation errors from the last load
+     * @returns {Array<string>}
+     */
+    getErrors() {
+        return [...this.errors];
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CatalogLoader };
+} else if (typeof window !== 'undefined') {
+    window.CatalogLoader = CatalogLoader;
+}
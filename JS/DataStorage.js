@@ -18,7 +18,9 @@ export class DataStorage {
             gameSession: 'calculadora_game_session',
             calculationHistory: 'calculadora_calculation_history',
             userPreferences: 'calculadora_user_preferences',
-            gameProgress: 'calculadora_game_progress'
+            gameProgress: 'calculadora_game_progress',
+            operatorSettings: 'calculadora_operator_settings',
+            sessionAnalytics: 'calculadora_session_analytics'
         };
         
         // Current session data
@@ -32,7 +34,14 @@ export class DataStorage {
         
         // Default preferences
         this.defaultPreferences = {
-            audioEnabled: true,
+            audioEnabled: true, // Master switch: narration and sound effects
+            narrationEnabled: true,
+            soundEffectsEnabled: true,
+            voiceName: null, // Narration voice (null = chosen automatically)
+            maleVoiceName: null, // Voice for warnings (null = chosen automatically)
+            voiceRate: 1, // Multiplies each script's rate
+            voicePitch: 1, // Multiplies each script's pitch
+            voiceVolume: 1,
             animationsEnabled: true,
             language: 'es',
             currency: 'USD',
@@ -335,6 +344,20 @@ export class DataStorage {
         return {};
     }
 
+    /**
+     * Clear stored game progress (session and localStorage)
+     */
+    clearGameProgress() {
+        this.sessionData.gameProgress = {};
+        this.saveSession();
+
+        if (this.storageAvailable.localStorage) {
+            this.removeFromLocalStorage(this.keys.gameProgress);
+        }
+
+        console.log('💾 Game progress cleared');
+    }
+
     /**
      * Store user preferences
      * @param {Object} preferences - User preferences
@@ -355,6 +378,33 @@ export class DataStorage {
         return { ...this.userPreferences };
     }
 
+    /**
+     * Store operator (kiosk) configuration
+     * @param {Object} settings - Operator settings
+     */
+    storeOperatorSettings(settings) {
+        if (!this.storageAvailable.localStorage) {
+            console.warn('⚠️ localStorage not available, operator settings will not persist');
+            return false;
+        }
+
+        this.saveToLocalStorage(this.keys.operatorSettings, settings);
+        console.log('💾 Operator settings saved');
+        return true;
+    }
+
+    /**
+     * Get operator (kiosk) configuration
+     * @returns {Object|null} Saved settings or null
+     */
+    getOperatorSettings() {
+        if (!this.storageAvailable.localStorage) {
+            return null;
+        }
+
+        return this.getFromLocalStorage(this.keys.operatorSettings);
+    }
+
     /**
      * Store temporary data (session only)
      * @param {string} key - Data key
@@ -404,6 +454,61 @@ export class DataStorage {
         }
     }
 
+    /**
+     * Add a finished session to the device analytics counters
+     * @param {Object} session - { answers, timeoutAnswers, skippedProducts }
+     * @returns {boolean} Whether the counters were saved
+     */
+    recordSessionAnalytics(session) {
+        if (!this.storageAvailable.localStorage) {
+            console.warn('⚠️ localStorage not available, session analytics not saved');
+            return false;
+        }
+
+        const analytics = this.getSessionAnalytics();
+        analytics.completedSessions += 1;
+        analytics.answers += session.answers || 0;
+        analytics.timeoutAnswers += session.timeoutAnswers || 0;
+        analytics.skippedProducts += session.skippedProducts || 0;
+        if (session.timeoutAnswers > 0) analytics.sessionsWithTimeouts += 1;
+        analytics.lastUpdated = Date.now();
+
+        this.saveToLocalStorage(this.keys.sessionAnalytics, analytics);
+        console.log('💾 Session analytics updated');
+        return true;
+    }
+
+    /**
+     * Get the device analytics counters
+     * @returns {Object} { completedSessions, sessionsWithTimeouts, answers, timeoutAnswers, skippedProducts, lastUpdated }
+     */
+    getSessionAnalytics() {
+        const empty = {
+            completedSessions: 0,
+            sessionsWithTimeouts: 0,
+            answers: 0,
+            timeoutAnswers: 0,
+            skippedProducts: 0,
+            lastUpdated: null
+        };
+
+        if (!this.storageAvailable.localStorage) {
+            return empty;
+        }
+
+        return { ...empty, ...this.getFromLocalStorage(this.keys.sessionAnalytics) };
+    }
+
+    /**
+     * Reset the device analytics counters
+     */
+    clearSessionAnalytics() {
+        if (this.storageAvailable.localStorage) {
+            this.removeFromLocalStorage(this.keys.sessionAnalytics);
+            console.log('💾 Session analytics cleared');
+        }
+    }
+
     /**
      * Clear all user data
      */
@@ -413,9 +518,10 @@ export class DataStorage {
         this.sessionData.gameProgress = {};
         this.sessionData.temporaryData = {};
 
-        // Clear localStorage
+        // Clear localStorage (operator settings, analytics and voice/sound preferences belong to the device, not the user)
         if (this.storageAvailable.localStorage) {
             Object.values(this.keys).forEach(key => {
+                if (key === this.keys.operatorSettings || key === this.keys.sessionAnalytics || key === this.keys.userPreferences) return;
                 this.removeFromLocalStorage(key);
             });
         }
@@ -0,0 +1,130 @@
+/**
+ * Financing Calculator Module
+ * Builds installment plans (down payment, term and interest rate, including
+ * 0% promotions) with a full amortization schedule and compares the monthly
+ * installment against the customer's current monthly spending
+ */
+
+export class FinancingCalculator {
+    constructor(options = {}) {
+        // Default plan parameters (overridden by operator settings)
+        this.defaults = {
+            price: 2500.00, // System price
+            downPayment: 0, // Amount paid up front
+            installments: 12, // Number of monthly installments
+            annualRate: 0 // Annual interest rate in % (0 = promotion without interest)
+        };
+
+        // Installment terms offered on screen (the default term is always added)
+        this.baseInstallmentOptions = [6, 12, 18, 24, 36];
+        this.installmentOptions = [...this.baseInstallmentOptions];
+
+        this.configure(options);
+    }
+
+    /**
+     * Override default plan parameters
+     * @param {Object} options - Any of price, downPayment, installments, annualRate, installmentOptions
+     */
+    configure(options = {}) {
+        ['price', 'downPayment', 'installments', 'annualRate'].forEach(key => {
+            const value = Number(options[key]);
+            if (options[key] !== undefined && options[key] !== null && Number.isFinite(value) && value >= 0) {
+                this.defaults[key] = value;
+            }
+        });
+
+        if (Array.isArray(options.installmentOptions) && options.installmentOptions.length > 0) {
+            this.baseInstallmentOptions = options.installmentOptions.filter(n => Number.isInteger(n) && n > 0);
+        }
+
+        // Always offer the default term (rebuilt so a replaced default term is no longer offered)
+        this.installmentOptions = this.baseInstallmentOptions.includes(this.defaults.installments)
+            ? [...this.baseInstallmentOptions]
+            : [...this.baseInstallmentOptions, this.defaults.installments].sort((a, b) => a - b);
+    }
+
+    /**
+     * Calculate a financing plan with its amortization schedule
+     * @param {Object} params - { price, downPayment, installments, annualRate } (defaults fill the gaps)
+     * @returns {Object} Plan with monthlyPayment, totals and schedule
+     */
+    calculatePlan(params = {}) {
+        const plan = { ...this.defaults };
+        Object.keys(plan).forEach(key => {
+            const value = Number(params[key]);
+            if (params[key] !== undefined && params[key] !== null && Number.isFinite(value) && value >= 0) {
+                plan[key] = value;
+            }
+        });
+
+        const installments = Math.max(1, Math.floor(plan.installments));
+        const downPayment = Math.min(plan.downPayment, plan.price);
+        const financedAmount = plan.price - downPayment;
+        const monthlyRate = plan.annualRate / 100 / 12;
+
+        // French amortization (fixed installment); 0% splits the amount evenly
+        const monthlyPayment = monthlyRate === 0
+            ? financedAmount / installments
+            : financedAmount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -installments));
+
+        const schedule = [];
+        let balance = financedAmount;
+        let totalInterest = 0;
+
+        for (let number = 1; number <= installments; number++) {
+            const interest = balance * monthlyRate;
+            // Last installment clears any rounding remainder
+            const principal = number === installments ? balance : monthlyPayment - interest;
+            balance = Math.max(0, balance - principal);
+            totalInterest += interest;
+
+            schedule.push({
+                number,
+                payment: principal + interest,
+                principal,
+                interest,
+                balance
+            });
+        }
+
+        return {
+            price: plan.price,
+            downPayment,
+            financedAmount,
+            installments,
+            annualRate: plan.annualRate,
+            monthlyPayment,
+            totalInterest,
+            totalPaid: downPayment + financedAmount + totalInterest,
+            schedule
+        };
+    }
+
+    /**
+     * Compare the monthly installment with current monthly spending
+     * @param {Object} plan - Result of calculatePlan
+     * @param {number} monthlySpending - Customer's current monthly total
+     * @returns {Object} { monthlySpending, monthlyPayment, difference, isLower, coveragePercent }
+     */
+    compareWithSpending(plan, monthlySpending) {
+        const spending = Number(monthlySpending) || 0;
+        const difference = spending - plan.monthlyPayment;
+
+        return {
+            monthlySpending: spending,
+            monthlyPayment: plan.monthlyPayment,
+            difference,
+            isLower: difference >= 0,
+            // How much of the installment is already covered by today's spending
+            coveragePercent: plan.monthlyPayment > 0 ? Math.round((spending / plan.monthlyPayment) * 100) : 100
+        };
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FinancingCalculator };
+} else if (typeof window !== 'undefined') {
+    window.FinancingCalculator = FinancingCalculator;
+}
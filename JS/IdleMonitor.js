@@ -0,0 +1,135 @@
+/**
+ * Idle Monitor Module
+ * Detects when nobody has touched the screen or keyboard for a while so an
+ * unattended kiosk can wipe the last visitor's data and go back to the start
+ */
+
+export class IdleMonitor {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeout - Milliseconds without activity before going idle (0 = disabled)
+     * @param {Function} options.onIdle - Called once when the timeout expires
+     * @param {Function} options.onActive - Called with the event on the first activity after going idle
+     * @param {Object} options.scheduler - Object with setTimeout / clear (e.g. PauseController); defaults to window timers
+     * @param {EventTarget} options.target - Element to listen on (defaults to document)
+     */
+    constructor(options = {}) {
+        this.timeout = Math.max(0, Number(options.timeout) || 0);
+        this.onIdle = options.onIdle || null;
+        this.onActive = options.onActive || null;
+        this.scheduler = options.scheduler || null;
+        this.target = options.target || (typeof document !== 'undefined' ? document : null);
+        this.events = ['pointerdown', 'touchstart', 'keydown', 'wheel'];
+        this.handle = null;
+        this.idle = false;
+        this.running = false;
+        this.lastActivity = Date.now();
+        this.handleActivity = this.handleActivity.bind(this);
+    }
+
+    /**
+     * Start listening for activity and arm the idle timer
+     */
+    start() {
+        if (this.running || !this.target) return;
+
+        this.events.forEach(type => this.target.addEventListener(type, this.handleActivity, { capture: true, passive: true }));
+        this.running = true;
+        this.restart();
+        console.log(`💤 Idle monitor started (${this.timeout ? `${this.timeout / 1000}s` : 'disabled'})`);
+    }
+
+    /**
+     * Stop listening and cancel the idle timer
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.events.forEach(type => this.target.removeEventListener(type, this.handleActivity, { capture: true }));
+        this.cancel();
+        this.running = false;
+    }
+
+    /**
+     * Change the inactivity period
+     * @param {number} timeout - Milliseconds (0 = disabled)
+     */
+    setTimeout(timeout) {
+        this.timeout = Math.max(0, Number(timeout) || 0);
+        if (this.running && !this.idle) {
+            this.restart();
+        }
+    }
+
+    /**
+     * Check whether the idle timeout has expired since the last activity
+     * @returns {boolean}
+     */
+    isIdle() {
+        return this.idle;
+    }
+
+    /**
+     * Record activity: leave the idle state and re-arm the timer
+     * @param {Event} event - DOM event that caused the activity
+     */
+    handleActivity(event) {
+        this.lastActivity = Date.now();
+
+        const wasIdle = this.idle;
+        this.idle = false;
+        this.restart();
+
+        if (wasIdle && this.onActive) {
+            try {
+                this.onActive(event);
+            } catch (error) {
+                console.error('❌ Error in idle monitor activity handler:', error);
+            }
+        }
+    }
+
+    /**
+     * Re-arm the idle timer with the full timeout
+     */
+    restart() {
+        this.cancel();
+        if (!this.running || !this.timeout) return;
+
+        const expire = () => {
+            this.handle = null;
+            this.idle = true;
+            console.log('💤 No activity, going idle');
+
+            if (this.onIdle) {
+                try {
+                    this.onIdle();
+                } catch (error) {
+                    console.error('❌ Error in idle handler:', error);
+                }
+            }
+        };
+        this.handle = this.scheduler ? this.scheduler.setTimeout(expire, this.timeout) : setTimeout(expire, this.timeout);
+    }
+
+    /**
+     * Cancel the pending idle timer
+     */
+    cancel() {
+        if (this.handle === null) return;
+
+        if (this.scheduler) {
+            this.scheduler.clear(this.handle);
+        } else {
+            clearTimeout(this.handle);
+        }
+        this.handle = null;
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdleMonitor };
+} else if (typeof window !== 'undefined') {
+    window.IdleMonitor = IdleMonitor;
+}
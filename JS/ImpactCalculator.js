@@ -0,0 +1,92 @@
+/**
+ * Impact Calculator Module
+ * Estimates the plastic containers, kilograms of plastic and CO2 generated
+ * by the household's water purchases, using a configurable factor table
+ * keyed by water type
+ */
+
+export class ImpactCalculator {
+    /**
+     * @param {Object} options
+     * @param {number} options.weeksPerYear - Weeks counted per year (48 = the 4 weeks per month used for spending)
+     * @param {Object} options.factors - Factor overrides per water type
+     */
+    constructor(options = {}) {
+        this.weeksPerYear = options.weeksPerYear ?? 48;
+
+        // Factors per water type: containers per purchase, grams of plastic and CO2 per container
+        this.factors = {
+            tap: { containersPerPurchase: 0, plasticGramsPerContainer: 0, co2GramsPerContainer: 0, container: 'botella', containerPlural: 'botellas' },
+            gallon: { containersPerPurchase: 1, plasticGramsPerContainer: 750, co2GramsPerContainer: 2400, container: 'botellón', containerPlural: 'botellones' },
+            bottles: { containersPerPurchase: 24, plasticGramsPerContainer: 12, co2GramsPerContainer: 83, container: 'botella', containerPlural: 'botellas' },
+            alkaline: { containersPerPurchase: 12, plasticGramsPerContainer: 25, co2GramsPerContainer: 160, container: 'botella', containerPlural: 'botellas' }
+        };
+
+        if (options.factors) {
+            this.setFactors(options.factors);
+        }
+    }
+
+    /**
+     * Replace or add factors for one or more water types
+     * @param {Object} factors - { waterTypeValue: { containersPerPurchase, plasticGramsPerContainer, co2GramsPerContainer, container, containerPlural } }
+     */
+    setFactors(factors = {}) {
+        Object.entries(factors).forEach(([waterType, factor]) => {
+            this.factors[waterType] = { ...(this.factors[waterType] || {}), ...factor };
+        });
+
+        console.log('🌎 Impact factors set for:', Object.keys(this.factors).join(', '));
+    }
+
+    /**
+     * Check whether a water type has factors
+     * @param {string} waterType - Water type value (tap, gallon, bottles, alkaline)
+     * @returns {boolean}
+     */
+    hasFactors(waterType) {
+        return Boolean(this.factors[waterType]);
+    }
+
+    /**
+     * Estimate containers, plastic and CO2 per year and over the chosen years
+     * @param {Object} params - { waterType, purchasesPerWeek, years }
+     * @returns {Object|null} Impact estimate, or null for unknown water types
+     */
+    calculate(params = {}) {
+        const factor = this.factors[params.waterType];
+        if (!factor) return null;
+
+        const purchasesPerWeek = Number(params.purchasesPerWeek) || 0;
+        const years = Math.max(1, Math.floor(Number(params.years) || 1));
+
+        const containersPerYear = purchasesPerWeek * this.weeksPerYear * factor.containersPerPurchase;
+        const plasticKgPerYear = containersPerYear * factor.plasticGramsPerContainer / 1000;
+        const co2KgPerYear = containersPerYear * factor.co2GramsPerContainer / 1000;
+
+        return {
+            waterType: params.waterType,
+            years,
+            container: factor.container,
+            containerPlural: factor.containerPlural,
+            perYear: {
+                containers: containersPerYear,
+                plasticKg: plasticKgPerYear,
+                co2Kg: co2KgPerYear
+            },
+            total: {
+                containers: containersPerYear * years,
+                plasticKg: plasticKgPerYear * years,
+                co2Kg: co2KgPerYear * years
+            },
+            hasImpact: containersPerYear > 0
+        };
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImpactCalculator };
+} else if (typeof window !== 'undefined') {
+    window.ImpactCalculator = ImpactCalculator;
+}
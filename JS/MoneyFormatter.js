@@ -0,0 +1,231 @@
+/**
+ * Money Formatter Module
+ * Formats amounts for screens, PDF and narration using a configurable
+ * currency and locale (supports zero-decimal currencies such as COP and CLP)
+ */
+
+export class MoneyFormatter {
+    constructor(options = {}) {
+        // Supported currencies: decimals, default locale and spoken names
+        this.currencies = {
+            USD: { decimals: 2, locale: 'es-US', symbol: '$', name: ['dólar', 'dólares'], minor: ['centavo', 'centavos'] },
+            MXN: { decimals: 2, locale: 'es-MX', symbol: '$', name: ['peso', 'pesos'], minor: ['centavo', 'centavos'] },
+            COP: { decimals: 0, locale: 'es-CO', symbol: '$', name: ['peso', 'pesos'], minor: null },
+            CLP: { decimals: 0, locale: 'es-CL', symbol: '$', name: ['peso', 'pesos'], minor: null },
+            PEN: { decimals: 2, locale: 'es-PE', symbol: 'S/', name: ['sol', 'soles'], minor: ['céntimo', 'céntimos'] },
+            GTQ: { decimals: 2, locale: 'es-GT', symbol: 'Q', name: ['quetzal', 'quetzales'], minor: ['centavo', 'centavos'] },
+            DOP: { decimals: 2, locale: 'es-DO', symbol: 'RD$', name: ['peso', 'pesos'], minor: ['centavo', 'centavos'] },
+            CRC: { decimals: 2, locale: 'es-CR', symbol: '₡', name: ['colón', 'colones'], minor: ['céntimo', 'céntimos'] },
+            EUR: { decimals: 2, locale: 'es-ES', symbol: '€', name: ['euro', 'euros'], minor: ['céntimo', 'céntimos'] }
+        };
+
+        this.currency = 'USD';
+        this.locale = 'es-US';
+        this.formatters = {};
+
+        this.configure(options);
+    }
+
+    /**
+     * Set currency and locale
+     * @param {Object} options - { currency, locale }
+     */
+    configure(options = {}) {
+        const code = String(options.currency || this.currency).toUpperCase();
+
+        if (!this.currencies[code]) {
+            console.warn(`⚠️ Unsupported currency "${code}", keeping ${this.currency}`);
+        } else {
+            this.currency = code;
+        }
+
+        this.locale = options.locale || this.currencies[this.currency].locale;
+        this.formatters = {};
+
+        console.log(`💱 Money format: ${this.currency} (${this.locale})`);
+    }
+
+    /**
+     * Get the list of supported currency codes
+     * @returns {Array<string>}
+     */
+    getSupportedCurrencies() {
+        return Object.keys(this.currencies);
+    }
+
+    /**
+     * Get info for the active currency
+     * @returns {Object}
+     */
+    getCurrencyInfo() {
+        return this.currencies[this.currency];
+    }
+
+    /**
+     * Number of decimals used by the active currency
+     * @returns {number}
+     */
+    getDecimals() {
+        return this.getCurrencyInfo().decimals;
+    }
+
+    /**
+     * Currency symbol for the active currency and locale
+     * @returns {string}
+     */
+    getSymbol() {
+        try {
+            const parts = this.getFormatter(this.getDecimals()).formatToParts(0);
+            const symbolPart = parts.find(part => part.type === 'currency');
+            if (symbolPart) return symbolPart.value;
+        } catch (error) {
+            // Fall back to the symbol in the currency table
+        }
+        return this.getCurrencyInfo().symbol;
+    }
+
+    /**
+     * Round an amount to the precision of the active currency
+     * @param {number} amount - Amount to round
+     * @returns {number}
+     */
+    round(amount) {
+        const factor = Math.pow(10, this.getDecimals());
+        return Math.round((Number(amount) || 0) * factor) / factor;
+    }
+
+    /**
+     * Format an amount with currency symbol
+     * @param {number} amount - Amount to format
+     * @param {Object} options - { trimZeroDecimals, plainSpaces }
+     * @returns {string}
+     */
+    format(amount, options = {}) {
+        const value = Number(amount) || 0;
+        const decimals = this.getDecimals();
+
+        // "$2" instead of "$2.00" for whole amounts when requested
+        const minimumDecimals = options.trimZeroDecimals && Number.isInteger(this.round(value)) ? 0 : decimals;
+
+        let text;
+        try {
+            text = this.getFormatter(minimumDecimals).format(value);
+        } catch (error) {
+            text = `${this.getCurrencyInfo().symbol}${value.toFixed(decimals)}`;
+        }
+
+        // Standard PDF fonts cannot render narrow/no-break spaces
+        if (options.plainSpaces) {
+            text = text.replace(/[\u00A0\u202F]/g, ' ');
+        }
+
+        return text;
+    }
+
+    /**
+     * Get (cached) Intl formatter
+     * @param {number} minimumDecimals - Minimum fraction digits
+     * @returns {Intl.NumberFormat}
+     */
+    getFormatter(minimumDecimals) {
+        const key = `${minimumDecimals}`;
+        if (!this.formatters[key]) {
+            this.formatters[key] = new Intl.NumberFormat(this.locale, {
+                style: 'currency',
+                currency: this.currency,
+                minimumFractionDigits: minimumDecimals,
+                maximumFractionDigits: this.getDecimals()
+            });
+        }
+        return this.formatters[key];
+    }
+
+    /**
+     * Spell an amount in Spanish words for narration
+     * e.g. 20.5 USD -> "veinte dólares con cincuenta centavos", -3 USD -> "menos tres dólares"
+     * @param {number} amount - Amount to spell
+     * @returns {string}
+     */
+    toWords(amount) {
+        const info = this.getCurrencyInfo();
+        const signed = this.round(amount);
+        const rounded = Math.abs(signed);
+        const whole = Math.floor(rounded);
+        const minorUnits = info.minor ? Math.round((rounded - whole) * Math.pow(10, info.decimals)) : 0;
+
+        // "un millón de pesos", "dos millones de dólares"
+        const connector = whole >= 1000000 && whole % 1000000 === 0 ? ' de ' : ' ';
+        let text = `${this.numberToWords(whole)}${connector}${whole === 1 ? info.name[0] : info.name[1]}`;
+
+        if (minorUnits > 0) {
+            text += ` con ${this.numberToWords(minorUnits)} ${minorUnits === 1 ? info.minor[0] : info.minor[1]}`;
+        }
+
+        return signed < 0 ? `menos ${text}` : text;
+    }
+
+    /**
+     * Spell a whole number in Spanish (apocopated before a noun: "un", "veintiún")
+     * @param {number} number - Whole number up to 999.999.999.999
+     * @returns {string}
+     */
+    numberToWords(number) {
+        const n = Math.floor(Math.abs(number));
+        if (n === 0) return 'cero';
+
+        const parts = [];
+        const millions = Math.floor(n / 1000000);
+        const thousands = Math.floor((n % 1000000) / 1000);
+        const rest = n % 1000;
+
+        if (millions > 0) {
+            parts.push(millions === 1 ? 'un millón' : `${this.numberToWords(millions)} millones`);
+        }
+        if (thousands > 0) {
+            parts.push(thousands === 1 ? 'mil' : `${this.hundredsToWords(thousands)} mil`);
+        }
+        if (rest > 0) {
+            parts.push(this.hundredsToWords(rest));
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Spell a number between 1 and 999 (apocopated form)
+     * @param {number} n - Number to spell
+     * @returns {string}
+     */
+    hundredsToWords(n) {
+        const units = ['', 'un', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve',
+            'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+            'veinte', 'veintiún', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'];
+        const tens = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+        const hundreds = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+            'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+
+        if (n === 100) return 'cien';
+
+        const parts = [];
+        const h = Math.floor(n / 100);
+        const r = n % 100;
+
+        if (h > 0) parts.push(hundreds[h]);
+        if (r > 0 && r < 30) {
+            parts.push(units[r]);
+        } else if (r >= 30) {
+            const t = Math.floor(r / 10);
+            const u = r % 10;
+            parts.push(u > 0 ? `${tens[t]} y ${units[u]}` : tens[t]);
+        }
+
+        return parts.join(' ');
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MoneyFormatter };
+} else if (typeof window !== 'undefined') {
+    window.MoneyFormatter = MoneyFormatter;
+}
@@ -0,0 +1,151 @@
+/**
+ * Narration Clips Module
+ * Pre-recorded narration pack for devices without a usable speech voice.
+ * A manifest maps script IDs to audio files per gender / plural variant and
+ * maps single words (numbers, currency names, "años"...) to clips, so amounts
+ * can be stitched together word by word:
+ *
+ * {
+ *   "version": 1,
+ *   "baseUrl": "audio/narration/",
+ *   "clips": {
+ *     "rules": { "mujer": "rules-mujer.mp3", "hombre": "rules-hombre.mp3", "plural": "rules-plural.mp3" },
+ *     "cleaning-total": "cleaning-total.mp3"
+ *   },
+ *   "words": { "doscientos": "words/doscientos.mp3", "dólares": "words/dolares.mp3" }
+ * }
+ */
+
+export class NarrationClips {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Manifest URL
+     */
+    constructor(options = {}) {
+        this.url = options.url || 'audio/narration/manifest.json';
+        this.supportedVersion = 1;
+        this.baseUrl = '';
+        this.clips = {};
+        this.words = {};
+        this.loaded = false;
+    }
+
+    /**
+     * Load the manifest; a missing or invalid pack just leaves recorded narration off
+     * @returns {Promise<boolean>} Whether a pack is available
+     */
+    async load() {
+        let data = null;
+        try {
+            const response = await fetch(this.url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.log(`ℹ️ No recorded narration pack (${this.url}): ${error.message}`);
+            return false;
+        }
+
+        if (!data || typeof data !== 'object' || data.version !== this.supportedVersion || !data.clips || typeof data.clips !== 'object') {
+            console.warn(`⚠️ Invalid narration pack manifest: ${this.url}`);
+            return false;
+        }
+
+        this.baseUrl = typeof data.baseUrl === 'string' ? data.baseUrl : this.url.replace(/[^/]*$/, '');
+        this.clips = data.clips;
+        this.words = {};
+        Object.entries(data.words || {}).forEach(([word, file]) => {
+            this.words[this.normalizeWord(word)] = file;
+        });
+        this.loaded = true;
+
+        console.log(`✅ Recorded narration pack: ${Object.keys(this.clips).length} clips, ${Object.keys(this.words).length} words`);
+        return true;
+    }
+
+    /**
+     * Check whether a pack is loaded
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.loaded;
+    }
+
+    /**
+     * Turn a clip sequence into audio sources; any missing piece makes the whole sequence unavailable
+     * @param {Array<string|Object>} tokens - Clip IDs, { words: 'spoken text' } or { pause: ms }
+     * @param {string} variant - 'hombre', 'mujer' or 'plural'
+     * @returns {Array<Object>|null} [{ src } | { pause }] or null
+     */
+    resolve(tokens, variant) {
+        if (!this.loaded || !Array.isArray(tokens) || tokens.length === 0) return null;
+
+        const sources = [];
+        for (const token of tokens) {
+            if (typeof token === 'string') {
+                const file = this.findClip(token, variant);
+                if (!file) return null;
+                sources.push({ src: this.baseUrl + file });
+            } else if (token && token.words !== undefined) {
+                const words = String(token.words).split(/\s+/).map(word => this.normalizeWord(word)).filter(Boolean);
+                for (const word of words) {
+                    if (!this.words[word]) return null;
+                    sources.push({ src: this.baseUrl + this.words[word] });
+                }
+            } else if (token && token.pause) {
+                sources.push({ pause: Number(token.pause) || 0 });
+            }
+        }
+        return sources.some(source => source.src) ? sources : null;
+    }
+
+    /**
+     * Find the file for a clip ID and variant (falls back to "default")
+     * @param {string} id - Clip ID
+     * @param {string} variant - 'hombre', 'mujer' or 'plural'
+     * @returns {string|null} File path relative to baseUrl
+     */
+    findClip(id, variant) {
+        const entry = this.clips[id];
+        if (!entry) return null;
+        if (typeof entry === 'string') return entry;
+        return entry[variant] || entry.default || null;
+    }
+
+    /**
+     * Request every clip once so the service worker keeps them for offline use
+     * @returns {Promise<void>}
+     */
+    async preload() {
+        if (!this.loaded) return;
+
+        const files = new Set(Object.values(this.words));
+        Object.values(this.clips).forEach(entry => {
+            if (typeof entry === 'string') {
+                files.add(entry);
+            } else if (entry && typeof entry === 'object') {
+                Object.values(entry).forEach(file => files.add(file));
+            }
+        });
+
+        await Promise.all([...files].map(file => fetch(this.baseUrl + file).catch(() => null)));
+        console.log(`💾 Recorded narration preloaded: ${files.size} files`);
+    }
+
+    /**
+     * Lowercase a word and strip punctuation around it
+     * @param {string} word - Word as written
+     * @returns {string}
+     */
+    normalizeWord(word) {
+        return String(word).toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NarrationClips };
+} else if (typeof window !== 'undefined') {
+    window.NarrationClips = NarrationClips;
+}
@@ -0,0 +1,716 @@
+/**
+ * Narration Service Module
+ * One queue for every spoken text: declarative scripts per screen, priorities,
+ * cancellation when leaving a screen and a promise per narration that resolves
+ * when it finishes (or is cancelled). Each narration is played as recorded
+ * clips, with speech synthesis or as timed captions only, depending on the
+ * output setting and what the device can do. Every output reports the sentence
+ * being said through 'caption' events
+ */
+
+export class NarrationService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.scripts - Script table: { key: { screen, priority, segments } }
+     * @param {Function} options.createUtterance - (text, segment) => SpeechSynthesisUtterance
+     * @param {Object} options.context - Passed to script and segment functions
+     * @param {Object} options.scheduler - Object with setTimeout / clear (e.g. PauseController); defaults to window timers
+     * @param {Object} options.synth - SpeechSynthesis implementation (defaults to window.speechSynthesis)
+     * @param {Function} options.clips - (key, params, script) => [{ src } | { pause }] recorded clips for a script, or null
+     * @param {Function} options.createAudio - (src) => HTMLAudioElement
+     * @param {string} options.output - 'auto' | 'recorded' | 'speech' | 'captions'
+     * @param {string} options.lang - Voice language required for 'auto' to use speech synthesis
+     * @param {number} options.startTimeout - Milliseconds to wait for speech to start before treating it as blocked
+     */
+    constructor(options = {}) {
+        this.scripts = options.scripts || {};
+        this.createUtterance = options.createUtterance || ((text) => new SpeechSynthesisUtterance(text));
+        this.context = options.context || null;
+        this.scheduler = options.scheduler || null;
+        this.synth = options.synth || (typeof window !== 'undefined' && 'speechSynthesis' in window ? window.speechSynthesis : null);
+        this.defaults = { rate: 0.88, pitch: 1.2, pause: 0, ...(options.defaults || {}) };
+        this.voiceTimeout = options.voiceTimeout ?? 1000; // Wait for voices before speaking anyway
+        this.startTimeout = options.startTimeout ?? 8000; // Speech that never starts is treated as blocked (slow engines can take seconds on the first phrase)
+        this.restartDelay = options.restartDelay ?? 150; // Gap after cancel() so engines don't drop the next utterance
+        this.resolveClips = options.clips || null;
+        this.createAudio = options.createAudio || ((src) => new Audio(src));
+        this.lang = (options.lang || 'es').toLowerCase();
+        this.captionCharMs = options.captionCharMs ?? 60; // Reading time per character when only captions are shown
+        this.output = 'auto';
+        this.setOutput(options.output);
+        this.paused = false;
+        this.volume = 1; // Master volume, multiplies each narration's own volume
+        this.queue = [];
+        this.current = null;
+        this.nextId = 1;
+        this.voicesReady = null;
+        this.listeners = { start: [], end: [], caption: [] };
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Check whether speech synthesis exists in this browser
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.synth);
+    }
+
+    /**
+     * Choose how narrations are played
+     * - auto: recorded clips, else speech with a voice in the configured language, else captions
+     * - recorded: recorded clips, else captions (for devices with a poor voice)
+     * - speech: always speech synthesis (any voice)
+     * - captions: silent, captions only
+     * @param {string} output - Output mode
+     */
+    setOutput(output) {
+        if (!output) return;
+        if (!['auto', 'recorded', 'speech', 'captions'].includes(output)) {
+            console.warn(`⚠️ Unknown narration output: ${output}`);
+            return;
+        }
+        this.output = output;
+    }
+
+    /**
+     * Set the master narration volume
+     * @param {number} volume - 0 to 1
+     */
+    setVolume(volume) {
+        const value = Number(volume);
+        this.volume = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1;
+    }
+
+    /**
+     * Pause or resume the recorded clip being played (speech and timers are paused elsewhere)
+     * @param {boolean} paused - Paused state
+     */
+    setPaused(paused) {
+        this.paused = paused;
+
+        const audio = this.current && this.current.audio;
+        if (!audio) return;
+        if (paused) {
+            audio.pause();
+        } else {
+            const playing = audio.play();
+            if (playing && playing.catch) playing.catch(() => {});
+        }
+    }
+
+    /**
+     * Check whether something is being spoken or waiting in the queue
+     * @returns {boolean}
+     */
+    isBusy() {
+        return Boolean(this.current) || this.queue.length > 0;
+    }
+
+    /**
+     * Play a script from the table
+     * @param {string} key - Script key
+     * @param {Object} params - Values for the script's segment functions
+     * @param {Object} options - Overrides for screen, priority, volume
+     * @returns {Promise<{key: string, completed: boolean, cancelled: boolean}>}
+     */
+    play(key, params = {}, options = {}) {
+        const script = this.scripts[key];
+        if (!script) {
+            console.warn(`⚠️ Narration script not found: ${key}`);
+            return Promise.resolve({ key, completed: false, cancelled: false });
+        }
+
+        const segments = typeof script.segments === 'function'
+            ? script.segments(this.context, params)
+            : script.segments;
+
+        return this.speak(segments, {
+            key,
+            screen: script.screen,
+            priority: script.priority,
+            clips: this.resolveClips ? this.resolveClips(key, params, script) : null,
+            ...options
+        });
+    }
+
+    /**
+     * Speak one text or a list of segments
+     * @param {string|Array<string|Object>} segments - Texts or { text, rate, pitch, voice, volume, pause }
+     * @param {Object} options - { key, screen, priority, volume, clips }
+     * @returns {Promise<{key: string, completed: boolean, cancelled: boolean}>}
+     */
+    speak(segments, options = {}) {
+        const key = options.key || null;
+        const list = (Array.isArray(segments) ? segments : [segments])
+            .map(segment => typeof segment === 'string' ? { text: segment } : segment)
+            .filter(segment => segment && segment.text);
+
+        if (list.length === 0) {
+            return Promise.resolve({ key, completed: false, cancelled: false });
+        }
+
+        // The same script already playing or waiting is not queued twice
+        const duplicate = key ? [this.current, ...this.queue].find(item => item && item.key === key) : null;
+        if (duplicate) return duplicate.promise;
+
+        const item = {
+            id: this.nextId++,
+            key,
+            screen: options.screen || null,
+            priority: Number(options.priority) || 0,
+            volume: options.volume,
+            segments: list,
+            clips: options.clips || null,
+            output: null,
+            audio: null,
+            caption: null,
+            captionIndex: 0,
+            captionPauses: 0,
+            index: 0,
+            cancelled: false,
+            done: false,
+            watchdog: null
+        };
+        item.promise = new Promise(resolve => { item.resolve = resolve; });
+
+        // Higher priority first; same priority keeps arrival order
+        const position = this.queue.findIndex(queued => queued.priority < item.priority);
+        this.queue.splice(position === -1 ? this.queue.length : position, 0, item);
+
+        if (this.current && item.priority > this.current.priority) {
+            console.log(`🎙️ "${item.key || 'narration'}" interrupts "${this.current.key || 'narration'}"`);
+            const interrupted = this.current;
+            this.finish(interrupted, false, true);
+            this.stopOutput(interrupted);
+            this.later(() => this.next(), this.restartDelay);
+        } else {
+            this.next();
+        }
+        return item.promise;
+    }
+
+    /**
+     * Cancel narrations (current and queued)
+     * @param {string|Object|Function} filter - Nothing = all, a screen name, { screen, key } or a predicate
+     */
+    cancel(filter = null) {
+        const matches = (item) => {
+            if (!filter) return true;
+            if (typeof filter === 'function') return filter(item);
+            if (typeof filter === 'string') return item.screen === filter;
+            return (!filter.screen || item.screen === filter.screen) && (!filter.key || item.key === filter.key);
+        };
+
+        this.queue.filter(matches).forEach(item => this.finish(item, false, true));
+        this.queue = this.queue.filter(item => !item.cancelled);
+
+        if (this.current && matches(this.current)) {
+            const cancelled = this.current;
+            this.finish(cancelled, false, true);
+            this.stopOutput(cancelled);
+            this.later(() => this.next(), this.restartDelay);
+        }
+    }
+
+    /**
+     * Wait until nothing is spoken or queued
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+        if (!this.isBusy()) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Listen for narration events
+     * @param {string} event - 'start' (item begins), 'end' (item finished or cancelled)
+     *                         or 'caption' (sentence being said; text null when the item ends)
+     * @param {Function} listener - Called with { key, screen }, the result or { key, screen, output, text }
+     */
+    on(event, listener) {
+        if (this.listeners[event]) this.listeners[event].push(listener);
+    }
+
+    /**
+     * Resolve once voices are loaded (or after voiceTimeout, to speak with the default voice)
+     * @returns {Promise<void>}
+     */
+    waitForVoices() {
+        if (!this.voicesReady) {
+            this.voicesReady = new Promise(resolve => {
+                if (this.synth.getVoices().length > 0) {
+                    resolve();
+                    return;
+                }
+
+                const done = () => resolve();
+                if (typeof this.synth.addEventListener === 'function') {
+                    this.synth.addEventListener('voiceschanged', done, { once: true });
+                } else {
+                    this.synth.onvoiceschanged = done;
+                }
+                this.later(done, this.voiceTimeout);
+            });
+        }
+        return this.voicesReady;
+    }
+
+    /**
+     * Start the next queued narration if nothing is playing
+     */
+    next() {
+        if (this.current) return;
+
+        if (this.queue.length === 0) {
+            const waiters = this.idleWaiters.splice(0);
+            waiters.forEach(resolve => resolve());
+            return;
+        }
+
+        const item = this.queue.shift();
+        this.current = item;
+        this.emit('start', { key: item.key, screen: item.screen });
+        this.startOutput(item);
+    }
+
+    /**
+     * Choose the item's output and play it
+     * @param {Object} item - Queue item
+     * @param {number} fromSegment - Segment to start from
+     */
+    startOutput(item, fromSegment = 0) {
+        const ready = this.synth ? this.waitForVoices() : Promise.resolve();
+
+        ready.then(() => {
+            if (item.cancelled) return;
+
+            item.output = this.chooseOutput(item);
+            item.index = fromSegment;
+            if (item.output !== 'speech') {
+                console.log(`🎙️ "${item.key || 'narration'}" as ${item.output}`);
+            }
+
+            const begin = () => {
+                if (item.output === 'recorded') {
+                    this.playClip(item);
+                } else if (item.output === 'captions') {
+                    this.showCaption(item);
+                } else {
+                    this.speakSegment(item);
+                }
+            };
+
+            // Something spoken outside the service: stop it and leave a gap
+            if (this.synth && (this.synth.speaking || this.synth.pending)) {
+                this.synth.cancel();
+                this.later(begin, this.restartDelay);
+            } else {
+                begin();
+            }
+        });
+    }
+
+    /**
+     * Pick recorded clips, speech or captions for an item
+     * @param {Object} item - Queue item
+     * @returns {string} 'recorded' | 'speech' | 'captions'
+     */
+    chooseOutput(item) {
+        const hasClips = Array.isArray(item.clips) && item.clips.length > 0;
+
+        if (this.output === 'captions') return 'captions';
+        if (hasClips && this.output !== 'speech') return 'recorded';
+        if (!this.synth || this.output === 'recorded') return 'captions';
+        if (this.output === 'auto' && !this.hasLanguageVoice()) return 'captions';
+        return 'speech';
+    }
+
+    /**
+     * Check whether a voice in the configured language is installed
+     * (an empty voice list is unknown, not missing: speech is still tried)
+     * @returns {boolean}
+     */
+    hasLanguageVoice() {
+        const voices = this.synth.getVoices();
+        if (voices.length === 0) return true;
+        return voices.some(voice => String(voice.lang || '').toLowerCase().startsWith(this.lang));
+    }
+
+    /**
+     * Play the item's current recorded clip and chain the following ones
+     * @param {Object} item - Queue item
+     */
+    playClip(item) {
+        if (item.cancelled) return;
+
+        const clip = item.clips[item.index];
+        if (!clip) {
+            this.finish(item, true, false);
+            this.next();
+            return;
+        }
+        if (item.index === 0) {
+            item.captionPauses = 0;
+            this.captionRecorded(item, 0);
+        }
+        if (!clip.src) {
+            // A pause usually ends a segment: catch the captions up if reading time fell behind the recording
+            item.captionPauses++;
+            if (item.captionPauses < item.segments.length && item.captionIndex < item.captionPauses) {
+                const segmentIndex = item.captionPauses;
+                this.later(() => this.captionRecorded(item, segmentIndex), Number(clip.pause) || 0);
+            }
+            item.index++;
+            this.later(() => this.playClip(item), Number(clip.pause) || 0);
+            return;
+        }
+
+        let audio;
+        try {
+            audio = this.createAudio(clip.src);
+        } catch (error) {
+            this.fallbackFromClips(item, error.message);
+            return;
+        }
+        audio.volume = (item.volume ?? 1) * this.volume;
+        item.audio = audio;
+
+        audio.onended = () => {
+            if (item.cancelled || item.audio !== audio) return;
+            item.audio = null;
+            item.index++;
+            this.playClip(item);
+        };
+        audio.onerror = () => {
+            if (item.cancelled || item.audio !== audio) return;
+            this.fallbackFromClips(item, `could not load ${clip.src}`);
+        };
+
+        // While paused the clip waits; setPaused(false) starts it
+        if (this.paused) return;
+        const playing = audio.play();
+        if (playing && playing.catch) {
+            playing.catch(error => {
+                if (item.cancelled || item.audio !== audio) return;
+                this.fallbackFromClips(item, error.message);
+            });
+        }
+    }
+
+    /**
+     * Drop the recorded clips of an item and continue it with speech or captions
+     * from the segment the recording had reached, so nothing already heard is repeated
+     * @param {Object} item - Queue item
+     * @param {string} reason - Why the clips failed
+     */
+    fallbackFromClips(item, reason) {
+        console.warn(`⚠️ Recorded narration failed (${item.key || 'narration'}): ${reason}`);
+        this.stopAudio(item);
+        const fromSegment = item.index > 0 ? Math.min(item.captionIndex, item.segments.length - 1) : 0;
+        item.clips = null;
+        this.startOutput(item, fromSegment);
+    }
+
+    /**
+     * Keep the item's current segment for its reading time, without sound
+     * @param {Object} item - Queue item
+     */
+    showCaption(item) {
+        if (item.cancelled) return;
+
+        const segment = item.segments[item.index];
+        if (!segment) {
+            this.finish(item, true, false);
+            this.next();
+            return;
+        }
+
+        const options = { ...this.defaults, ...segment };
+        this.captionSegment(item, options);
+        item.index++;
+        const pause = item.index < item.segments.length ? Number(options.pause) || 0 : 0;
+        this.later(() => this.showCaption(item), this.timeCaptions(item, options.rate) + pause);
+    }
+
+    /**
+     * Caption a segment played from recorded clips by reading time, then the following segments
+     * (clips carry no sentence boundaries)
+     * @param {Object} item - Queue item
+     * @param {number} segmentIndex - Segment to caption
+     */
+    captionRecorded(item, segmentIndex) {
+        const segment = item.segments[segmentIndex];
+        if (item.cancelled || !segment) return;
+
+        const options = { ...this.defaults, ...segment };
+        item.captionIndex = segmentIndex;
+        this.captionSegment(item, options);
+        const duration = this.timeCaptions(item, options.rate);
+
+        if (segmentIndex + 1 < item.segments.length) {
+            const pause = Number(options.pause) || 0;
+            item.caption.timers.push(this.later(() => this.captionRecorded(item, segmentIndex + 1), duration + pause));
+        }
+    }
+
+    /**
+     * Split a segment into sentences and show the first one
+     * @param {Object} item - Queue item
+     * @param {Object} segment - Segment with text
+     */
+    captionSegment(item, segment) {
+        if (item.cancelled || !segment) return;
+
+        this.clearCaptionTimers(item);
+        const text = String(segment.text);
+        const sentences = [];
+        let offset = 0;
+        (text.match(/[^.!?]+[.!?]*/g) || [text]).forEach(part => {
+            const start = text.indexOf(part, offset);
+            offset = start + part.length;
+            if (part.trim()) sentences.push({ text: part.trim(), start });
+        });
+
+        item.caption = { sentences, current: -1, timers: [], boundary: false };
+        this.showSentence(item, 0);
+    }
+
+    /**
+     * Advance the segment's sentences by reading time (until boundary events take over)
+     * @param {Object} item - Queue item
+     * @param {number} rate - Speech rate of the segment
+     * @returns {number} Milliseconds the whole segment takes
+     */
+    timeCaptions(item, rate = 1) {
+        const caption = item.caption;
+        if (!caption) return 0;
+
+        const msPerChar = this.captionCharMs / (Number(rate) || 1);
+        let elapsed = 0;
+        caption.sentences.forEach((sentence, index) => {
+            if (index > 0) {
+                caption.timers.push(this.later(() => this.showSentence(item, index), elapsed));
+            }
+            elapsed += sentence.text.length * msPerChar;
+        });
+        return elapsed;
+    }
+
+    /**
+     * Follow a speech boundary event to the sentence being spoken
+     * @param {Object} item - Queue item
+     * @param {number} charIndex - Character the voice reached
+     */
+    followBoundary(item, charIndex) {
+        const caption = item.caption;
+        if (!caption || typeof charIndex !== 'number') return;
+
+        if (!caption.boundary) {
+            caption.boundary = true;
+            this.clearCaptionTimers(item);
+        }
+
+        let index = 0;
+        caption.sentences.forEach((sentence, position) => {
+            if (sentence.start <= charIndex) index = position;
+        });
+        this.showSentence(item, index);
+    }
+
+    /**
+     * Report one sentence of the item as the current caption
+     * @param {Object} item - Queue item
+     * @param {number} index - Sentence index
+     */
+    showSentence(item, index) {
+        const caption = item.caption;
+        if (item.cancelled || !caption || caption.current === index || !caption.sentences[index]) return;
+
+        caption.current = index;
+        this.emit('caption', { key: item.key, screen: item.screen, output: item.output, text: caption.sentences[index].text });
+    }
+
+    /**
+     * Cancel pending timed sentences of the item
+     * @param {Object} item - Queue item
+     */
+    clearCaptionTimers(item) {
+        if (!item.caption) return;
+
+        item.caption.timers.forEach(timer => this.clearLater(timer));
+        item.caption.timers = [];
+    }
+
+    /**
+     * Speak the item's current segment and chain the following ones
+     * @param {Object} item - Queue item
+     */
+    speakSegment(item) {
+        if (item.cancelled) return;
+
+        const segment = item.segments[item.index];
+        if (!segment) {
+            this.finish(item, true, false);
+            this.next();
+            return;
+        }
+
+        const options = { ...this.defaults, ...segment };
+        let utterance;
+        try {
+            utterance = this.createUtterance(options.text, options);
+        } catch (error) {
+            console.error('❌ Error creating utterance:', error);
+            this.finish(item, false, false);
+            this.next();
+            return;
+        }
+        utterance.volume = (segment.volume ?? item.volume ?? 1) * this.volume;
+
+        let settled = false;
+        const advance = () => {
+            if (settled || item.cancelled) return;
+            settled = true;
+            this.clearWatchdog(item);
+            this.clearCaptionTimers(item);
+            item.index++;
+            const pause = item.index < item.segments.length ? Number(options.pause) || 0 : 0;
+            this.later(() => this.speakSegment(item), pause);
+        };
+
+        utterance.onstart = () => {
+            this.clearWatchdog(item);
+            this.timeCaptions(item, utterance.rate);
+        };
+        utterance.onboundary = (event) => this.followBoundary(item, event && event.charIndex);
+        utterance.onend = advance;
+        utterance.onerror = (event) => {
+            if (item.cancelled) return;
+            console.error(`❌ Narration error (${item.key || 'narration'}):`, event && event.error);
+            advance();
+        };
+
+        // Engines that never start (no user gesture yet, no voices) must not block the queue
+        item.watchdog = this.later(() => {
+            if (settled || item.cancelled) return;
+            settled = true;
+            console.warn(`⚠️ Narration did not start: ${item.key || 'narration'}`);
+            this.synth.cancel();
+            this.finish(item, false, false);
+            this.next();
+        }, this.startTimeout);
+
+        this.captionSegment(item, options);
+        try {
+            this.synth.speak(utterance);
+        } catch (error) {
+            console.error('❌ Error calling speak():', error);
+            settled = true;
+            this.clearWatchdog(item);
+            this.finish(item, false, false);
+            this.next();
+        }
+    }
+
+    /**
+     * Silence an item that was stopped before finishing
+     * @param {Object} item - Queue item
+     */
+    stopOutput(item) {
+        this.stopAudio(item);
+        if (this.synth) this.synth.cancel();
+    }
+
+    /**
+     * Stop and release the item's recorded clip
+     * @param {Object} item - Queue item
+     */
+    stopAudio(item) {
+        if (!item.audio) return;
+
+        item.audio.onended = null;
+        item.audio.onerror = null;
+        item.audio.pause();
+        item.audio = null;
+    }
+
+    /**
+     * Resolve an item and release the current slot
+     * @param {Object} item - Queue item
+     * @param {boolean} completed - Every segment was spoken
+     * @param {boolean} cancelled - Stopped by cancel() or a higher priority
+     */
+    finish(item, completed, cancelled) {
+        if (item.done) return;
+
+        item.done = true;
+        item.cancelled = item.cancelled || cancelled;
+        this.clearWatchdog(item);
+        this.clearCaptionTimers(item);
+        if (this.current === item) this.current = null;
+
+        const result = { key: item.key, completed, cancelled };
+        item.resolve(result);
+        if (item.caption) {
+            item.caption = null;
+            this.emit('caption', { key: item.key, screen: item.screen, output: item.output, text: null });
+        }
+        this.emit('end', result);
+    }
+
+    /**
+     * Cancel the "did not start" check of an item
+     * @param {Object} item - Queue item
+     */
+    clearWatchdog(item) {
+        if (item.watchdog === null) return;
+
+        this.clearLater(item.watchdog);
+        item.watchdog = null;
+    }
+
+    /**
+     * Run a callback later with the configured scheduler
+     * @param {Function} callback - Function to run
+     * @param {number} delay - Milliseconds
+     * @returns {*} Timer id
+     */
+    later(callback, delay) {
+        return this.scheduler ? this.scheduler.setTimeout(callback, delay) : setTimeout(callback, delay);
+    }
+
+    /**
+     * Cancel a callback scheduled with later()
+     * @param {*} id - Timer id
+     */
+    clearLater(id) {
+        if (this.scheduler) {
+            this.scheduler.clear(id);
+        } else {
+            clearTimeout(id);
+        }
+    }
+
+    /**
+     * Notify listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error('❌ Error in narration listener:', error);
+            }
+        });
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NarrationService };
+} else if (typeof window !== 'undefined') {
+    window.NarrationService = NarrationService;
+}
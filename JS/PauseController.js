@@ -0,0 +1,182 @@
+/**
+ * Pause Controller Module
+ * Pausable replacements for setTimeout / setInterval / sleep so a presenter
+ * can freeze the whole flow (timers, pending transitions, looping sounds)
+ * and resume every pending callback with exactly the time it had left
+ */
+
+export class PauseController {
+    constructor() {
+        this.paused = false;
+        this.tasks = new Map(); // id -> { callback, delay, remaining, repeat, startedAt, handle }
+        this.nextId = 1;
+        this.listeners = [];
+    }
+
+    /**
+     * Schedule a callback once (pausable setTimeout)
+     * @param {Function} callback - Function to run
+     * @param {number} delay - Milliseconds
+     * @returns {string} Task id
+     */
+    setTimeout(callback, delay = 0) {
+        return this.addTask(callback, delay, false);
+    }
+
+    /**
+     * Schedule a repeating callback (pausable setInterval)
+     * @param {Function} callback - Function to run
+     * @param {number} period - Milliseconds between runs
+     * @returns {string} Task id
+     */
+    setInterval(callback, period) {
+        return this.addTask(callback, period, true);
+    }
+
+    /**
+     * Cancel a scheduled task (works for one-shot and repeating tasks)
+     * @param {string} id - Task id
+     */
+    clear(id) {
+        const task = this.tasks.get(id);
+        if (!task) return;
+
+        clearTimeout(task.handle);
+        this.tasks.delete(id);
+    }
+
+    /**
+     * Wait without blocking; the wait is frozen while paused
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+
+    /**
+     * Freeze every pending task, keeping the time each one has left
+     * @returns {boolean} Whether the state changed
+     */
+    pause() {
+        if (this.paused) return false;
+
+        const now = Date.now();
+        this.tasks.forEach(task => {
+            clearTimeout(task.handle);
+            task.handle = null;
+            task.remaining = Math.max(0, task.remaining - (now - task.startedAt));
+        });
+
+        this.paused = true;
+        console.log(`⏸️ Pause: ${this.tasks.size} pending task(s) frozen`);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Restart every frozen task with the time it had left
+     * @returns {boolean} Whether the state changed
+     */
+    resume() {
+        if (!this.paused) return false;
+
+        this.paused = false;
+        this.tasks.forEach((task, id) => this.startTask(id, task));
+
+        console.log(`▶️ Resume: ${this.tasks.size} pending task(s) restarted`);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Toggle between paused and running
+     * @returns {boolean} Paused state after toggling
+     */
+    toggle() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Check whether the flow is paused
+     * @returns {boolean}
+     */
+    isPaused() {
+        return this.paused;
+    }
+
+    /**
+     * Listen for pause / resume changes
+     * @param {Function} listener - Called with the paused state
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Register a task and start it unless paused
+     * @param {Function} callback - Function to run
+     * @param {number} delay - Milliseconds
+     * @param {boolean} repeat - Whether the task repeats
+     * @returns {string} Task id
+     */
+    addTask(callback, delay, repeat) {
+        const id = `pause-task-${this.nextId++}`;
+        const wait = Math.max(0, Number(delay) || 0);
+        const task = { callback, delay: wait, remaining: wait, repeat, startedAt: Date.now(), handle: null };
+
+        this.tasks.set(id, task);
+        if (!this.paused) {
+            this.startTask(id, task);
+        }
+        return id;
+    }
+
+    /**
+     * Start the native timer for a task with its remaining time
+     * @param {string} id - Task id
+     * @param {Object} task - Task record
+     */
+    startTask(id, task) {
+        task.startedAt = Date.now();
+        task.handle = setTimeout(() => {
+            if (task.repeat) {
+                task.remaining = task.delay;
+                this.startTask(id, task);
+            } else {
+                this.tasks.delete(id);
+            }
+
+            try {
+                task.callback();
+            } catch (error) {
+                console.error('❌ Error in scheduled task:', error);
+            }
+        }, task.remaining);
+    }
+
+    /**
+     * Notify listeners of the current state
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.paused);
+            } catch (error) {
+                console.error('❌ Error in pause listener:', error);
+            }
+        });
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PauseController };
+} else if (typeof window !== 'undefined') {
+    window.PauseController = PauseController;
+}
@@ -0,0 +1,314 @@
+/**
+ * Screen Flow Module
+ * Drives screen navigation from a declarative flow definition: forward and
+ * back transitions (with guards), extra links opened by buttons, and
+ * enter/exit hooks. Validates the graph at startup for missing screens,
+ * unreachable screens and dead ends.
+ *
+ * Flow definition:
+ * {
+ *   initial: 'screen',
+ *   guards: { name: (context) => boolean },
+ *   screens: {
+ *     screen: {
+ *       next: 'target' | [{ to: 'target', when: 'guardName' }, { to: 'fallback' }],
+ *       back: same shape as next,
+ *       links: ['target', ...],     // other screens this one can open directly
+ *       beforeNext: ['method'],     // run before resolving "next"
+ *       enter: ['method'],          // run after the screen is shown
+ *       exit: ['method'],           // run before leaving the screen
+ *       detour: true,               // side screen that returns to the screen that opened it
+ *       resumable: false,           // not saved as a checkpoint to resume after a reload
+ *       terminal: true              // end of the flow (no next required)
+ *     }
+ *   }
+ * }
+ * Hook names are methods of the context object (the app).
+ */
+
+export class ScreenFlow {
+    constructor(definition, context = null) {
+        this.definition = definition;
+        this.initial = definition.initial;
+        this.screens = definition.screens || {};
+        this.guards = definition.guards || {};
+        this.context = context;
+    }
+
+    /**
+     * Set the object that hooks and guards run against
+     * @param {Object} context - Usually the app instance
+     */
+    setContext(context) {
+        this.context = context;
+    }
+
+    /**
+     * Check whether a screen is part of the flow
+     * @param {string} screen - Screen name
+     * @returns {boolean}
+     */
+    hasScreen(screen) {
+        return Boolean(this.screens[screen]);
+    }
+
+    /**
+     * Check whether a screen is a detour (its forward move returns to an earlier screen)
+     * @param {string} screen - Screen name
+     * @returns {boolean}
+     */
+    isDetour(screen) {
+        const config = this.screens[screen];
+        return Boolean(config && config.detour);
+    }
+
+    /**
+     * Check whether a screen can be saved as a resume checkpoint
+     * @param {string} screen - Screen name
+     * @returns {boolean}
+     */
+    isResumable(screen) {
+        const config = this.screens[screen];
+        return Boolean(config && config.resumable !== false);
+    }
+
+    /**
+     * Check whether a screen ends the flow
+     * @param {string} screen - Screen name
+     * @returns {boolean}
+     */
+    isTerminal(screen) {
+        const config = this.screens[screen];
+        return Boolean(config && config.terminal);
+    }
+
+    /**
+     * Resolve the next screen from a screen, running its beforeNext hooks
+     * @param {string} screen - Current screen
+     * @returns {string|null}
+     */
+    getNext(screen) {
+        const config = this.screens[screen];
+        if (!config) return null;
+
+        this.runHooks(config.beforeNext, screen);
+        return this.resolveTransition(config.next);
+    }
+
+    /**
+     * Resolve the back target of a screen
+     * @param {string} screen - Current screen
+     * @returns {string|null}
+     */
+    getBack(screen) {
+        const config = this.screens[screen];
+        return config ? this.resolveTransition(config.back) : null;
+    }
+
+    /**
+     * Resolve a transition: a screen name or the first option whose guard passes
+     * @param {string|Array} transition - Transition definition
+     * @returns {string|null}
+     */
+    resolveTransition(transition) {
+        if (!transition) return null;
+        if (typeof transition === 'string') return transition;
+
+        const option = transition.find(candidate => !candidate.when || this.checkGuard(candidate.when));
+        return option ? option.to : null;
+    }
+
+    /**
+     * Evaluate a named guard
+     * @param {string} name - Guard name
+     * @returns {boolean}
+     */
+    checkGuard(name) {
+        const guard = this.guards[name];
+        if (typeof guard !== 'function') {
+            console.warn(`⚠️ Guard "${name}" is not defined`);
+            return false;
+        }
+        return Boolean(guard(this.context));
+    }
+
+    /**
+     * Check whether the flow declares a transition between two screens
+     * @param {string} from - Origin screen
+     * @param {string} to - Target screen
+     * @returns {boolean}
+     */
+    hasEdge(from, to) {
+        return this.getTargets(from).includes(to);
+    }
+
+    /**
+     * All screens reachable in one step from a screen
+     * @param {string} screen - Screen name
+     * @returns {Array<string>}
+     */
+    getTargets(screen) {
+        const config = this.screens[screen];
+        if (!config) return [];
+
+        const targets = [
+            ...this.getTransitionTargets(config.next),
+            ...this.getTransitionTargets(config.back),
+            ...(config.links || [])
+        ];
+        return [...new Set(targets)];
+    }
+
+    /**
+     * Screen names referenced by a transition definition
+     * @param {string|Array} transition - Transition definition
+     * @returns {Array<string>}
+     */
+    getTransitionTargets(transition) {
+        if (!transition) return [];
+        if (typeof transition === 'string') return [transition];
+        return transition.map(option => option.to);
+    }
+
+    /**
+     * Run the enter hooks of a screen
+     * @param {string} screen - Screen being entered
+     * @param {string} fromScreen - Previous screen
+     */
+    enter(screen, fromScreen) {
+        const config = this.screens[screen];
+        if (config) this.runHooks(config.enter, screen, fromScreen);
+    }
+
+    /**
+     * Run the exit hooks of a screen
+     * @param {string} screen - Screen being left
+     * @param {string} toScreen - Next screen
+     */
+    exit(screen, toScreen) {
+        const config = this.screens[screen];
+        if (config) this.runHooks(config.exit, screen, toScreen);
+    }
+
+    /**
+     * Call a list of context methods, isolating errors per hook
+     * @param {Array<string>} hooks - Method names
+     * @param {...*} args - Arguments passed to each hook
+     */
+    runHooks(hooks, ...args) {
+        (hooks || []).forEach(hook => {
+            const method = this.context && this.context[hook];
+            if (typeof method !== 'function') {
+                console.warn(`⚠️ Hook "${hook}" is not a method of the flow context`);
+                return;
+            }
+            try {
+                method.apply(this.context, args);
+            } catch (error) {
+                console.error(`❌ Error in hook "${hook}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Validate the flow graph
+     * @param {Array<string>} availableScreens - Screens that exist in the page
+     * @returns {Object} { errors, warnings }
+     */
+    validate(availableScreens = []) {
+        const errors = [];
+        const warnings = [];
+        const names = Object.keys(this.screens);
+
+        if (!this.screens[this.initial]) {
+            errors.push(`La pantalla inicial "${this.initial}" no está definida`);
+        }
+
+        names.forEach(screen => {
+            const config = this.screens[screen];
+
+            // Transitions must point to defined screens
+            this.getTargets(screen).forEach(target => {
+                if (!this.screens[target]) {
+                    errors.push(`"${screen}" → "${target}": la pantalla destino no está definida`);
+                }
+            });
+
+            // Guards must exist
+            [config.next, config.back].forEach(transition => {
+                if (Array.isArray(transition)) {
+                    transition.filter(option => option.when).forEach(option => {
+                        if (typeof this.guards[option.when] !== 'function') {
+                            errors.push(`"${screen}": la condición "${option.when}" no está definida`);
+                        }
+                    });
+                }
+            });
+
+            // Hooks must be methods of the context
+            ['beforeNext', 'enter', 'exit'].forEach(kind => {
+                (config[kind] || []).forEach(hook => {
+                    if (this.context && typeof this.context[hook] !== 'function') {
+                        errors.push(`"${screen}".${kind}: no existe el método "${hook}"`);
+                    }
+                });
+            });
+
+            // Dead end: nowhere to go and not marked as the end of the flow
+            const forward = [...this.getTransitionTargets(config.next), ...(config.links || [])];
+            if (!config.terminal && forward.length === 0) {
+                errors.push(`"${screen}" es un callejón sin salida (sin siguiente ni enlaces y no es final)`);
+            }
+
+            if (availableScreens.length > 0 && !availableScreens.includes(screen)) {
+                errors.push(`"${screen}" no tiene pantalla correspondiente en la página`);
+            }
+        });
+
+        // Screens in the page that the flow does not know about
+        availableScreens.filter(screen => !this.screens[screen]).forEach(screen => {
+            warnings.push(`"${screen}" existe en la página pero no forma parte del flujo`);
+        });
+
+        // Reachability from the initial screen
+        const reachable = new Set();
+        const pending = this.screens[this.initial] ? [this.initial] : [];
+        while (pending.length > 0) {
+            const screen = pending.pop();
+            if (reachable.has(screen)) continue;
+            reachable.add(screen);
+            this.getTargets(screen).forEach(target => {
+                if (this.screens[target] && !reachable.has(target)) pending.push(target);
+            });
+        }
+        names.filter(screen => !reachable.has(screen)).forEach(screen => {
+            errors.push(`"${screen}" no es alcanzable desde "${this.initial}"`);
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Log the result of validate() to the console
+     * @param {Object} result - { errors, warnings }
+     */
+    reportValidation(result) {
+        const { errors, warnings } = result;
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log(`🧭 Flujo de pantallas válido (${Object.keys(this.screens).length} pantallas)`);
+            return;
+        }
+
+        console.group(`⚠️ Flujo de pantallas: ${errors.length} error(es), ${warnings.length} advertencia(s)`);
+        errors.forEach(error => console.warn(`- ${error}`));
+        warnings.forEach(warning => console.warn(`- ${warning}`));
+        console.groupEnd();
+    }
+}
+
+// Universal Module Compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScreenFlow };
+} else if (typeof window !== 'undefined') {
+    window.ScreenFlow = ScreenFlow;
+}
@@ -4,17 +4,25 @@
  */
 
 // ===== CONFIGURACIÓN DE DATOS =====
+// Catálogo por defecto (respaldo si catalog.json no se puede cargar o no es válido)
 const PRODUCT_DATA = {
+    version: 1,
+    units: {
+        unit: { singular: 'unidad', plural: 'unidades' },
+        bottle: { singular: 'botella', plural: 'botellas' },
+        bar: { singular: 'barra', plural: 'barras' },
+        liter: { singular: 'litro', plural: 'litros' }
+    },
     products: [
-        { name: 'Detergente para ropa', emoji: '🧴', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Desinfectante de pisos', emoji: '🧹', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Jabón lavaplatos', emoji: '🍽️', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Desengrasante', emoji: '🧽', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Limpiador de cristales', emoji: '🪟', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Shampoo', emoji: '🧴', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Gel de baño', emoji: '🧴', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Jabón en barra corporal', emoji: '🧼', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] },
-        { name: 'Jabón especial para el rostro', emoji: '🧴', prices: [0, 2, 6.99, 9.99, 19.99, 29.99] }
+        { name: 'Detergente para ropa', emoji: '🧴', unit: 'bottle', savingsFactor: 0.8, prices: [0, 4.99, 8.99, 12.99, 19.99, 29.99, 39.99], otherAmount: { min: 1, max: 100 } },
+        { name: 'Desinfectante de pisos', emoji: '🧹', unit: 'liter', savingsFactor: 0.8, prices: [0, 1.99, 2.99, 4.49, 6.99, 9.99], otherAmount: { min: 0.5, max: 50 } },
+        { name: 'Jabón lavaplatos', emoji: '🍽️', unit: 'bottle', savingsFactor: 0.8, prices: [0, 1.99, 2.99, 4.49, 6.99, 9.99], otherAmount: { min: 0.5, max: 50 } },
+        { name: 'Desengrasante', emoji: '🧽', unit: 'bottle', savingsFactor: 0.8, prices: [0, 2.99, 4.49, 6.99, 9.99, 14.99], otherAmount: { min: 1, max: 50 } },
+        { name: 'Limpiador de cristales', emoji: '🪟', unit: 'bottle', savingsFactor: 0.8, prices: [0, 2.49, 3.99, 5.49, 7.99, 11.99], otherAmount: { min: 0.5, max: 50 } },
+        { name: 'Shampoo', emoji: '🧴', unit: 'bottle', personalCare: true, savingsFactor: 0.5, prices: [0, 3.99, 6.99, 9.99, 14.99, 24.99, 34.99], otherAmount: { min: 1, max: 100 } },
+        { name: 'Gel de baño', emoji: '🧴', unit: 'bottle', personalCare: true, savingsFactor: 0.5, prices: [0, 3.49, 5.99, 8.99, 12.99, 19.99], otherAmount: { min: 1, max: 80 } },
+        { name: 'Jabón en barra corporal', emoji: '🧼', unit: 'bar', personalCare: true, savingsFactor: 0.5, prices: [0, 0.99, 1.99, 2.99, 4.99, 7.99], otherAmount: { min: 0.25, max: 30 } },
+        { name: 'Jabón especial para el rostro', emoji: '🧴', unit: 'bar', personalCare: true, savingsFactor: 0.5, prices: [0, 4.99, 9.99, 19.99, 34.99, 49.99, 79.99], otherAmount: { min: 1, max: 200 } }
     ],
     quantities: [0, 1, 2, 3], // 0 = Ninguno
     waterTypes: [
@@ -24,7 +32,429 @@ const PRODUCT_DATA = {
         { name: 'Agua especial Alcalina', emoji: '💎', value: 'alkaline' }
     ],
     waterFrequencies: [1, 2, 3, 4, 5, 6, 7, 8, 9],
-    waterPrices: [4.25, 7.25, 9.25, 12.25, 20]
+    waterPrices: [4.25, 7.25, 9.25, 12.25, 20],
+    quantityOtherAmount: { min: 1, max: 30 }, // Rango para "Otra cantidad"
+    waterPriceOtherAmount: { min: 0.5, max: 200 }, // Rango para "Otro monto" del agua
+    currency: { code: 'USD', locale: 'es-US' }, // Moneda en la que están los precios
+    // Parámetros del sistema Pasteur para el análisis de recuperación de la inversión
+    pasteurSystem: { initialCost: 2500, monthlyMaintenance: 15, systemLifespan: 15, productSavings: 0.8, waterSavings: 0.6 }
+};
+
+// Ruta del catálogo externo de productos y agua
+const CATALOG_URL = 'catalog.json';
+
+// Paquete opcional de narración grabada (para tabletas sin voz en español)
+const NARRATION_CLIPS_URL = 'audio/narration/manifest.json';
+
+// Antigüedad máxima de una partida guardada para ofrecer continuarla (30 minutos)
+const SESSION_RESUME_MAX_AGE = 30 * 60 * 1000;
+
+// Segundos que agrega el botón "+10 s" en el modo "Necesito más tiempo"
+const TIMER_EXTENSION_SECONDS = 10;
+
+// Pantalla del hogar: mayor número de personas que se ofrece y formas de responder el cuidado personal
+const HOUSEHOLD_MAX_SIZE = 8;
+const HOUSEHOLD_MODES = [
+    { value: 'together', label: '🏠 Todos juntos' },
+    { value: 'person', label: '👤 Por persona' },
+    { value: 'groups', label: '👨‍👩‍👧 Adultos y niños' }
+];
+
+// Demostración en espera (kiosco): segundos por diapositiva, pausa antes de "tocar" la opción y volumen de la voz baja
+const ATTRACT_SLIDE_SECONDS = 6;
+const ATTRACT_TAP_DELAY = 1800;
+const ATTRACT_LOW_VOLUME = 0.25;
+
+// Compras semanales a mensuales: la calculadora cuenta 4 semanas por mes (48 al año) en gastos e impacto
+const WEEKS_PER_MONTH = 4;
+
+// PIN de fábrica: solo sirve para el primer ingreso, que obliga a elegir uno nuevo
+const FACTORY_PIN = '1234';
+
+// Configuración por defecto del operador (editable desde la pantalla oculta de configuración)
+const OPERATOR_DEFAULTS = {
+    pinHash: null, // Huella del PIN del operador (nunca se guarda el PIN escrito)
+    timerSeconds: 15,
+    timeoutAction: 'guess', // Al agotarse el tiempo: 'guess' = elegir un valor medio, 'skip' = omitir el producto
+    accessibleTimerMultiplier: 2, // Modo "Necesito más tiempo": multiplica el tiempo (0 = sin límite)
+    revealMinSeconds: 2, // Resultados: espera mínima aunque la narración termine antes
+    revealMaxSeconds: 15, // Resultados: espera máxima aunque la narración siga hablando
+    hiddenProducts: [], // Nombres de productos que no se preguntan
+    priceOverrides: {}, // { nombreProducto: [precios] }
+    prizeBenefit: 'la dotación de todos los productos evaluados',
+    prizeYears: 5,
+    prizeProduct: 'Purificador de Agua Pasteur Water System',
+    currency: null, // null = moneda definida en el catálogo
+    inflationCleaning: 3, // Inflación anual de productos de limpieza y aseo (%)
+    inflationWater: 5, // Inflación anual del agua (%)
+    financePrice: null, // Precio del sistema financiado (null = según catálogo)
+    financeDownPayment: 0, // Pago inicial sugerido
+    financeInstallments: 12, // Cuotas por defecto
+    financeAnnualRate: 0, // Tasa de interés anual (%), 0 = promoción sin intereses
+    benchmarkRegion: null, // Región para comparar gastos (null = región general)
+    familyHouseholdSize: 4, // Personas asumidas cuando se juega como "Familia"
+    idleResetSeconds: 0, // Solo kioscos: sin actividad, volver al inicio y borrar los datos del cliente (0 = nunca)
+    attractLoop: 'low', // Demostración en espera: 'low' = voz baja, 'muted' = sin voz, 'off' = sin demostración
+    narrationOutput: 'auto', // 'auto' = grabación, voz en español o subtítulos según el equipo; 'recorded', 'speech', 'captions'
+    captions: 'accessible' // Subtítulos: 'always' = siempre, 'accessible' = en el modo "Necesito más tiempo", 'off' = solo si el cliente los activa
+};
+
+// Flujo de pantallas: transiciones (con condiciones), enlaces desde botones y acciones al entrar/salir.
+// Los nombres de "enter", "exit" y "beforeNext" son métodos de CalculadoraApp.
+// "resumable: false" excluye la pantalla de los puntos de control para continuar tras recargar.
+const SCREEN_FLOW = {
+    initial: 'initial-welcome',
+    guards: {
+        hasMoreProducts: (app) => app.gameState.currentProductIndex < app.catalog.products.length,
+        hasProductPrice: (app) => Boolean(app.gameState.currentProductData),
+        isFamily: (app) => app.getUserNameInfo().isPlural,
+        isTapWater: (app) => Boolean(app.gameState.waterType && app.gameState.waterType.value === 'tap'),
+        financingFromPrize: (app) => app.financingReturnScreen === 'prize'
+    },
+    screens: {
+        'initial-welcome': { next: 'welcome', links: ['admin'], resumable: false, enter: ['resetAccessibleMode', 'setupLogoWaterSound'], exit: ['stopWaterDropSound'] },
+        'welcome': { next: [{ to: 'household', when: 'isFamily' }, { to: 'rules' }], back: 'initial-welcome', enter: ['updateWelcomeScreenTexts', 'scheduleWelcomeNarration'] },
+        'household': { next: 'rules', back: 'welcome', enter: ['setupHouseholdScreen'] },
+        'rules': { next: 'countdown', back: [{ to: 'household', when: 'isFamily' }, { to: 'welcome' }], enter: ['enterRulesScreen'] },
+        'countdown': { next: 'price', back: 'rules', enter: ['startCountdown'] },
+        'price': {
+            next: [{ to: 'quantity', when: 'hasProductPrice' }, { to: 'price', when: 'hasMoreProducts' }, { to: 'cleaning-result' }],
+            back: 'countdown',
+            enter: ['setupPriceScreen'],
+            exit: ['stopTimer']
+        },
+        'quantity': {
+            next: [{ to: 'price', when: 'hasMoreProducts' }, { to: 'cleaning-result' }],
+            back: 'price',
+            beforeNext: ['advanceProductIndex'],
+            enter: ['setupQuantityScreen'],
+            exit: ['stopTimer']
+        },
+        'cleaning-result': { next: 'water-type', back: 'quantity', enter: ['showCleaningResult'] },
+        'water-type': {
+            next: [{ to: 'water-warning', when: 'isTapWater' }, { to: 'water-frequency' }],
+            back: 'cleaning-result',
+            enter: ['setupWaterTypeScreen', 'startWaterTypeNarration']
+        },
+        'water-warning': { next: 'water-simulation', back: 'water-type', enter: ['showWaterWarning', 'startWaterWarningNarration'] },
+        'water-simulation': { next: 'water-frequency', back: 'water-warning', enter: ['setupWaterSimulationScreen'] },
+        'water-frequency': {
+            next: 'water-price',
+            back: [{ to: 'water-simulation', when: 'isTapWater' }, { to: 'water-type' }],
+            enter: ['setupWaterFrequencyScreen']
+        },
+        'water-price': { next: 'water-result', back: 'water-frequency', enter: ['setupWaterPriceScreen'] },
+        'water-result': { next: 'results', back: 'water-price', enter: ['showWaterResult'] },
+        'results': { next: 'multiplier', back: 'water-result', enter: ['showResults'] },
+        'multiplier': { next: 'years-multiplier', back: 'results', enter: ['setupMultiplierScreen'] },
+        'years-multiplier': { next: 'years-result', back: 'multiplier', enter: ['setupYearsMultiplierScreen'] },
+        'years-result': { next: 'validation', back: 'years-multiplier', enter: ['showYearsResult'], exit: ['stopYearsRepeatingAlarm'] },
+        'validation': { next: 'analysis', back: 'years-result', links: ['review'], enter: ['setupValidationScreen', 'startValidationNarration'] },
+        'review': { next: 'validation', back: 'validation', detour: true, enter: ['setupReviewScreen', 'speakValidationReviewMessage'] },
+        'analysis': { next: 'prize', back: 'validation', enter: ['setupAnalysisScreen', 'showAnalysis'] },
+        'prize': {
+            next: 'specialist',
+            back: 'analysis',
+            links: ['benefit-ahorro', 'benefit-salud', 'benefit-tranquilidad', 'financing'],
+            enter: ['setupPrizeScreen', 'showConfetti', 'startPrizeNarration']
+        },
+        'benefit-ahorro': { next: 'prize', back: 'prize', detour: true, enter: ['setupBenefitAhorroScreen', 'startBenefitAhorroNarration'] },
+        'benefit-salud': { next: 'prize', back: 'prize', detour: true, enter: ['setupBenefitSaludScreen', 'startBenefitSaludNarration'] },
+        'benefit-tranquilidad': { next: 'prize', back: 'prize', detour: true, enter: ['setupBenefitTranquilidadScreen', 'startBenefitTranquilidadNarration'] },
+        'specialist': { next: 'summary', back: 'prize', links: ['financing'], enter: ['setupSpecialistScreen', 'startSpecialistNarration'] },
+        'financing': {
+            next: [{ to: 'specialist', when: 'financingFromPrize' }, { to: 'summary' }],
+            back: [{ to: 'prize', when: 'financingFromPrize' }, { to: 'specialist' }],
+            enter: ['setupFinancingScreen']
+        },
+        'summary': { back: 'specialist', terminal: true, resumable: false, enter: ['recordSessionAnalytics', 'generateSummaryTable', 'showSummaryDownloadButton'] },
+        'admin': { next: 'initial-welcome', back: 'initial-welcome', detour: true, resumable: false, enter: ['setupAdminScreen'] }
+    }
+};
+
+// Guiones de narración por pantalla (NarrationService). "segments" es una lista o una función (app, params) => lista.
+// Cada segmento: { text, rate, pitch, voice: 'male', pause (ms de silencio después) }; por defecto rate 0.88 y pitch 1.2.
+// "priority" más alta interrumpe a la narración en curso; al salir de "screen" se cancela lo pendiente de esa pantalla.
+// "clips": audios grabados del paquete de narración (NarrationClips), una lista o función (app, params) => lista de
+// IDs de clip, { words: 'texto' } (montos armados palabra por palabra) y { pause: ms }. Sin "clips" se usa el clip
+// con el mismo ID del guion; null = sin grabación (texto variable). Los nombres del cliente no se graban.
+const NARRATION_SCRIPTS = {
+    'welcome': {
+        screen: 'welcome',
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            const mainText = nameInfo.isPlural
+                ? '¿Están listos para descubrir cuánto dinero están gastando realmente en productos de limpieza y agua poco saludable? Solo les tomará unos segundos. Presiona: SÍ, QUIERO SABER, y comencemos.'
+                : `¿Estás ${nameInfo.readyText || 'listo'} para descubrir cuánto dinero estás gastando realmente en productos de limpieza y agua poco saludable? Solo te tomará unos segundos. Presiona: SÍ, QUIERO SABER, y comencemos.`;
+            return [{ text: nameInfo.greeting, pitch: 1.25, pause: 1000 }, { text: mainText }];
+        }
+    },
+    'rules': {
+        screen: 'rules',
+        clips: (app) => {
+            const seconds = app.getTimerSeconds();
+            return seconds ? ['rules-intro', { words: `${app.numberToWords(seconds)} segundos` }, 'rules-outro'] : ['rules-untimed'];
+        },
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            if (nameInfo.isPlural) {
+                return [`El reto comienza. ${app.getTimerRulesText(true)} Recuerda: No tiene que ser exacto. Solo elijan la opción que más se acerque a su realidad. ¿Preparados? Empecemos.`];
+            }
+            const preparedText = nameInfo.isFeminine ? 'Preparada' : 'Preparado';
+            return [`El reto comienza. ${app.getTimerRulesText(false)} Recuerda: No tiene que ser exacto. Solo elige la opción que más se acerque a tu realidad. ¿${preparedText}? Empecemos.`];
+        }
+    },
+    'cleaning-calculating': {
+        screen: 'cleaning-result',
+        segments: (app) => [app.getUserNameInfo().isPlural
+            ? 'Sumando sus gastos en productos de limpieza y aseo. Espere un momento.'
+            : 'Sumando tus gastos en productos de limpieza y aseo. Espere un momento.']
+    },
+    'cleaning-total': {
+        screen: 'cleaning-result',
+        segments: (app, params) => [
+            { text: `Tus gastos mensuales en productos de limpieza y aseo personal son aproximadamente ${app.moneyToWords(params.total)}`, pause: 800 },
+            ...(params.reflective ? [{ text: 'Ahora que lo ves claramente, tu cerebro ya no puede ignorar este gasto.', rate: 0.85 }] : [])
+        ],
+        clips: (app, params) => [
+            'cleaning-total', { words: app.moneyToWords(params.total) }, { pause: 800 },
+            ...(params.reflective ? ['cleaning-reflective'] : [])
+        ]
+    },
+    'water-type': {
+        screen: 'water-type',
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            let text = 'Ahora hablemos del agua que consumes. Será rápido, así que ¿atentos?';
+            if (nameInfo.displayName) {
+                text = nameInfo.isPlural
+                    ? `Ahora, ${nameInfo.displayName}, hablemos del agua que consumen. Será rápido, así que ¿atentos?`
+                    : `Ahora, ${nameInfo.displayName}, hablemos del agua que consumes. Será rápido, así que ¿atentos?`;
+            }
+            return [{ text, rate: 0.95, pitch: 1.5 }];
+        }
+    },
+    'water-warning': {
+        screen: 'water-warning',
+        priority: 2,
+        segments: (app, params) => [{ text: params.text, voice: 'male', rate: 0.85, pitch: 1.15 }],
+        clips: null
+    },
+    'water-simulation': {
+        screen: 'water-simulation',
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            let text = 'No se preocupe, usted hoy tiene la solución en sus manos, así que hagamos una simulación de gastos de agua.';
+            if (nameInfo.displayName) {
+                text = nameInfo.isPlural
+                    ? `${nameInfo.displayName}, no se preocupen, ustedes hoy tienen la solución en sus manos, así que hagamos una simulación de gastos de agua.`
+                    : `${nameInfo.displayName}, no se preocupe, usted hoy tiene la solución en sus manos, así que hagamos una simulación de gastos de agua.`;
+            }
+            return [{ text, rate: 0.95, pitch: 1.5 }];
+        }
+    },
+    'water-calculating': {
+        screen: 'water-result',
+        segments: (app) => [app.getUserNameInfo().isPlural
+            ? 'Sumando sus gastos totales de consumo de agua. Espere un momento.'
+            : 'Sumando tus gastos totales de consumo de agua. Espere un momento.']
+    },
+    'water-total': {
+        screen: 'water-result',
+        segments: (app, params) => [
+            { text: `Tus gastos mensuales en consumo de agua son aproximadamente ${app.moneyToWords(params.total)}`, rate: 0.95, pitch: 1.5, pause: 800 },
+            {
+                text: app.getUserNameInfo().isPlural
+                    ? 'Estos gastos solo corresponden al agua que consumen. Ahora veremos cuál es el resultado de la suma de gastos de productos de limpieza y aseo personal, más el agua que consumen.'
+                    : 'Estos gastos solo corresponden al agua que consumes. Ahora veremos cuál es el resultado de la suma de gastos de productos de limpieza y aseo personal, más el agua que consumes.',
+                rate: 0.95,
+                pitch: 1.5
+            }
+        ],
+        clips: (app, params) => ['water-total', { words: app.moneyToWords(params.total) }, { pause: 800 }, 'water-total-note']
+    },
+    'general-results': {
+        screen: 'results',
+        segments: (app) => [app.getUserNameInfo().isPlural ? 'Sumando sus gastos generales.' : 'Sumando tus gastos generales.']
+    },
+    'years-calculating': {
+        screen: 'years-result',
+        segments: (app, params) => {
+            const yearsText = `${params.years} ${params.years === 1 ? 'año' : 'años'}`;
+            return [app.getUserNameInfo().isPlural ? `Calculando sus gastos por ${yearsText}` : `Calculando tus gastos por ${yearsText}`];
+        },
+        clips: (app, params) => ['years-calculating', { words: `${app.numberToWords(params.years)} ${params.years === 1 ? 'año' : 'años'}` }]
+    },
+    'years-result': {
+        screen: 'years-result',
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            const state = app.gameState;
+            const yearsTotal = state.yearsTotalAccumulated || 0;
+            const spokenTotal = app.moneyToWords(yearsTotal);
+            const adjustedTotal = state.yearsTotalAdjusted || 0;
+            const hasInflation = state.yearsProjection && adjustedTotal > yearsTotal;
+            let text = state.userName ? `${state.userName}, ` : '';
+            
+            if (!app.isSpendingAboveTypical(state.benchmark)) {
+                // Gasto dentro o por debajo de lo típico: mensaje honesto sin alarma
+                const level = state.benchmark.level === 'below' ? 'por debajo de lo típico' : 'dentro de lo típico';
+                text += nameInfo.isPlural
+                    ? `sus gastos están ${level} para un hogar como el de ustedes. Aun así, con los años esto suma ${spokenTotal}.`
+                    : `tus gastos están ${level} para un hogar como el tuyo. Aun así, con los años esto suma ${spokenTotal}.`;
+                if (hasInflation) text += ` Y con los aumentos de precio, podría llegar a ${app.moneyToWords(adjustedTotal)}.`;
+            } else if (nameInfo.isPlural) {
+                text += 'como pueden ver, sus gastos superan los estándares de consumo, convirtiéndose esto en una pérdida monetaria importante para ustedes. Si no toman una medida, nunca podrán rescatar este dinero. ';
+                text += `Ustedes podrían estar perdiendo ${spokenTotal}.`;
+                if (hasInflation) text += ` Y con los aumentos de precio, esa cifra podría llegar a ${app.moneyToWords(adjustedTotal)}.`;
+            } else {
+                text += 'como puede ver, sus gastos superan los estándares de consumo, convirtiéndose esto en una pérdida monetaria importante para usted. Si no toma una medida, nunca podrá rescatar este dinero. ';
+                text += `Usted podría estar perdiendo ${spokenTotal}.`;
+                if (hasInflation) text += ` Y con los aumentos de precio, esa cifra podría llegar a ${app.moneyToWords(adjustedTotal)}.`;
+            }
+            return [{ text, rate: 0.85 }];
+        },
+        clips: (app) => {
+            const state = app.gameState;
+            const adjustedTotal = state.yearsTotalAdjusted || 0;
+            const hasInflation = state.yearsProjection && adjustedTotal > (state.yearsTotalAccumulated || 0);
+            let level = 'above';
+            if (!app.isSpendingAboveTypical(state.benchmark)) level = state.benchmark.level === 'below' ? 'below' : 'typical';
+            return [
+                `years-result-${level}`, { words: app.moneyToWords(state.yearsTotalAccumulated || 0) },
+                ...(hasInflation ? ['years-result-inflation', { words: app.moneyToWords(adjustedTotal) }] : [])
+            ];
+        }
+    },
+    'validation': {
+        screen: 'validation',
+        segments: (app) => [{
+            text: app.getUserNameInfo().isPlural
+                ? '¿Seguro que los montos de precios ingresados, reflejan el aproximado de sus gastos al mes?'
+                : '¿Seguro que los montos de precios ingresados, reflejan el aproximado de tus gastos al mes?',
+            rate: 0.95,
+            pitch: 1.5
+        }]
+    },
+    'review': {
+        screen: 'review',
+        segments: (app) => [app.getUserNameInfo().isPlural ? 'Ok, revisemos de nuevo sus precios' : 'Ok, revisemos de nuevo tus precios']
+    },
+    'analysis': {
+        screen: 'analysis',
+        segments: (app) => [app.getUserNameInfo().isPlural
+            ? 'Analizando su situación. Obteniendo resultados de calificación.'
+            : 'Analizando tu situación. Obteniendo resultados de calificación.']
+    },
+    'analysis-result': {
+        screen: 'analysis',
+        segments: (app, params) => {
+            const analysis = params.analysis;
+            const isPlural = app.getUserNameInfo().isPlural;
+            // Sin ahorro neto (el mantenimiento supera lo que se ahorra) no se habla de "ahorrar"
+            if (analysis.monthlySavings.total <= 0) {
+                return [isPlural
+                    ? 'Con su consumo actual, el sistema Pasteur no les generaría ahorro mensual: el mantenimiento supera lo que dejarían de gastar.'
+                    : 'Con tu consumo actual, el sistema Pasteur no te generaría ahorro mensual: el mantenimiento supera lo que dejarías de gastar.'];
+            }
+            let text = isPlural
+                ? `Con el sistema Pasteur ustedes podrían ahorrar ${app.moneyToWords(analysis.monthlySavings.total)} al mes. `
+                : `Con el sistema Pasteur podrías ahorrar ${app.moneyToWords(analysis.monthlySavings.total)} al mes. `;
+            if (analysis.isWorthwhile) {
+                text += `La inversión se recupera en el mes ${analysis.breakEvenMonth}, y en ${analysis.lifetime.years} años el ahorro total sería de ${app.moneyToWords(analysis.lifetime.totalSavings)}.`;
+            } else {
+                text += `Con ese ahorro, la inversión no se recupera en los ${analysis.lifetime.years} años de vida del sistema.`;
+            }
+            return [text];
+        },
+        clips: (app, params) => {
+            const analysis = params.analysis;
+            if (analysis.monthlySavings.total <= 0) return ['analysis-no-savings'];
+            return [
+                'analysis-savings', { words: app.moneyToWords(analysis.monthlySavings.total) }, 'analysis-per-month',
+                ...(analysis.isWorthwhile ? [
+                    'analysis-break-even', { words: app.numberToWords(analysis.breakEvenMonth) },
+                    'analysis-lifetime', { words: `${app.numberToWords(analysis.lifetime.years)} años` },
+                    'analysis-total', { words: app.moneyToWords(analysis.lifetime.totalSavings) }
+                ] : ['analysis-no-payback', { words: `${app.numberToWords(analysis.lifetime.years)} años` }])
+            ];
+        }
+    },
+    'prize': {
+        screen: 'prize',
+        segments: (app) => {
+            const nameInfo = app.getUserNameInfo();
+            const prize = app.getPrizeInfo();
+            let questionText = '¿Al comenzar desde hoy mismo lo harían por?';
+            if (!nameInfo.isPlural) {
+                // Aplicar género: "lo harías" para mujer, "lo haría" para hombre
+                questionText = nameInfo.isFeminine ? '¿Al comenzar desde hoy mismo lo harías por?' : '¿Al comenzar desde hoy mismo lo haría por?';
+            }
+            return [
+                { text: '¡Felicidades!', pause: 500 },
+                {
+                    text: nameInfo.isPlural
+                        ? `Han calificado para recibir gratis ${prize.benefit}, durante ${prize.yearsText}.`
+                        : `Has calificado para recibir gratis ${prize.benefit}, durante ${prize.yearsText}.`,
+                    pause: 500
+                },
+                { text: `Todo esto incluido con la adquisición del ${prize.product}.`, pause: 500 },
+                { text: questionText, pause: 800 }, // Pausa más larga antes de los botones
+                { text: 'Ahorro.', pause: 500 },
+                { text: 'Salud.', pause: 500 },
+                { text: 'Tranquilidad.' }
+            ];
+        },
+        clips: (app) => {
+            const prize = app.getPrizeInfo();
+            return [
+                'prize-congrats', { pause: 500 },
+                'prize-benefit', { words: prize.benefit }, 'prize-during', { words: `${app.numberToWords(prize.years)} ${prize.years === 1 ? 'año' : 'años consecutivos'}` }, { pause: 500 },
+                'prize-product', { words: prize.product }, { pause: 500 },
+                'prize-question', { pause: 800 },
+                'prize-options'
+            ];
+        }
+    },
+    'benefit-ahorro': {
+        screen: 'benefit-ahorro',
+        segments: (app) => [{
+            text: app.getUserNameInfo().isPlural
+                ? 'Ahorro. Invertir una sola vez para dejar de pagar agua embotellada todos los meses. Su cerebro percibe control financiero y menor gasto futuro. Felicidades!'
+                : 'Ahorro. Invertir una sola vez para dejar de pagar agua embotellada todos los meses. Tu cerebro percibe control financiero y menor gasto futuro. Felicidades!',
+            rate: 0.95,
+            pitch: 1.5
+        }]
+    },
+    'benefit-salud': {
+        screen: 'benefit-salud',
+        segments: (app) => [{
+            text: app.getUserNameInfo().isPlural
+                ? 'Salud. Agua libre de contaminantes que su cuerpo reconoce como segura. Menos carga tóxica, más energía y bienestar a largo plazo. Felicidades!'
+                : 'Salud. Agua libre de contaminantes que tu cuerpo reconoce como segura. Menos carga tóxica, más energía y bienestar a largo plazo. Felicidades!',
+            rate: 0.95,
+            pitch: 1.5
+        }]
+    },
+    'benefit-tranquilidad': {
+        screen: 'benefit-tranquilidad',
+        segments: (app) => [{
+            text: app.getUserNameInfo().isPlural
+                ? 'Tranquilidad. La certeza diaria de que ustedes y su familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático. Felicidades!'
+                : 'Tranquilidad. La certeza diaria de que tú y tu familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático. Felicidades!',
+            rate: 0.95,
+            pitch: 1.5
+        }]
+    },
+    'specialist': {
+        screen: 'specialist',
+        segments: (app) => [{
+            text: app.getUserNameInfo().isPlural
+                ? 'Felicidades, nuestros especialistas les ayudarán en todo desde ya mismo.'
+                : 'Felicidades, nuestros especialistas le ayudarán en todo desde ya mismo.',
+            rate: 0.85
+        }]
+    }
 };
 
 // ===== CLASE PRINCIPAL DE LA APLICACIÓN =====
@@ -35,8 +465,10 @@ class CalculadoraApp {
             userName: '', // Nombre del usuario
             gender: '', // Género seleccionado: 'hombre', 'mujer', 'familia'
             isPlural: false, // Indica si el nombre es plural (familia o múltiples nombres)
-            products: [], // Array de {product, price, quantity, total}
+            products: [], // Array de {product, price, quantity, unit, total, member}
             currentProductIndex: 0,
+            household: null, // Familias: { size, mode: 'together' | 'person' | 'groups', members: [nombres] }
+            currentMemberIndex: 0, // Integrante que responde el producto de cuidado personal actual
             monthlyTotal: 0,
             waterType: null,
             waterFrequency: null,
@@ -45,13 +477,28 @@ class CalculadoraApp {
             multiplier: 1,
             totalAccumulated: 0,
             yearsMultiplier: 1,
-            yearsTotalAccumulated: 0
+            yearsTotalAccumulated: 0,
+            yearsTotalAdjusted: 0, // Total por años con inflación
+            yearsProjection: null, // Proyección año por año (CalculatorModule)
+            pasteurAnalysis: null, // Recuperación de la inversión y ROI del sistema Pasteur
+            financing: null, // Plan elegido en pantalla: { downPayment, installments }
+            benchmark: null, // Clasificación del gasto frente a lo típico (below/at/above)
+            analyticsRecorded: false // La sesión ya se sumó a las estadísticas del equipo
         };
         this.timers = {};
+        this.timerRemaining = {}; // Segundos restantes de cada timer activo
+        this.timerBonus = {}; // Segundos agregados con "+10 s" pendientes de sumar al timer
+        this.pauseController = null; // Pausa del presentador (congela todo lo programado con schedule)
+        this.idleMonitor = null; // Detector de inactividad para el modo kiosco (IdleMonitor)
+        this.attractLoop = null; // Demostración en espera: { slides, index, interval, tapTimer }
+        this.emptyGameState = this.cloneGameState(this.gameState); // Estado vacío para borrar los datos del cliente
+        this.accessibleMode = false; // Modo "Necesito más tiempo" de la sesión actual
+        this.captionsEnabled = null; // Subtítulos elegidos por el cliente (null = según la configuración)
         this.isPriceScreen = true; // Alterna entre precio y cantidad
         this.speechSynthesis = null; // Para la narración de bienvenida
-        this.currentUtterance = null; // Para controlar la lectura actual
-        this.isNarrating = false; // Bandera para evitar narraciones duplicadas
+        this.narration = null; // Cola de narraciones con guiones por pantalla (NarrationService)
+        this.narrationClips = null; // Paquete de narración grabada (NarrationClips)
+        this.preferences = {}; // Voz y sonidos del equipo (preferencias de DataStorage)
         this.rulesNarrationPlayed = false; // Bandera para evitar que se repita la narración de reglas
         this.selectedVoice = null; // Voz seleccionada una sola vez para toda la aplicación
         this.voiceSelectionAttempted = false; // Bandera para saber si ya intentamos seleccionar la voz
@@ -61,6 +508,22 @@ class CalculadoraApp {
         this.waterDropInterval = null; // Intervalo para el sonido de gota en pantalla principal
         this.audioContext = null; // AudioContext compartido para sonidos
         this.clockTickCounter = 0; // Contador para alternar tick-tock
+        this.baseCatalog = PRODUCT_DATA; // Catálogo cargado (catalog.json o el de respaldo)
+        this.catalog = PRODUCT_DATA; // Catálogo activo (catálogo cargado + ajustes del operador)
+        this.dataStorage = null; // Almacenamiento persistente (DataStorage)
+        this.money = null; // Formateador de montos (MoneyFormatter)
+        this.calculator = null; // Proyecciones y análisis (CalculatorModule)
+        this.financing = null; // Planes de financiamiento (FinancingCalculator)
+        this.financingReturnScreen = 'prize'; // Pantalla desde la que se abrió el financiamiento
+        this.impact = null; // Impacto ambiental del agua embotellada (ImpactCalculator)
+        this.benchmarks = null; // Gasto típico por tamaño de hogar y región (BenchmarkCalculator)
+        this.flow = null; // Flujo de pantallas (ScreenFlow)
+        this.screenHistory = []; // Pasos visitados: { screen, state } con el estado al entrar a cada pantalla
+        this.screenVisit = 0; // Contador de transiciones (para cancelar avances automáticos pendientes)
+        this.operatorSettings = { ...OPERATOR_DEFAULTS }; // Configuración del operador
+        this.adminTapCount = 0; // Toques sobre el logo para abrir la configuración
+        this.adminTapTimer = null;
+        this.keypadState = null; // Estado del teclado numérico de "Otro monto" mientras está abierto
     }
 
     // Inicializar la aplicación
@@ -82,6 +545,26 @@ class CalculadoraApp {
     initializeApp() {
         console.log('🔧 Iniciando configuración de la aplicación...');
         
+        // Pausa del presentador primero, para que todo lo programado después se pueda congelar
+        this.initPauseController();
+        this.initNarrationService();
+        
+        // Cargar almacenamiento y configuración del operador
+        this.initDataStorage();
+        this.loadPreferences();
+        this.initMoneyFormatter();
+        this.initCalculator();
+        this.initFinancingCalculator();
+        this.initImpactCalculator();
+        this.initBenchmarkCalculator();
+        this.initScreenFlow();
+        this.loadOperatorSettings();
+        this.initIdleMonitor();
+        
+        // Cargar catálogo de productos (usa el catálogo por defecto mientras carga)
+        const catalogReady = this.loadCatalog();
+        this.loadNarrationClips();
+        
         // Configurar event listeners inmediatamente
         this.setupEventListeners();
         
@@ -91,6 +574,9 @@ class CalculadoraApp {
             console.log('✅ Pantalla inicial encontrada');
         // Mostrar pantalla inicial de bienvenida
         this.showScreen('initial-welcome');
+        // Ofrecer continuar una partida interrumpida (recarga, bloqueo del teléfono, cierre de la pestaña)
+        // una vez cargado el catálogo, para restaurar con los precios actuales
+        catalogReady.then(() => this.offerSessionResume());
         } else {
             console.error('❌ ERROR: No se encontró la pantalla inicial initial-welcome');
         }
@@ -110,227 +596,1119 @@ class CalculadoraApp {
         this.setupAudioActivation();
         
         // Reproducir sonido de agua cuando aparece el logo (después de interacción)
-        setTimeout(() => {
+        this.schedule(() => {
             this.setupLogoWaterSound();
         }, 1000);
         
         console.log('✅ Aplicación inicializada');
     }
 
-    // Configurar activación de audio en primera interacción
-    setupAudioActivation() {
-        // Activar audio en primera interacción del usuario (requerido por navegadores)
-        const activateAudio = () => {
-            if (this.audioContext && this.audioContext.state === 'suspended') {
-                this.audioContext.resume().then(() => {
-                    console.log('✅ Audio activado por interacción del usuario');
-                }).catch(err => {
-                    console.error('❌ Error al activar audio:', err);
-                });
-            }
-        };
+    // Cargar catálogo externo con validación y respaldo al catálogo por defecto
+    async loadCatalog() {
+        if (typeof window.CatalogLoader !== 'function') {
+            console.warn('⚠️ CatalogLoader no disponible, usando catálogo por defecto');
+            return;
+        }
         
-        // Escuchar cualquier interacción del usuario
-        document.addEventListener('click', activateAudio, { once: true });
-        document.addEventListener('touchstart', activateAudio, { once: true });
-        document.addEventListener('keydown', activateAudio, { once: true });
+        try {
+            const loader = new window.CatalogLoader({ url: CATALOG_URL, defaultCatalog: PRODUCT_DATA });
+            const result = await loader.load();
+            this.baseCatalog = result.catalog;
+            this.applyOperatorSettings();
+            console.log(`✅ Catálogo activo (${result.source}): ${this.catalog.products.length} productos`);
+        } catch (error) {
+            console.error('❌ Error al cargar el catálogo:', error);
+            this.baseCatalog = PRODUCT_DATA;
+            this.applyOperatorSettings();
+        }
     }
 
-    // Configurar sonido de gota cuando aparece el logo y repetir cada 3 segundos
-    setupLogoWaterSound() {
-        console.log('💧 Configurando sonido de gota...');
+    // Inicializar almacenamiento persistente
+    initDataStorage() {
+        if (typeof window.DataStorage !== 'function') {
+            console.warn('⚠️ DataStorage no disponible, la configuración no se guardará');
+            return;
+        }
         
-        // Limpiar intervalo anterior si existe
-        if (this.waterDropInterval) {
-            clearInterval(this.waterDropInterval);
-            this.waterDropInterval = null;
+        const storage = new window.DataStorage();
+        if (storage.init()) {
+            this.dataStorage = storage;
+        }
+    }
+
+    // Inicializar formateador de montos (moneda y formato regional)
+    initMoneyFormatter() {
+        if (typeof window.MoneyFormatter !== 'function') {
+            console.warn('⚠️ MoneyFormatter no disponible, usando formato $0.00');
+            return;
         }
         
-        // Inicializar AudioContext compartido si no existe
-        if (!this.audioContext) {
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log('✅ AudioContext creado para sonido de gota');
-            } catch (error) {
-                console.error('❌ Error al crear AudioContext:', error);
-                return;
-            }
+        this.money = new window.MoneyFormatter();
+    }
+
+    // Inicializar módulo de cálculos (proyección con inflación)
+    initCalculator() {
+        if (typeof window.CalculatorModule !== 'function') {
+            console.warn('⚠️ CalculatorModule no disponible, la proyección no incluirá inflación');
+            return;
         }
         
-        // Si el AudioContext está suspendido, intentar reanudarlo
-        if (this.audioContext.state === 'suspended') {
-            this.audioContext.resume().then(() => {
-                console.log('✅ AudioContext reanudado');
-                this.startWaterDropInterval();
-            }).catch(error => {
-                console.error('❌ Error al reanudar AudioContext:', error);
-            });
-        } else {
-            this.startWaterDropInterval();
+        const calculator = new window.CalculatorModule();
+        calculator.moneyFormatter = this.money;
+        if (calculator.init()) {
+            this.calculator = calculator;
         }
     }
 
-    // Iniciar el intervalo de gotas
-    startWaterDropInterval() {
-        // Reproducir primera gota después de un pequeño delay
-        setTimeout(() => {
-            console.log('💧 Reproduciendo primera gota...');
-            this.playWaterDropSound();
-        }, 500);
+    // Inicializar calculadora de financiamiento
+    initFinancingCalculator() {
+        if (typeof window.FinancingCalculator !== 'function') {
+            console.warn('⚠️ FinancingCalculator no disponible, el plan de financiamiento no se mostrará');
+            return;
+        }
         
-        // Configurar intervalo para repetir cada 3 segundos
-        this.waterDropInterval = setInterval(() => {
-            // Solo reproducir si estamos en la pantalla principal
-            const initialScreen = document.querySelector('.screen[data-screen="initial-welcome"]');
-            if (initialScreen && initialScreen.classList.contains('active')) {
-                console.log('💧 Reproduciendo gota (intervalo)...');
-                this.playWaterDropSound();
-            } else {
-                // Si no estamos en la pantalla principal, limpiar el intervalo
-                console.log('🔕 Deteniendo intervalo de gota (pantalla cambiada)');
-                this.stopWaterDropSound();
-            }
-        }, 3000); // Cada 3 segundos
+        this.financing = new window.FinancingCalculator();
+    }
+
+    // Inicializar calculadora de impacto ambiental
+    initImpactCalculator() {
+        if (typeof window.ImpactCalculator !== 'function') {
+            console.warn('⚠️ ImpactCalculator no disponible, el impacto ambiental no se mostrará');
+            return;
+        }
         
-        console.log('✅ Intervalo de gota iniciado (cada 3 segundos)');
+        // Mismas semanas por año que el gasto en agua, para que botellas y dinero coincidan
+        this.impact = new window.ImpactCalculator({ weeksPerYear: WEEKS_PER_MONTH * 12 });
     }
 
-    // Detener el sonido de gota
-    stopWaterDropSound() {
-        if (this.waterDropInterval) {
-            clearInterval(this.waterDropInterval);
-            this.waterDropInterval = null;
-            console.log('🔕 Sonido de gota detenido');
+    // Impacto ambiental (botellas, plástico y CO₂) de las compras de agua
+    calculateWaterImpact(waterType, waterFrequency, years) {
+        const waterTypeInfo = this.getWaterTypeInfo(waterType);
+        if (!this.impact || !waterTypeInfo) return null;
+        
+        return this.impact.calculate({
+            waterType: waterTypeInfo.value,
+            purchasesPerWeek: waterFrequency,
+            years
+        });
+    }
+
+    // Inicializar comparación con el gasto típico
+    initBenchmarkCalculator() {
+        if (typeof window.BenchmarkCalculator !== 'function') {
+            console.warn('⚠️ BenchmarkCalculator no disponible, los resultados no se compararán');
+            return;
         }
+        
+        this.benchmarks = new window.BenchmarkCalculator();
     }
 
-    // Reproducir sonido suave de gota cayendo
-    playWaterDropSound() {
-        try {
-            // Usar AudioContext compartido o crear uno nuevo
-            let audioContext = this.audioContext;
-            if (!audioContext || audioContext.state === 'closed') {
-                audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                this.audioContext = audioContext;
-            }
-            
-            // Si está suspendido, intentar reanudarlo
-            if (audioContext.state === 'suspended') {
-                audioContext.resume().catch(err => {
-                    console.error('❌ No se pudo reanudar AudioContext:', err);
-                    return;
-                });
-            }
-            
-            // Duración más corta para simular una gota
-            const duration = 0.35; // Duración corta para una gota
-            const baseTime = audioContext.currentTime;
-            
-            // Crear oscilador para el "plop" de la gota
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            // Conectar oscilador -> ganancia -> salida
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            // Configurar oscilador para sonido de gota (frecuencia que cae rápidamente)
-            oscillator.type = 'sine';
-            oscillator.frequency.setValueAtTime(800, baseTime); // Frecuencia inicial más alta
-            oscillator.frequency.exponentialRampToValueAtTime(300, baseTime + 0.08); // Caída rápida
-            oscillator.frequency.exponentialRampToValueAtTime(150, baseTime + duration); // Frecuencia final baja
-            
-            // Configurar volumen suave con fade rápido (como una gota)
-            gainNode.gain.setValueAtTime(0, baseTime);
-            gainNode.gain.linearRampToValueAtTime(0.15, baseTime + 0.01); // Ataque muy rápido
-            gainNode.gain.exponentialRampToValueAtTime(0.001, baseTime + duration); // Decaimiento rápido
-            
-            // Reproducir
-            oscillator.start(baseTime);
-            oscillator.stop(baseTime + duration);
-            
-            console.log('💧 Sonido de gota reproducido');
-        } catch (error) {
-            console.error('❌ Error al reproducir sonido de gota:', error);
+    // Inicializar la pausa del presentador (congela timers, avances, narración y sonidos)
+    initPauseController() {
+        if (typeof window.PauseController !== 'function') {
+            console.warn('⚠️ PauseController no disponible, la pausa del presentador no funcionará');
+            return;
         }
+        
+        this.pauseController = new window.PauseController();
+        this.pauseController.onChange((paused) => this.applyPresenterPause(paused));
     }
 
-    // Reproducir sonido suave de inicio
-    playWelcomeSound() {
+    // Inicializar la cola de narraciones (guiones de NARRATION_SCRIPTS)
+    initNarrationService() {
+        if (typeof window.NarrationService !== 'function') {
+            console.warn('⚠️ NarrationService no disponible, no habrá narración');
+            return;
+        }
+        
+        if (typeof window.NarrationClips === 'function') {
+            this.narrationClips = new window.NarrationClips({ url: NARRATION_CLIPS_URL });
+        }
+        
+        this.narration = new window.NarrationService({
+            scripts: NARRATION_SCRIPTS,
+            context: this,
+            scheduler: this.pauseController,
+            clips: (key, params, script) => this.resolveNarrationClips(key, params, script),
+            createUtterance: (text, segment) => segment.voice === 'male'
+                ? this.createMaleHumanizedUtterance(text, segment.rate, segment.pitch)
+                : this.createHumanizedUtterance(text, segment.rate, segment.pitch)
+        });
+        this.narration.on('caption', (caption) => this.showNarrationCaption(caption));
+    }
+
+    // ¿Mostrar subtítulos? Elección del cliente, o la configuración (siempre / en modo accesible)
+    areCaptionsOn() {
+        if (this.captionsEnabled !== null) return this.captionsEnabled;
+        
+        const setting = this.operatorSettings.captions || OPERATOR_DEFAULTS.captions;
+        return setting === 'always' || (setting === 'accessible' && this.accessibleMode);
+    }
+
+    // Mostrar la frase que se está narrando (sin voz disponible se muestra siempre)
+    showNarrationCaption(caption) {
+        const bar = document.getElementById('caption-bar');
+        const textEl = document.getElementById('caption-text');
+        if (!bar || !textEl) return;
+        
+        // La demostración en espera ya muestra su propio texto
+        const visible = Boolean(caption.text) && caption.key !== 'attract'
+            && (caption.output === 'captions' || this.areCaptionsOn());
+        if (visible) textEl.textContent = caption.text;
+        bar.classList.toggle('hidden', !visible);
+    }
+
+    // Activar o desactivar los subtítulos para el cliente actual
+    toggleCaptions() {
+        this.captionsEnabled = !this.areCaptionsOn();
+        console.log(`💬 Subtítulos ${this.captionsEnabled ? 'activados' : 'desactivados'}`);
+        this.updateCaptionsToggle();
+        if (!this.captionsEnabled) this.showNarrationCaption({ text: null });
+        this.saveSessionCheckpoint();
+    }
+
+    // Estado del botón de subtítulos
+    updateCaptionsToggle() {
+        const button = document.getElementById('captions-toggle');
+        if (!button) return;
+        
+        const on = this.areCaptionsOn();
+        button.setAttribute('aria-pressed', String(on));
+        button.setAttribute('aria-label', on ? 'Ocultar subtítulos' : 'Mostrar subtítulos');
+        button.title = button.getAttribute('aria-label');
+    }
+
+    // Cargar el paquete de narración grabada, si está instalado, y guardarlo para usarlo sin conexión
+    async loadNarrationClips() {
+        if (!this.narrationClips) return;
+        
         try {
-            // Esperar un momento para que el usuario interactúe primero (requerido por algunos navegadores)
-            setTimeout(() => {
-                try {
-                    // Crear contexto de audio
-                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                    
-                    // Crear un sonido suave y agradable (tono ascendente tipo "ding")
-                    const oscillator = audioContext.createOscillator();
-                    const gainNode = audioContext.createGain();
-                    
-                    oscillator.connect(gainNode);
-                    gainNode.connect(audioContext.destination);
-                    
-                    // Configurar el sonido - tono suave ascendente
-                    oscillator.type = 'sine';
-                    oscillator.frequency.setValueAtTime(523.25, audioContext.currentTime); // Nota C5
-                    oscillator.frequency.exponentialRampToValueAtTime(659.25, audioContext.currentTime + 0.2); // Nota E5
-                    
-                    // Configurar volumen (muy suave)
-                    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-                    gainNode.gain.linearRampToValueAtTime(0.15, audioContext.currentTime + 0.05);
-                    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.25);
-                    
-                    // Reproducir
-                    oscillator.start(audioContext.currentTime);
-                    oscillator.stop(audioContext.currentTime + 0.25);
-                } catch (error) {
-                    // Silenciosamente fallar si el audio no está disponible
-                    console.log('Audio no disponible (esto es normal en algunos navegadores)');
-                }
-            }, 300);
+            if (await this.narrationClips.load()) {
+                await this.narrationClips.preload();
+            }
         } catch (error) {
-            // Silenciosamente fallar si el audio no está disponible
+            console.error('❌ Error al cargar la narración grabada:', error);
         }
     }
 
-    // Analizar el nombre del usuario para determinar si es singular o plural
-    analyzeUserName(userName) {
-        const gender = this.gameState.gender || '';
-        const trimmedName = userName ? userName.trim() : '';
+    // Audios grabados de un guion según género y plural (null = usar voz o subtítulos)
+    resolveNarrationClips(key, params, script) {
+        if (!this.narrationClips || !this.narrationClips.isLoaded() || script.clips === null) return null;
         
-        // Si se seleccionó "Familia", siempre es plural
-        if (gender === 'familia') {
-            return {
-                isPlural: true,
-                displayName: trimmedName || 'Familia',
-                greeting: trimmedName ? `¡Hola, ${trimmedName}!` : '¡Hola!',
-                treatment: 'ustedes',
-                treatmentVerb: 'están',
-                treatmentPossessive: 'su',
-                treatmentPronoun: 'les',
-                gender: 'familia'
-            };
-        }
+        const tokens = typeof script.clips === 'function' ? script.clips(this, params) : (script.clips || [key]);
+        const nameInfo = this.getUserNameInfo();
+        const variant = nameInfo.isPlural ? 'plural' : (this.gameState.gender || 'default');
+        return this.narrationClips.resolve(tokens, variant);
+    }
+
+    // Reproducir un guion de narración; la promesa se resuelve con { completed, cancelled }
+    narrate(key, params = {}) {
+        if (!this.narration) return Promise.resolve({ key, completed: false, cancelled: false });
+        return this.narration.play(key, params);
+    }
+
+    // Esperar el fin de una narración entre la espera mínima y máxima del operador
+    // (sin voz o si el navegador la bloquea: esperar fallbackMs, sin pasar del máximo)
+    // keepTalking deja terminar la narración pasado el máximo (cuando solo se muestra un botón)
+    async waitForNarration(narration, fallbackMs, { keepTalking = false } = {}) {
+        const settings = this.operatorSettings;
+        const minMs = Number(settings.revealMinSeconds ?? OPERATOR_DEFAULTS.revealMinSeconds) * 1000;
+        const maxMs = Math.max(minMs, Number(settings.revealMaxSeconds ?? OPERATOR_DEFAULTS.revealMaxSeconds) * 1000);
+        const screen = this.currentScreen;
+        
+        const minimum = this.sleep(minMs);
+        let maximumTimer = null;
+        const maximum = new Promise(resolve => {
+            maximumTimer = this.schedule(() => resolve({ completed: false, cancelled: false, timedOut: true }), maxMs);
+        });
         
-        // Si no hay nombre ni género, valores por defecto
-        if (!trimmedName && !gender) {
-            return {
-                isPlural: false,
-                displayName: '',
-                greeting: '¡Hola!',
-                treatment: 'tú',
-                treatmentVerb: 'estás',
-                treatmentPossessive: 'tu',
-                treatmentPronoun: 'te',
-                gender: ''
-            };
+        let result = await Promise.race([Promise.resolve(narration), maximum]);
+        if (!result.completed && !result.cancelled && !result.timedOut) {
+            console.log(`🔇 Narración no disponible, esperando ${fallbackMs}ms`);
+            result = await Promise.race([this.sleep(fallbackMs).then(() => result), maximum]);
         }
+        this.cancelScheduled(maximumTimer);
         
-        // Si hay nombre pero no género, analizar el nombre
-        if (trimmedName && !gender) {
-            const lowerName = trimmedName.toLowerCase();
-            
+        // Si la narración se pasó del máximo, callarla para no pisar la siguiente
+        if (result.timedOut && !keepTalking) {
+            console.log('⏱️ Narración demasiado larga, mostrando el resultado');
+            this.stopNarration(screen);
+        }
+        if (!result.cancelled) await minimum;
+        return result;
+    }
+
+    // Pausar o reanudar todo el recorrido (botón flotante o tecla P)
+    togglePresenterPause() {
+        if (!this.pauseController) return;
+        this.pauseController.toggle();
+    }
+
+    // Congelar o reanudar narración, audio y la interfaz de pausa
+    applyPresenterPause(paused) {
+        if ('speechSynthesis' in window) {
+            if (paused) {
+                speechSynthesis.pause();
+            } else {
+                speechSynthesis.resume();
+            }
+        }
+        
+        if (this.narration) this.narration.setPaused(paused);
+        
+        if (this.audioContext) {
+            const audioAction = paused ? this.audioContext.suspend() : this.audioContext.resume();
+            if (audioAction && audioAction.catch) audioAction.catch(() => {});
+        }
+        
+        const overlay = document.getElementById('presenter-pause-overlay');
+        if (overlay) overlay.classList.toggle('hidden', !paused);
+        
+        const button = document.getElementById('presenter-pause-button');
+        if (button) {
+            button.textContent = paused ? '▶️' : '⏸️';
+            button.setAttribute('aria-label', paused ? 'Reanudar (tecla P)' : 'Pausar (tecla P)');
+        }
+        
+        console.log(paused ? '⏸️ Recorrido en pausa' : '▶️ Recorrido reanudado');
+    }
+
+    // Inicializar el detector de inactividad (kiosco: volver al inicio y borrar los datos del cliente)
+    initIdleMonitor() {
+        if (typeof window.IdleMonitor !== 'function') {
+            console.warn('⚠️ IdleMonitor no disponible, la pantalla no volverá sola al inicio');
+            return;
+        }
+        
+        this.idleMonitor = new window.IdleMonitor({
+            timeout: this.getIdleResetSeconds() * 1000,
+            scheduler: this.pauseController, // En pausa tampoco corre el tiempo de inactividad
+            onIdle: () => this.handleIdle(),
+            onActive: (event) => this.handleIdleActivity(event)
+        });
+        this.idleMonitor.start();
+    }
+
+    // Segundos sin actividad antes de volver al inicio (0 = nunca)
+    getIdleResetSeconds() {
+        const seconds = Number(this.operatorSettings.idleResetSeconds ?? OPERATOR_DEFAULTS.idleResetSeconds);
+        return seconds > 0 ? seconds : 0;
+    }
+
+    // Nadie tocó la pantalla: borrar los datos del cliente y mostrar la demostración
+    handleIdle() {
+        // En el modo "Necesito más tiempo" el cliente puede estar leyendo despacio: no borrar su partida
+        if (this.accessibleMode) {
+            console.log('🐢 Sin actividad en modo con más tiempo: se conserva la partida');
+            return;
+        }
+        this.resetKioskSession();
+        
+        if ((this.operatorSettings.attractLoop || OPERATOR_DEFAULTS.attractLoop) !== 'off') {
+            this.startAttractLoop();
+        }
+    }
+
+    // Teclado tras la inactividad: cerrar la demostración (los toques los recibe la propia pantalla de la demostración)
+    handleIdleActivity(event) {
+        if (this.attractLoop && event && event.type === 'keydown') {
+            this.stopAttractLoop();
+        }
+    }
+
+    // Borrar el estado, lo guardado y lo escrito por el cliente y volver a la pantalla inicial
+    resetKioskSession() {
+        console.log('🧹 Sin actividad: borrando los datos del cliente y volviendo al inicio');
+        
+        this.stopNarration();
+        Object.keys(this.timers).forEach(key => this.stopTimer(key));
+        if (this.keypadState) this.closeAmountKeypad();
+        this.hideResumeSessionModal();
+        
+        this.gameState = this.cloneGameState(this.emptyGameState);
+        this.rulesNarrationPlayed = false;
+        this.reflectivePhrasePlayed = false;
+        this.financingReturnScreen = 'prize';
+        if (this.dataStorage) this.dataStorage.clearAll();
+        
+        // Nombre, género y tablas que quedaron en pantallas ocultas
+        const nameInput = document.getElementById('user-name-input');
+        if (nameInput) nameInput.value = '';
+        document.querySelectorAll('.gender-option.selected').forEach(option => option.classList.remove('selected'));
+        ['summary-table-container', 'review-table-container'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) container.innerHTML = '';
+        });
+        this.updateUserNameDisplay();
+        
+        this.screenHistory = [];
+        if (this.currentScreen === 'initial-welcome') {
+            this.recordScreenStep('initial-welcome', null);
+            this.resetAccessibleMode();
+        } else {
+            this.transitionToScreen('initial-welcome', { reset: true });
+        }
+    }
+
+    // Mostrar la demostración en espera: un recorrido de ejemplo con la opción "tocada" y voz baja o sin voz
+    startAttractLoop() {
+        const overlay = document.getElementById('attract-overlay');
+        if (!overlay || this.attractLoop) return;
+        
+        this.attractLoop = { slides: this.buildAttractSlides(), index: 0, interval: null, tapTimer: null };
+        overlay.classList.remove('hidden');
+        this.showAttractSlide();
+        this.attractLoop.interval = this.scheduleRepeating(() => {
+            this.attractLoop.index = (this.attractLoop.index + 1) % this.attractLoop.slides.length;
+            this.showAttractSlide();
+        }, ATTRACT_SLIDE_SECONDS * 1000);
+        console.log(`🎬 Demostración en espera iniciada (${this.attractLoop.slides.length} pasos)`);
+    }
+
+    // Cerrar la demostración y dejar la pantalla inicial lista para el siguiente cliente
+    stopAttractLoop() {
+        if (!this.attractLoop) return;
+        
+        this.cancelScheduled(this.attractLoop.interval);
+        this.cancelScheduled(this.attractLoop.tapTimer);
+        this.attractLoop = null;
+        if (this.narration) this.narration.cancel({ key: 'attract' });
+        
+        const overlay = document.getElementById('attract-overlay');
+        if (overlay) overlay.classList.add('hidden');
+        console.log('👆 Demostración en espera cerrada');
+    }
+
+    // Pasos de la demostración con productos y precios del catálogo activo
+    buildAttractSlides() {
+        const middle = (values) => values[Math.floor(values.length / 2)];
+        const years = this.operatorSettings.prizeYears || OPERATOR_DEFAULTS.prizeYears;
+        const slides = [{
+            title: '🎯 ¿Cuánto gastas en limpieza y agua?',
+            text: 'Descúbrelo en menos de dos minutos.',
+            speech: '¿Sabes cuánto gastas en productos de limpieza y agua? Descúbrelo en menos de dos minutos.'
+        }];
+        let monthlyTotal = 0;
+        
+        this.catalog.products.slice(0, 3).forEach(product => {
+            const prices = product.prices.filter(price => price > 0);
+            if (prices.length === 0) return;
+            
+            const price = middle(prices);
+            monthlyTotal += price * 2;
+            slides.push({
+                title: `${product.emoji} ${product.name}`,
+                text: `${this.formatMoney(price)} × 2 al mes = ${this.formatMoney(price * 2)}`,
+                options: prices.slice(0, 4).map(value => this.formatMoney(value)),
+                selected: Math.min(prices.indexOf(price), 3),
+                speech: `¿Cuánto pagas por ${product.name.toLowerCase()}?`
+            });
+        });
+        
+        const waterType = (this.catalog.waterTypes || []).find(type => type.value !== 'tap');
+        const waterPrices = this.catalog.waterPrices || [];
+        if (waterType && waterPrices.length > 0) {
+            const waterPrice = middle(waterPrices);
+            const waterMonthly = this.calculateWaterMonthlyTotal(waterPrice, 3);
+            monthlyTotal += waterMonthly;
+            slides.push({
+                title: `${waterType.emoji} ${waterType.name}`,
+                text: `${this.formatMoney(waterPrice)} × 3 por semana = ${this.formatMoney(waterMonthly)} al mes`,
+                options: waterPrices.slice(0, 4).map(value => this.formatMoney(value)),
+                selected: Math.min(waterPrices.indexOf(waterPrice), 3),
+                speech: '¿Y cuánto gastas en agua cada semana?'
+            });
+        }
+        
+        slides.push({
+            title: `📅 En ${years} años`,
+            text: `${this.formatMoney(monthlyTotal * 12 * years)} solo en este ejemplo`,
+            speech: `Mira cuánto suma en ${years} años.`
+        });
+        slides.push({
+            title: '🎁 ¿Cuánto podrías ahorrar tú?',
+            text: 'Toca la pantalla para comenzar.',
+            speech: '¿Cuánto podrías ahorrar tú? Toca la pantalla para comenzar.'
+        });
+        return slides;
+    }
+
+    // Pintar un paso de la demostración y simular el toque sobre la opción elegida
+    showAttractSlide() {
+        const slide = this.attractLoop.slides[this.attractLoop.index];
+        const title = document.getElementById('attract-title');
+        const text = document.getElementById('attract-text');
+        const options = document.getElementById('attract-options');
+        
+        if (title) title.textContent = slide.title;
+        if (text) {
+            text.textContent = slide.text;
+            text.classList.toggle('hidden', Boolean(slide.options));
+        }
+        if (options) {
+            options.innerHTML = '';
+            (slide.options || []).forEach(label => {
+                const option = document.createElement('div');
+                option.className = 'drag-option clickable-option';
+                option.textContent = label;
+                options.appendChild(option);
+            });
+        }
+        
+        this.cancelScheduled(this.attractLoop.tapTimer);
+        this.attractLoop.tapTimer = slide.options ? this.schedule(() => {
+            if (!this.attractLoop) return;
+            const chosen = options ? options.children[slide.selected] : null;
+            if (chosen) chosen.classList.add('selected');
+            if (text) text.classList.remove('hidden');
+        }, ATTRACT_TAP_DELAY) : null;
+        
+        this.speakAttractSlide(slide);
+    }
+
+    // Narración de la demostración: voz baja o ninguna, según la configuración
+    speakAttractSlide(slide) {
+        if ((this.operatorSettings.attractLoop || OPERATOR_DEFAULTS.attractLoop) !== 'low') return;
+        if (!this.narration) return;
+        
+        this.narration.cancel({ key: 'attract' });
+        this.narration.speak(slide.speech, { key: 'attract', screen: 'initial-welcome', priority: 0, volume: ATTRACT_LOW_VOLUME });
+    }
+
+    // Inicializar el flujo de pantallas y validarlo contra las pantallas del HTML
+    initScreenFlow() {
+        if (typeof window.ScreenFlow !== 'function') {
+            console.error('❌ ScreenFlow no disponible, no se puede navegar entre pantallas');
+            return;
+        }
+        
+        this.flow = new window.ScreenFlow(SCREEN_FLOW, this);
+        
+        const domScreens = Array.from(document.querySelectorAll('.screen[data-screen]'))
+            .map(screen => screen.getAttribute('data-screen'));
+        this.flow.reportValidation(this.flow.validate(domScreens));
+    }
+
+    // Personas en el hogar (respuesta de la familia, nombres unidos con "y", o el tamaño configurado para "Familia")
+    getHouseholdSize() {
+        const nameInfo = this.getUserNameInfo();
+        if (!nameInfo.isPlural) return 1;
+        
+        if (this.gameState.household && this.gameState.household.size) return this.gameState.household.size;
+        
+        const names = this.getHouseholdNames();
+        if (names.length > 1) return names.length;
+        
+        return Number(this.operatorSettings.familyHouseholdSize) || OPERATOR_DEFAULTS.familyHouseholdSize;
+    }
+
+    // Nombres escritos como "Ana y Luis" (sin "Familia")
+    getHouseholdNames() {
+        return (this.gameState.userName || '')
+            .split(/\s+y\s+/i)
+            .map(name => name.trim())
+            .filter(name => name !== '' && !/familia/i.test(name));
+    }
+
+    // Clasificar el gasto mensual frente al gasto típico del hogar
+    classifySpending(monthlyTotal) {
+        if (!this.benchmarks) return null;
+        
+        const benchmark = this.benchmarks.classify({
+            monthlyTotal,
+            householdSize: this.getHouseholdSize(),
+            region: this.operatorSettings.benchmarkRegion
+        });
+        this.gameState.benchmark = benchmark;
+        console.log(`📏 Gasto ${this.formatMoney(monthlyTotal)} vs típico ${this.formatMoney(benchmark.typical.total)} (${benchmark.typical.size} persona(s), ${benchmark.typical.regionName}): ${benchmark.level}`);
+        return benchmark;
+    }
+
+    // Texto de alerta según la clasificación del gasto
+    getBenchmarkAlertText(benchmark, subject) {
+        const nameInfo = this.getUserNameInfo();
+        const possessive = nameInfo.isPlural ? 'Sus' : 'Tus';
+        
+        // Sin datos de referencia se mantiene el mensaje original
+        if (!benchmark) {
+            return `⚠️ ${possessive} ${subject} superan los estándares normales de consumo.`;
+        }
+        
+        const size = benchmark.typical.size;
+        const household = `un hogar de ${size} ${size === 1 ? 'persona' : 'personas'}`;
+        const difference = Math.abs(benchmark.differencePercent);
+        
+        if (benchmark.level === 'above') {
+            return `⚠️ ${possessive} ${subject} superan en ${difference}% lo típico para ${household}.`;
+        }
+        if (benchmark.level === 'below') {
+            return `✅ ${possessive} ${subject} están ${difference}% por debajo de lo típico para ${household}.`;
+        }
+        return `ℹ️ ${possessive} ${subject} están dentro de lo típico para ${household}.`;
+    }
+
+    // Marcar el resultado con la clase de su clasificación (benchmark-below/at/above)
+    setBenchmarkLevelClass(resultEl, benchmark) {
+        if (!resultEl) return;
+        
+        ['below', 'at', 'above'].forEach(level => {
+            resultEl.classList.toggle(`benchmark-${level}`, Boolean(benchmark) && benchmark.level === level);
+        });
+    }
+
+    // Indica si el resultado amerita luces rojas y alarma
+    isSpendingAboveTypical(benchmark) {
+        return !benchmark || benchmark.level === 'above';
+    }
+
+    // Formatear un número con el formato regional activo
+    formatNumber(value, decimals = 0) {
+        const locale = this.money ? this.money.locale : 'es-US';
+        return (Number(value) || 0).toLocaleString(locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    }
+
+    // Precio del sistema: el configurado por el operador o el del catálogo (el mismo en análisis y financiamiento)
+    getSystemPrice() {
+        const price = this.operatorSettings.financePrice;
+        if (price !== null && price !== undefined) return price;
+        return (this.catalog.pasteurSystem || {}).initialCost;
+    }
+
+    // Aplicar precio y condiciones de financiamiento configurados
+    applyFinancingSettings() {
+        if (!this.financing) return;
+        
+        const settings = this.operatorSettings;
+        this.financing.configure({
+            price: this.getSystemPrice(),
+            downPayment: settings.financeDownPayment,
+            installments: settings.financeInstallments,
+            annualRate: settings.financeAnnualRate
+        });
+        
+        // Un plazo elegido que ya no se ofrece vuelve al plazo por defecto
+        const selected = this.gameState.financing;
+        if (selected && selected.installments !== undefined && !this.financing.installmentOptions.includes(selected.installments)) {
+            const { installments, ...rest } = selected;
+            this.gameState.financing = rest;
+            console.log(`💳 Plazo de ${installments} cuotas ya no disponible, se usa el plazo por defecto`);
+        }
+    }
+
+    // Gasto mensual actual (limpieza + agua) con el que se compara la cuota, en pantalla y en el PDF
+    getMonthlySpending(state = this.gameState) {
+        const cleaningTotal = state.products.reduce((sum, product) => sum + (product.total || 0), 0);
+        return cleaningTotal + (state.waterMonthlyTotal || 0);
+    }
+
+    // Plan de financiamiento con la selección actual (o las condiciones por defecto)
+    getFinancingPlan() {
+        if (!this.financing) return null;
+        return this.financing.calculatePlan(this.gameState.financing || {});
+    }
+
+    // Tasas de inflación anual configuradas (en %)
+    getInflationRates() {
+        const rate = (value, fallback) => Number.isFinite(Number(value)) ? Number(value) : fallback;
+        return {
+            cleaning: rate(this.operatorSettings.inflationCleaning, OPERATOR_DEFAULTS.inflationCleaning),
+            water: rate(this.operatorSettings.inflationWater, OPERATOR_DEFAULTS.inflationWater)
+        };
+    }
+
+    // Proyección año por año con inflación separada para limpieza y agua
+    calculateYearsProjection(cleaningMonthly, waterMonthly, monthsPerYear, years) {
+        if (!this.calculator) return null;
+        
+        return this.calculator.calculateInflationProjection({
+            cleaningMonthly,
+            waterMonthly,
+            monthsPerYear,
+            years
+        });
+    }
+
+    // Análisis de ahorro Pasteur a partir de los productos y el agua respondidos
+    calculatePasteurAnalysis(products, waterMonthly) {
+        if (!this.calculator) return null;
+        
+        const items = products.map(product => {
+            const info = this.getProductInfo(product.product);
+            return {
+                name: product.product,
+                monthly: product.total || 0,
+                savingsFactor: info ? info.savingsFactor : undefined
+            };
+        });
+        
+        return this.calculator.calculateItemizedPasteurSavings(items, waterMonthly);
+    }
+
+    // Configurar la moneda activa (operador > catálogo > USD)
+    applyMoneySettings() {
+        if (!this.money) return;
+        
+        const catalogCurrency = this.catalog.currency || {};
+        const operatorCurrency = this.operatorSettings.currency;
+        this.money.configure({
+            currency: operatorCurrency || catalogCurrency.code || 'USD',
+            // El formato regional del catálogo solo aplica a la moneda del catálogo
+            locale: operatorCurrency ? undefined : catalogCurrency.locale
+        });
+    }
+
+    // Formatear un monto con la moneda configurada
+    formatMoney(amount, options = {}) {
+        if (this.money) return this.money.format(amount, options);
+        return `$${(Number(amount) || 0).toFixed(2)}`;
+    }
+
+    // Monto en palabras para la narración (ej: "veinte dólares con cincuenta centavos")
+    moneyToWords(amount) {
+        if (this.money) return this.money.toWords(amount);
+        return `${(Number(amount) || 0).toFixed(2)} dólares`;
+    }
+
+    // Número entero en palabras (ej: 15 → "quince")
+    numberToWords(number) {
+        if (this.money) return this.money.numberToWords(number);
+        return String(Math.floor(Number(number) || 0));
+    }
+
+    // Código de la moneda activa (ej: USD, COP)
+    getCurrencyCode() {
+        return this.money ? this.money.currency : 'USD';
+    }
+
+    // Cargar las preferencias de voz y sonidos del equipo
+    loadPreferences() {
+        this.preferences = this.dataStorage ? this.dataStorage.getUserPreferences() : {};
+        this.applyPreferences();
+    }
+
+    // Aplicar volumen de la voz, narración activa y efectos de sonido
+    applyPreferences() {
+        if (this.narration) this.narration.setVolume(this.getVoiceSetting('voiceVolume', 0, 1));
+        this.applyNarrationOutput();
+        if (!this.areSoundEffectsOn()) this.stopWaterDropSound();
+    }
+
+    // Salida de la narración: la del operador, o solo subtítulos si la narración está apagada
+    applyNarrationOutput() {
+        if (!this.narration) return;
+        this.narration.setOutput(this.isNarrationOn()
+            ? (this.operatorSettings.narrationOutput || OPERATOR_DEFAULTS.narrationOutput)
+            : 'captions');
+    }
+
+    // ¿Narración con voz activada? (interruptor general de audio y de narración)
+    isNarrationOn() {
+        return this.preferences.audioEnabled !== false && this.preferences.narrationEnabled !== false;
+    }
+
+    // ¿La narración se escucha? (con voz del navegador o grabaciones, no solo subtítulos)
+    isNarrationAudible() {
+        if (!this.isNarrationOn()) return false;
+        const output = this.operatorSettings.narrationOutput || OPERATOR_DEFAULTS.narrationOutput;
+        if (output === 'captions') return false;
+        const hasClips = Boolean(this.narrationClips && this.narrationClips.isLoaded());
+        return hasClips || (output !== 'recorded' && 'speechSynthesis' in window);
+    }
+
+    // ¿Efectos de sonido activados? (interruptor general de audio y de efectos)
+    areSoundEffectsOn() {
+        return this.preferences.audioEnabled !== false && this.preferences.soundEffectsEnabled !== false;
+    }
+
+    // Velocidad, tono o volumen de la voz (multiplicador, 1 = el del guion), dentro de los límites
+    getVoiceSetting(name, min, max, preferences = this.preferences) {
+        const value = Number(preferences[name]);
+        if (!Number.isFinite(value)) return 1;
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // Buscar una voz instalada por nombre (null = elegir automáticamente)
+    findVoiceByName(name) {
+        if (!name || !('speechSynthesis' in window)) return null;
+        return speechSynthesis.getVoices().find(voice => voice.name === name) || null;
+    }
+
+    // Cargar configuración del operador guardada
+    loadOperatorSettings() {
+        const saved = this.dataStorage ? this.dataStorage.getOperatorSettings() : null;
+        this.operatorSettings = { ...OPERATOR_DEFAULTS, ...(saved || {}) };
+        
+        // Migrar el PIN guardado en texto de versiones anteriores (el de fábrica se vuelve a pedir)
+        if (this.operatorSettings.pin !== undefined) {
+            const pin = String(this.operatorSettings.pin);
+            delete this.operatorSettings.pin;
+            if (pin !== FACTORY_PIN) this.operatorSettings.pinHash = this.hashPin(pin);
+            this.persistOperatorSettings();
+            console.log('🔒 PIN de operador migrado a huella');
+        }
+        this.applyOperatorSettings();
+    }
+
+    // Huella del PIN (cyrb53 con prefijo fijo) para no guardarlo en texto
+    hashPin(pin) {
+        const text = `calculadora-operador:${pin}`;
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    // Comprobar el PIN escrito (sin PIN propio vale el de fábrica)
+    checkAdminPin(pin) {
+        const pinHash = this.operatorSettings.pinHash;
+        return pinHash ? this.hashPin(pin) === pinHash : pin === FACTORY_PIN;
+    }
+
+    // Aplicar configuración del operador (productos ocultos y precios) sobre el catálogo cargado
+    applyOperatorSettings() {
+        const hidden = this.operatorSettings.hiddenProducts || [];
+        const overrides = this.operatorSettings.priceOverrides || {};
+        
+        const products = this.baseCatalog.products
+            .filter(product => !hidden.includes(product.name))
+            .map(product => overrides[product.name] ? { ...product, prices: [...overrides[product.name]] } : product);
+        
+        // Nunca dejar el juego sin productos
+        this.catalog = {
+            ...this.baseCatalog,
+            products: products.length > 0 ? products : this.baseCatalog.products
+        };
+        this.applyMoneySettings();
+        
+        if (this.calculator) {
+            const rates = this.getInflationRates();
+            this.calculator.setInflationRates({ cleaning: rates.cleaning / 100, water: rates.water / 100 });
+            if (this.catalog.pasteurSystem) {
+                this.calculator.setPasteurSystem({ ...this.catalog.pasteurSystem, initialCost: this.getSystemPrice() });
+            }
+        }
+        this.applyFinancingSettings();
+        
+        this.applyNarrationOutput();
+        this.updateCaptionsToggle();
+        if (this.impact && this.catalog.impactFactors) {
+            this.impact.setFactors(this.catalog.impactFactors);
+        }
+        if (this.benchmarks && this.catalog.benchmarks) {
+            this.benchmarks.setRegions(this.catalog.benchmarks);
+        }
+        if (this.idleMonitor) {
+            this.idleMonitor.setTimeout(this.getIdleResetSeconds() * 1000);
+        }
+        console.log(`⚙️ Configuración del operador aplicada: ${this.catalog.products.length} productos, ${this.getTimerSeconds()}s por pregunta`);
+    }
+
+    // Segundos del timer de precio y cantidad (0 = sin límite en modo accesible)
+    getTimerSeconds() {
+        const seconds = this.operatorSettings.timerSeconds || OPERATOR_DEFAULTS.timerSeconds;
+        if (!this.accessibleMode) return seconds;
+        
+        const multiplier = this.operatorSettings.accessibleTimerMultiplier ?? OPERATOR_DEFAULTS.accessibleTimerMultiplier;
+        return seconds * Number(multiplier);
+    }
+
+    // Frase de las reglas sobre el tiempo para responder
+    getTimerRulesText(isPlural) {
+        const seconds = this.getTimerSeconds();
+        if (!seconds) {
+            return isPlural
+                ? 'Pueden tomarse todo el tiempo que necesiten para elegir el precio aproximado de los productos que usan actualmente.'
+                : 'Puedes tomarte todo el tiempo que necesites para elegir el precio aproximado de los productos que usas actualmente.';
+        }
+        return isPlural
+            ? `Tendrán ${seconds} segundos para elegir el precio aproximado de los productos que usan actualmente.`
+            : `Tendrás ${seconds} segundos para elegir el precio aproximado de los productos que usas actualmente.`;
+    }
+
+    // Velocidad de narración (más pausada en modo accesible)
+    getNarrationRate(rate) {
+        return this.accessibleMode ? rate * 0.85 : rate;
+    }
+
+    // Textos del premio según la configuración del operador
+    getPrizeInfo() {
+        const years = Number(this.operatorSettings.prizeYears) || OPERATOR_DEFAULTS.prizeYears;
+        return {
+            benefit: this.operatorSettings.prizeBenefit || OPERATOR_DEFAULTS.prizeBenefit,
+            product: this.operatorSettings.prizeProduct || OPERATOR_DEFAULTS.prizeProduct,
+            years: years,
+            yearsText: years === 1 ? '1 año' : `${years} años consecutivos`
+        };
+    }
+
+    // Escapar texto para insertarlo en innerHTML
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Buscar información de un producto del catálogo por nombre
+    getProductInfo(productName) {
+        return this.catalog.products.find(p => p.name === productName) || null;
+    }
+
+    // Buscar información de un tipo de agua del catálogo (acepta el objeto o su valor)
+    getWaterTypeInfo(waterType) {
+        if (!waterType) return null;
+        const value = typeof waterType === 'object' ? waterType.value : waterType;
+        return this.catalog.waterTypes.find(wt => wt.value === value) || null;
+    }
+
+    // Obtener nombres singular/plural de una unidad de compra del catálogo
+    getUnitInfo(unitKey) {
+        const units = this.catalog.units || {};
+        return units[unitKey] || units.unit || { singular: 'unidad', plural: 'unidades' };
+    }
+
+    // Formatear cantidad con su unidad (ej: "2 botellas")
+    formatQuantityWithUnit(quantity, unitKey) {
+        const qty = Number(quantity) || 0;
+        if (qty === 0) return 'Ninguno';
+        const unit = this.getUnitInfo(unitKey);
+        return `${qty} ${qty === 1 ? unit.singular : unit.plural}`;
+    }
+
+    // Formatear etiqueta de precio de una tarjeta ("No lo uso" cuando es 0)
+    formatPriceLabel(price) {
+        if (price === 0) return 'No lo uso';
+        return this.formatMoney(price, { trimZeroDecimals: true });
+    }
+
+    // Configurar activación de audio en primera interacción
+    setupAudioActivation() {
+        // Activar audio en primera interacción del usuario (requerido por navegadores)
+        const activateAudio = () => {
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                this.audioContext.resume().then(() => {
+                    console.log('✅ Audio activado por interacción del usuario');
+                }).catch(err => {
+                    console.error('❌ Error al activar audio:', err);
+                });
+            }
+        };
+        
+        // Escuchar cualquier interacción del usuario
+        document.addEventListener('click', activateAudio, { once: true });
+        document.addEventListener('touchstart', activateAudio, { once: true });
+        document.addEventListener('keydown', activateAudio, { once: true });
+    }
+
+    // Configurar sonido de gota cuando aparece el logo y repetir cada 3 segundos
+    setupLogoWaterSound() {
+        console.log('💧 Configurando sonido de gota...');
+        
+        // Limpiar intervalo anterior si existe
+        if (this.waterDropInterval) {
+            this.cancelScheduled(this.waterDropInterval);
+            this.waterDropInterval = null;
+        }
+        
+        // Inicializar AudioContext compartido si no existe
+        if (!this.audioContext) {
+            try {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                console.log('✅ AudioContext creado para sonido de gota');
+            } catch (error) {
+                console.error('❌ Error al crear AudioContext:', error);
+                return;
+            }
+        }
+        
+        // Si el AudioContext está suspendido, intentar reanudarlo
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().then(() => {
+                console.log('✅ AudioContext reanudado');
+                this.startWaterDropInterval();
+            }).catch(error => {
+                console.error('❌ Error al reanudar AudioContext:', error);
+            });
+        } else {
+            this.startWaterDropInterval();
+        }
+    }
+
+    // Iniciar el intervalo de gotas
+    startWaterDropInterval() {
+        // Reproducir primera gota después de un pequeño delay
+        this.schedule(() => {
+            console.log('💧 Reproduciendo primera gota...');
+            this.playWaterDropSound();
+        }, 500);
+        
+        // Configurar intervalo para repetir cada 3 segundos
+        this.waterDropInterval = this.scheduleRepeating(() => {
+            // Solo reproducir si estamos en la pantalla principal
+            const initialScreen = document.querySelector('.screen[data-screen="initial-welcome"]');
+            if (initialScreen && initialScreen.classList.contains('active')) {
+                console.log('💧 Reproduciendo gota (intervalo)...');
+                this.playWaterDropSound();
+            } else {
+                // Si no estamos en la pantalla principal, limpiar el intervalo
+                console.log('🔕 Deteniendo intervalo de gota (pantalla cambiada)');
+                this.stopWaterDropSound();
+            }
+        }, 3000); // Cada 3 segundos
+        
+        console.log('✅ Intervalo de gota iniciado (cada 3 segundos)');
+    }
+
+    // Detener el sonido de gota
+    stopWaterDropSound() {
+        if (this.waterDropInterval) {
+            this.cancelScheduled(this.waterDropInterval);
+            this.waterDropInterval = null;
+            console.log('🔕 Sonido de gota detenido');
+        }
+    }
+
+    // Reproducir sonido suave de gota cayendo
+    playWaterDropSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        try {
+            // Usar AudioContext compartido o crear uno nuevo
+            let audioContext = this.audioContext;
+            if (!audioContext || audioContext.state === 'closed') {
+                audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.audioContext = audioContext;
+            }
+            
+            // Si está suspendido, intentar reanudarlo
+            if (audioContext.state === 'suspended') {
+                audioContext.resume().catch(err => {
+                    console.error('❌ No se pudo reanudar AudioContext:', err);
+                    return;
+                });
+            }
+            
+            // Duración más corta para simular una gota
+            const duration = 0.35; // Duración corta para una gota
+            const baseTime = audioContext.currentTime;
+            
+            // Crear oscilador para el "plop" de la gota
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            // Conectar oscilador -> ganancia -> salida
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            
+            // Configurar oscilador para sonido de gota (frecuencia que cae rápidamente)
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(800, baseTime); // Frecuencia inicial más alta
+            oscillator.frequency.exponentialRampToValueAtTime(300, baseTime + 0.08); // Caída rápida
+            oscillator.frequency.exponentialRampToValueAtTime(150, baseTime + duration); // Frecuencia final baja
+            
+            // Configurar volumen suave con fade rápido (como una gota)
+            gainNode.gain.setValueAtTime(0, baseTime);
+            gainNode.gain.linearRampToValueAtTime(0.15, baseTime + 0.01); // Ataque muy rápido
+            gainNode.gain.exponentialRampToValueAtTime(0.001, baseTime + duration); // Decaimiento rápido
+            
+            // Reproducir
+            oscillator.start(baseTime);
+            oscillator.stop(baseTime + duration);
+            
+            console.log('💧 Sonido de gota reproducido');
+        } catch (error) {
+            console.error('❌ Error al reproducir sonido de gota:', error);
+        }
+    }
+
+    // Reproducir sonido suave de inicio
+    playWelcomeSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        try {
+            // Esperar un momento para que el usuario interactúe primero (requerido por algunos navegadores)
+            this.schedule(() => {
+                try {
+                    // Crear contexto de audio
+                    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                    
+                    // Crear un sonido suave y agradable (tono ascendente tipo "ding")
+                    const oscillator = audioContext.createOscillator();
+                    const gainNode = audioContext.createGain();
+                    
+                    oscillator.connect(gainNode);
+                    gainNode.connect(audioContext.destination);
+                    
+                    // Configurar el sonido - tono suave ascendente
+                    oscillator.type = 'sine';
+                    oscillator.frequency.setValueAtTime(523.25, audioContext.currentTime); // Nota C5
+                    oscillator.frequency.exponentialRampToValueAtTime(659.25, audioContext.currentTime + 0.2); // Nota E5
+                    
+                    // Configurar volumen (muy suave)
+                    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+                    gainNode.gain.linearRampToValueAtTime(0.15, audioContext.currentTime + 0.05);
+                    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.25);
+                    
+                    // Reproducir
+                    oscillator.start(audioContext.currentTime);
+                    oscillator.stop(audioContext.currentTime + 0.25);
+                } catch (error) {
+                    // Silenciosamente fallar si el audio no está disponible
+                    console.log('Audio no disponible (esto es normal en algunos navegadores)');
+                }
+            }, 300);
+        } catch (error) {
+            // Silenciosamente fallar si el audio no está disponible
+        }
+    }
+
+    // Analizar el nombre del usuario para determinar si es singular o plural
+    analyzeUserName(userName) {
+        const gender = this.gameState.gender || '';
+        const trimmedName = userName ? userName.trim() : '';
+        
+        // Si se seleccionó "Familia", siempre es plural
+        if (gender === 'familia') {
+            return {
+                isPlural: true,
+                displayName: trimmedName || 'Familia',
+                greeting: trimmedName ? `¡Hola, ${trimmedName}!` : '¡Hola!',
+                treatment: 'ustedes',
+                treatmentVerb: 'están',
+                treatmentPossessive: 'su',
+                treatmentPronoun: 'les',
+                gender: 'familia'
+            };
+        }
+        
+        // Si no hay nombre ni género, valores por defecto
+        if (!trimmedName && !gender) {
+            return {
+                isPlural: false,
+                displayName: '',
+                greeting: '¡Hola!',
+                treatment: 'tú',
+                treatmentVerb: 'estás',
+                treatmentPossessive: 'tu',
+                treatmentPronoun: 'te',
+                gender: ''
+            };
+        }
+        
+        // Si hay nombre pero no género, analizar el nombre
+        if (trimmedName && !gender) {
+            const lowerName = trimmedName.toLowerCase();
+            
             // Detectar si contiene "familia" (plural)
             if (lowerName.includes('familia')) {
                 return {
@@ -387,7 +1765,8 @@ class CalculadoraApp {
     }
 
     // Función centralizada para crear utterances con voz humanizada
-    createHumanizedUtterance(text, rate = 0.88, pitch = 1.2) {
+    // (preferences: voz, velocidad y tono elegidos en la configuración; la vista previa pasa los valores sin guardar)
+    createHumanizedUtterance(text, rate = 0.88, pitch = 1.2, preferences = this.preferences) {
         // Detectar si es dispositivo móvil
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         
@@ -395,10 +1774,17 @@ class CalculadoraApp {
         utterance.lang = 'es-ES';
         
         // Mismo ritmo y tiempo para móviles y PC
-        utterance.rate = rate; // Velocidad más lenta y natural (0.88 es más humanizado que 0.95) - MISMO PARA MÓVILES Y PC
-        utterance.pitch = pitch; // Pitch más natural (1.2 es más humanizado que 1.5-1.6) - MISMO PARA MÓVILES Y PC
+        utterance.rate = this.getNarrationRate(rate) * this.getVoiceSetting('voiceRate', 0.5, 1.5, preferences); // Velocidad más lenta y natural (0.88 es más humanizado que 0.95) - MISMO PARA MÓVILES Y PC
+        utterance.pitch = Math.min(2, pitch * this.getVoiceSetting('voicePitch', 0.5, 1.5, preferences)); // Pitch más natural (1.2 es más humanizado que 1.5-1.6) - MISMO PARA MÓVILES Y PC
         utterance.volume = 1.0;
         
+        // Voz elegida por el operador, si sigue instalada
+        const chosenVoice = this.findVoiceByName(preferences.voiceName);
+        if (chosenVoice) {
+            utterance.voice = chosenVoice;
+            return utterance;
+        }
+        
         // Seleccionar voz profesional para móviles
         const voices = speechSynthesis.getVoices();
         
@@ -511,15 +1897,15 @@ class CalculadoraApp {
     }
 
     // Crear utterance con voz masculina humanizada (solo para advertencias)
-    createMaleHumanizedUtterance(text, rate = 0.85, pitch = 1.1) {
+    createMaleHumanizedUtterance(text, rate = 0.85, pitch = 1.1, preferences = this.preferences) {
         const utterance = new SpeechSynthesisUtterance(text);
         utterance.lang = 'es-ES';
-        utterance.rate = rate; // Velocidad más lenta para seriedad
-        utterance.pitch = pitch; // Pitch más bajo para voz masculina
+        utterance.rate = this.getNarrationRate(rate) * this.getVoiceSetting('voiceRate', 0.5, 1.5, preferences); // Velocidad más lenta para seriedad
+        utterance.pitch = Math.min(2, pitch * this.getVoiceSetting('voicePitch', 0.5, 1.5, preferences)); // Pitch más bajo para voz masculina
         utterance.volume = 1.0;
         
-        // Seleccionar voz masculina específica
-        const maleVoice = this.selectMaleVoice();
+        // Seleccionar voz masculina: la elegida por el operador o la específica
+        const maleVoice = this.findVoiceByName(preferences.maleVoiceName) || this.selectMaleVoice();
         const voices = speechSynthesis.getVoices();
         
         if (maleVoice) {
@@ -638,387 +2024,73 @@ class CalculadoraApp {
                         spanishVoice = explicitFemaleVoices[0];
             console.log('✅ Voz femenina explícita seleccionada para toda la app:', spanishVoice.name);
                     } else {
-                        // ESTRATEGIA 2: Filtrar voces masculinas y usar las restantes
-                        const allSpanishVoices = voices.filter(voice => voice.lang.startsWith('es'));
-                        const nonMaleVoices = allSpanishVoices.filter(voice => {
-                            const name = voice.name.toLowerCase();
-                            return !name.includes('hombre') &&
-                                   !name.includes('male') &&
-                                   !name.includes('masculino') &&
-                                   !name.includes('david') &&
-                                   !name.includes('jorge') &&
-                                   !name.includes('pablo') &&
-                                   !name.includes('carlos') &&
-                                   !name.includes('juan') &&
-                                   !name.includes('luis') &&
-                                   !name.includes('antonio');
-                        });
-                        
-                        if (nonMaleVoices.length > 0) {
-                            spanishVoice = nonMaleVoices[0];
-                console.log('✅ Voz no masculina seleccionada para toda la app:', spanishVoice.name);
-                        } else if (allSpanishVoices.length > 0) {
-                            spanishVoice = allSpanishVoices[0];
-                console.log('⚠️ Usando voz en español (ajustando pitch para sonar femenina):', spanishVoice.name);
-            }
-        }
-
-        // Guardar la voz seleccionada
-        this.selectedVoice = spanishVoice;
-        
-        if (this.selectedVoice) {
-            console.log('🎯 Voz final seleccionada para toda la aplicación:', this.selectedVoice.name, '| Lang:', this.selectedVoice.lang);
-        } else {
-            console.warn('⚠️ No se encontró voz en español, se usará voz predeterminada');
-        }
-
-        return this.selectedVoice;
-    }
-
-    // Iniciar narración de bienvenida con SpeechSynthesis
-    startWelcomeNarration() {
-        console.log('🎤 Iniciando proceso de narración...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            // Reproducir campanilla de todas formas después de 3 segundos
-            setTimeout(() => this.playBellSound(), 3000);
-            return;
-        }
-
-        console.log('✅ SpeechSynthesis está disponible');
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa y cancelar todo
-            this.stopWelcomeNarration();
-            // Esperar un momento para asegurar que todo se canceló
-            speechSynthesis.cancel();
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración (se llama cuando las voces estén listas)
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.playBellSound();
-                    return;
-                }
-
-                // Crear utterance para "¡Hola!" con voz humanizada
-                // Incluir el nombre del usuario si está disponible
-                const nameInfo = this.getUserNameInfo();
-                const helloUtterance = this.createHumanizedUtterance(nameInfo.greeting, 0.88, 1.25);
-                
-                // Crear utterance para el texto principal con tratamiento correcto según género y plural
-                let mainText;
-                if (nameInfo.isPlural) {
-                    // Plural: "¿Están listos para descubrir cuánto dinero están gastando..."
-                    mainText = `¿Están listos para descubrir cuánto dinero están gastando realmente en productos de limpieza y agua poco saludable? Solo les tomará unos segundos. Presiona: SÍ, QUIERO SABER, y comencemos.`;
-                } else {
-                    // Singular: usar "lista" para mujer, "listo" para hombre
-                    const readyText = nameInfo.readyText || 'listo';
-                    mainText = `¿Estás ${readyText} para descubrir cuánto dinero estás gastando realmente en productos de limpieza y agua poco saludable? Solo te tomará unos segundos. Presiona: SÍ, QUIERO SABER, y comencemos.`;
-                }
-                const utterance = this.createHumanizedUtterance(mainText, 0.88, 1.2);
-                
-                console.log('✅ Usando voz humanizada con parámetros: rate=0.88, pitch=1.2-1.25');
-
-                // Guardar referencia para poder detenerla
-                this.currentUtterance = helloUtterance;
-
-                // Evento cuando termine "¡Hola!"
-                helloUtterance.onend = () => {
-                    console.log('✅ "¡Hola!" completado, esperando 1 segundo en silencio...');
-                    // Pausa de 1 segundo en silencio después de "¡Hola!"
-                    setTimeout(() => {
-                        // Verificar que no se haya cancelado y que no haya otra narración en curso
-                        if (this.isNarrating && !speechSynthesis.speaking && !speechSynthesis.pending) {
-                            // Cancelar cualquier narración residual antes de continuar
-                            speechSynthesis.cancel();
-                            // Pequeña pausa adicional para asegurar que se canceló completamente
-                            setTimeout(() => {
-                                if (this.isNarrating && !speechSynthesis.speaking && !speechSynthesis.pending) {
-                                    // Continuar con el texto principal
-                                    this.currentUtterance = utterance;
-                                    speechSynthesis.speak(utterance);
-                                    console.log('🎤 Continuando con texto principal...');
-                                }
-                            }, 150);
-                        }
-                    }, 1000);
-                };
-
-                // Evento cuando termine el texto principal
-                utterance.onend = () => {
-                    console.log('✅ Narración de bienvenida completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false; // Permitir nuevas narraciones
-                    // Reproducir sonido de campanilla al finalizar
-                    this.playBellSound();
-                };
-
-                // Evento de error para "¡Hola!"
-                helloUtterance.onerror = (event) => {
-                    console.error('❌ Error en "¡Hola!":', event.error);
-                    // Continuar con el texto principal de todas formas, pero asegurando que no haya sobreposiciones
-                    setTimeout(() => {
-                        // Cancelar cualquier narración residual
-                        if (speechSynthesis.speaking || speechSynthesis.pending) {
-                            speechSynthesis.cancel();
-                            setTimeout(() => {
-                                if (this.isNarrating && !speechSynthesis.speaking && !speechSynthesis.pending) {
-                                    this.currentUtterance = utterance;
-                                    speechSynthesis.speak(utterance);
-                                }
-                            }, 150);
-                        } else {
-                            if (this.isNarrating) {
-                                this.currentUtterance = utterance;
-                                speechSynthesis.speak(utterance);
-                            }
-                        }
-                    }, 1000);
-                };
-
-                // Evento de error para texto principal
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración:', event.error, '| Tipo:', event.type);
-                    this.currentUtterance = null;
-                    // Reproducir campanilla de todas formas
-                    this.playBellSound();
-                };
-
-                // Evento cuando comienza a hablar "¡Hola!"
-                helloUtterance.onstart = () => {
-                    console.log('🔊 "¡Hola!" iniciado correctamente');
-                };
-
-                // Evento cuando comienza el texto principal
-                utterance.onstart = () => {
-                    console.log('🔊 Texto principal iniciado correctamente');
-                };
-
-                // Intentar iniciar la narración con "¡Hola!" primero (solo una vez)
-                try {
-                    // Asegurarse de que no haya nada hablando antes de iniciar
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        // Esperar un momento antes de iniciar para evitar solapamiento (aumentado para móviles)
-                        setTimeout(() => {
-                            // Verificar nuevamente que no haya nada hablando
-                            if (!speechSynthesis.speaking && !speechSynthesis.pending && this.isNarrating) {
-                                speechSynthesis.speak(helloUtterance);
-                                console.log('🎤 Comando speak() ejecutado para "¡Hola!" (después de cancelar)');
-                            }
-                        }, 200);
-                    } else {
-                        speechSynthesis.speak(helloUtterance);
-                        console.log('🎤 Comando speak() ejecutado para "¡Hola!"');
-                    }
-                    
-                    // Verificar si realmente está hablando después de un momento
-                    setTimeout(() => {
-                        if (speechSynthesis.speaking) {
-                            console.log('✅ SpeechSynthesis está hablando "¡Hola!"');
-                        } else {
-                            console.warn('⚠️ SpeechSynthesis no está hablando, puede requerir interacción del usuario');
-                            this.isNarrating = false;
-                            // Reproducir campanilla como fallback
-                            this.playBellSound();
-                        }
-                    }, 500);
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak():', speakError);
-                    this.isNarrating = false;
-                    this.playBellSound();
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            // NOTA: Ya esperamos 3 segundos en init(), así que iniciamos inmediatamente aquí
-            const voices = speechSynthesis.getVoices();
-            console.log(`📊 Voces iniciales: ${voices.length}`);
-            
-            if (voices.length > 0) {
-                // Las voces ya están disponibles - iniciar inmediatamente
-                console.log('✅ Voces disponibles, iniciando narración inmediatamente');
-                startSpeaking();
-            } else {
-                console.log('⏳ Esperando a que las voces se carguen...');
-                // Esperar a que las voces se carguen
-                speechSynthesis.onvoiceschanged = () => {
-                    const loadedVoices = speechSynthesis.getVoices();
-                    console.log(`📊 Voces cargadas: ${loadedVoices.length}`);
-                    // Iniciar inmediatamente después de cargar las voces
-                    startSpeaking();
-                };
-                // Timeout de seguridad por si onvoiceschanged no se dispara
-                setTimeout(() => {
-                    const loadedVoices = speechSynthesis.getVoices();
-                    if (loadedVoices.length > 0) {
-                        console.log('✅ Timeout de seguridad: voces encontradas, iniciando...');
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces, intentando de todas formas...');
-                        // Intentar de todas formas
-                        startSpeaking();
-                    }
-                }, 1000);
+                        // ESTRATEGIA 2: Filtrar voces masculinas y usar las restantes
+                        const allSpanishVoices = voices.filter(voice => voice.lang.startsWith('es'));
+                        const nonMaleVoices = allSpanishVoices.filter(voice => {
+                            const name = voice.name.toLowerCase();
+                            return !name.includes('hombre') &&
+                                   !name.includes('male') &&
+                                   !name.includes('masculino') &&
+                                   !name.includes('david') &&
+                                   !name.includes('jorge') &&
+                                   !name.includes('pablo') &&
+                                   !name.includes('carlos') &&
+                                   !name.includes('juan') &&
+                                   !name.includes('luis') &&
+                                   !name.includes('antonio');
+                        });
+                        
+                        if (nonMaleVoices.length > 0) {
+                            spanishVoice = nonMaleVoices[0];
+                console.log('✅ Voz no masculina seleccionada para toda la app:', spanishVoice.name);
+                        } else if (allSpanishVoices.length > 0) {
+                            spanishVoice = allSpanishVoices[0];
+                console.log('⚠️ Usando voz en español (ajustando pitch para sonar femenina):', spanishVoice.name);
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración:', error);
-            // Reproducir campanilla de todas formas después de 3 segundos
-            setTimeout(() => this.playBellSound(), 3000);
         }
-    }
 
-    // Detener la narración de bienvenida
-    stopWelcomeNarration() {
-        if ('speechSynthesis' in window) {
-            speechSynthesis.cancel();
-            this.currentUtterance = null;
-            this.isNarrating = false; // Resetear bandera
-            console.log('🛑 Narración detenida');
+        // Guardar la voz seleccionada
+        this.selectedVoice = spanishVoice;
+        
+        if (this.selectedVoice) {
+            console.log('🎯 Voz final seleccionada para toda la aplicación:', this.selectedVoice.name, '| Lang:', this.selectedVoice.lang);
+        } else {
+            console.warn('⚠️ No se encontró voz en español, se usará voz predeterminada');
         }
+
+        return this.selectedVoice;
     }
 
-    // Iniciar narración de reglas con voz femenina
-    startRulesNarration() {
-        console.log('🎤 Iniciando proceso de narración de reglas...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            return;
+    // Narración de bienvenida (saludo, pausa y pregunta) con campanilla al terminar
+    // (si la narración no se escucha, la campanilla suena a los 3 segundos)
+    startWelcomeNarration() {
+        const narration = this.narrate('welcome');
+        if (!this.isNarrationAudible()) {
+            this.schedule(() => {
+                if (this.currentScreen === 'welcome') this.playBellSound();
+            }, 3000);
+            return narration;
         }
+        return narration.then(({ cancelled }) => {
+            if (!cancelled) this.playBellSound();
+        });
+    }
 
-        // Prevenir múltiples llamadas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
+    // Detener narraciones: todas o solo las de una pantalla
+    stopNarration(screen = null) {
+        if (this.narration) this.narration.cancel(screen);
+    }
 
-        // Marcar que ya se reprodujo para que no se repita
+    // Narración de reglas (solo una vez por partida)
+    startRulesNarration() {
         this.rulesNarrationPlayed = true;
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración (se llama cuando las voces estén listas)
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (reglas)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto completo a leer con lógica de género y plural
-                // NOTA: NO incluir saludo "Hola" aquí, ya se dijo en la pantalla de bienvenida
-                const nameInfo = this.getUserNameInfo();
-                let rulesText;
-                if (nameInfo.isPlural) {
-                    rulesText = `El reto comienza. Tendrán 15 segundos para elegir el precio aproximado de los productos que usan actualmente. Recuerda: No tiene que ser exacto. Solo elijan la opción que más se acerque a su realidad. ¿Preparados? Empecemos.`;
-                } else {
-                    // Aplicar género: "Preparada" para mujer, "Preparado" para hombre
-                    const preparedText = nameInfo.isFeminine ? 'Preparada' : 'Preparado';
-                    rulesText = `El reto comienza. Tendrás 15 segundos para elegir el precio aproximado de los productos que usas actualmente. Recuerda: No tiene que ser exacto. Solo elige la opción que más se acerque a tu realidad. ¿${preparedText}? Empecemos.`;
-                }
-                
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(rulesText, 0.88, 1.2);
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de reglas completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de reglas:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de reglas iniciada correctamente');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        // Esperar un momento antes de iniciar para evitar solapamiento (aumentado para móviles)
-                        setTimeout(() => {
-                            // Verificar nuevamente que no haya nada hablando
-                            if (!speechSynthesis.speaking && !speechSynthesis.pending && this.isNarrating) {
-                                speechSynthesis.speak(utterance);
-                                console.log('🎤 Comando speak() ejecutado para reglas (después de cancelar)');
-                            }
-                        }, 200);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para reglas');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para reglas:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para reglas');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de reglas:', error);
-            this.isNarrating = false;
-            this.rulesNarrationPlayed = false; // Permitir reintentar
-        }
+        return this.narrate('rules');
     }
 
     // Reproducir sonido de campanilla (ding)
     playBellSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
@@ -1063,7 +2135,7 @@ class CalculadoraApp {
             handler(e);
             
             // Reset después de un breve delay
-            setTimeout(() => {
+            this.schedule(() => {
                 isHandling = false;
             }, 300);
         };
@@ -1075,27 +2147,25 @@ class CalculadoraApp {
 
     // Configurar event listeners
     setupEventListeners() {
-        // Configurar botones de retroceso (back-button con data-back-to)
+        // Configurar botones de retroceso (destino según el flujo de pantallas)
         document.addEventListener('click', (e) => {
             const backButton = e.target.closest('.back-button');
-            if (backButton && backButton.dataset.backTo) {
+            if (backButton) {
                 e.preventDefault();
                 e.stopPropagation();
-                const targetScreen = backButton.dataset.backTo;
-                console.log(`⬅️ Botón de retroceso presionado, volviendo a: ${targetScreen}`);
-                this.transitionToScreen(targetScreen);
+                console.log('⬅️ Botón de retroceso presionado');
+                this.previousScreen();
             }
         });
 
         // También agregar listener táctil para botones de retroceso
         document.addEventListener('touchend', (e) => {
             const backButton = e.target.closest('.back-button');
-            if (backButton && backButton.dataset.backTo) {
+            if (backButton) {
                 e.preventDefault();
                 e.stopPropagation();
-                const targetScreen = backButton.dataset.backTo;
-                console.log(`⬅️ Botón de retroceso presionado (táctil), volviendo a: ${targetScreen}`);
-                this.transitionToScreen(targetScreen);
+                console.log('⬅️ Botón de retroceso presionado (táctil)');
+                this.previousScreen();
             }
         });
 
@@ -1240,7 +2310,7 @@ class CalculadoraApp {
         // Intentar configurar inmediatamente
         if (!setupWelcomeButton()) {
             // Si no se encuentra, intentar después de un breve delay
-            setTimeout(() => {
+            this.schedule(() => {
                 if (!setupWelcomeButton()) {
                     console.error('❌ ERROR CRÍTICO: No se pudo encontrar el botón después de múltiples intentos');
                 }
@@ -1304,7 +2374,7 @@ class CalculadoraApp {
                 e.preventDefault();
                 e.stopPropagation();
                 // Detener narración si está activa
-                this.stopWelcomeNarration();
+                this.stopNarration();
                 this.startGame();
             }
         });
@@ -1317,7 +2387,7 @@ class CalculadoraApp {
                 e.preventDefault();
                 e.stopPropagation();
                 // Detener narración si está activa
-                this.stopWelcomeNarration();
+                this.stopNarration();
                 this.startGame();
             });
             
@@ -1327,7 +2397,7 @@ class CalculadoraApp {
                 e.preventDefault();
                 e.stopPropagation();
                 // Detener narración si está activa
-                this.stopWelcomeNarration();
+                this.stopNarration();
                 this.startGame();
             });
             
@@ -1378,14 +2448,14 @@ class CalculadoraApp {
         if (prizeBtn) {
             prizeBtn.addEventListener('click', () => {
                 console.log('➡️ Botón "Quiero mejorar mi agua" presionado, mostrando pantalla de especialista');
-                this.transitionToScreen('specialist');
+                this.nextScreen();
             });
             // Soporte táctil
             prizeBtn.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón "Quiero mejorar mi agua" presionado (táctil), mostrando pantalla de especialista');
-                this.transitionToScreen('specialist');
+                this.nextScreen();
             });
         }
 
@@ -1394,13 +2464,13 @@ class CalculadoraApp {
         if (viewSummaryBtn) {
             viewSummaryBtn.addEventListener('click', () => {
                 console.log('➡️ Botón "Ver Resumen de Gastos" presionado');
-                this.transitionToScreen('summary');
+                this.nextScreen();
             });
             viewSummaryBtn.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón "Ver Resumen de Gastos" presionado (táctil)');
-                this.transitionToScreen('summary');
+                this.nextScreen();
             });
         }
 
@@ -1476,39 +2546,39 @@ class CalculadoraApp {
         if (benefitAhorroBack) {
             benefitAhorroBack.addEventListener('click', () => {
                 console.log('➡️ Botón Felicidades de Ahorro presionado, volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
             benefitAhorroBack.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón Felicidades de Ahorro presionado (táctil), volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
         }
 
         if (benefitSaludBack) {
             benefitSaludBack.addEventListener('click', () => {
                 console.log('➡️ Botón Felicidades de Salud presionado, volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
             benefitSaludBack.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón Felicidades de Salud presionado (táctil), volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
         }
 
         if (benefitTranquilidadBack) {
             benefitTranquilidadBack.addEventListener('click', () => {
                 console.log('➡️ Botón Felicidades de Tranquilidad presionado, volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
             benefitTranquilidadBack.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón Felicidades de Tranquilidad presionado (táctil), volviendo a pantalla de premio');
-                this.transitionToScreen('prize');
+                this.nextScreen();
             });
         }
 
@@ -1517,14 +2587,14 @@ class CalculadoraApp {
         if (multiplierBtn) {
             multiplierBtn.addEventListener('click', () => {
                 console.log('➡️ Botón continuar de multiplicador de meses presionado, avanzando a pantalla de multiplicador de años');
-                this.transitionToScreen('years-multiplier');
+                this.nextScreen();
             });
             // Soporte táctil
             multiplierBtn.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón continuar de multiplicador de meses presionado (táctil), avanzando a pantalla de multiplicador de años');
-                this.transitionToScreen('years-multiplier');
+                this.nextScreen();
             });
         }
 
@@ -1533,14 +2603,14 @@ class CalculadoraApp {
         if (yearsMultiplierBtn) {
             yearsMultiplierBtn.addEventListener('click', () => {
                 console.log('➡️ Botón continuar de multiplicador de años presionado, avanzando a pantalla de resultado de años');
-                this.transitionToScreen('years-result');
+                this.nextScreen();
             });
             // Soporte táctil
             yearsMultiplierBtn.addEventListener('touchend', (e) => {
                     e.preventDefault();
                     e.stopPropagation();
                 console.log('➡️ Botón continuar de multiplicador de años presionado (táctil), avanzando a pantalla de resultado de años');
-                this.transitionToScreen('years-result');
+                this.nextScreen();
             });
         }
 
@@ -1549,8 +2619,6 @@ class CalculadoraApp {
         if (yearsResultContinueBtn) {
             yearsResultContinueBtn.addEventListener('click', () => {
                 console.log('➡️ Botón continuar de resultado de años presionado, avanzando a pantalla de validación');
-                // Detener alarma repetitiva antes de avanzar
-                this.stopYearsRepeatingAlarm();
                 this.nextScreen();
             });
             // Soporte táctil
@@ -1558,8 +2626,61 @@ class CalculadoraApp {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón continuar de resultado de años presionado (táctil), avanzando a pantalla de validación');
-                // Detener alarma repetitiva antes de avanzar
-                this.stopYearsRepeatingAlarm();
+                this.nextScreen();
+            });
+        }
+
+        // Botones de plan de financiamiento (desde premio y especialista)
+        [['prize-financing-button', 'prize'], ['specialist-financing-button', 'specialist']].forEach(([buttonId, fromScreen]) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.addEventListener('click', () => {
+                console.log(`➡️ Botón de financiamiento presionado desde ${fromScreen}`);
+                this.openFinancingScreen(fromScreen);
+            });
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log(`➡️ Botón de financiamiento presionado desde ${fromScreen} (táctil)`);
+                this.openFinancingScreen(fromScreen);
+            });
+        });
+
+        // Botón continuar del financiamiento
+        const financingContinueBtn = document.getElementById('financing-continue-button');
+        if (financingContinueBtn) {
+            // Desde el premio se sigue al especialista; desde el especialista, al resumen
+            financingContinueBtn.addEventListener('click', () => this.nextScreen());
+            financingContinueBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.nextScreen();
+            });
+        }
+
+        // Cambiar pago inicial con el teclado numérico
+        const downPaymentEditBtn = document.getElementById('financing-down-payment-edit');
+        if (downPaymentEditBtn) {
+            downPaymentEditBtn.addEventListener('click', () => this.editFinancingDownPayment());
+            downPaymentEditBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.editFinancingDownPayment();
+            });
+        }
+
+        // Botón continuar del análisis de ahorro
+        const analysisContinueBtn = document.getElementById('analysis-continue-button');
+        if (analysisContinueBtn) {
+            analysisContinueBtn.addEventListener('click', () => {
+                console.log('➡️ Botón continuar del análisis presionado, avanzando a pantalla de premio');
+                this.nextScreen();
+            });
+            // Soporte táctil
+            analysisContinueBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('➡️ Botón continuar del análisis presionado (táctil), avanzando a pantalla de premio');
                 this.nextScreen();
             });
         }
@@ -1603,9 +2724,9 @@ class CalculadoraApp {
                 console.log('➡️ Botón continuar de advertencia presionado, avanzando a pantalla de simulación');
                 // Limpiar intervalo si existe
                 if (this.warningInterval) {
-                    clearInterval(this.warningInterval);
+                    this.cancelScheduled(this.warningInterval);
                 }
-                this.transitionToScreen('water-simulation');
+                this.nextScreen();
             });
             // Soporte táctil
             warningContinueBtn.addEventListener('touchend', (e) => {
@@ -1614,9 +2735,9 @@ class CalculadoraApp {
                 console.log('➡️ Botón continuar de advertencia presionado (táctil), avanzando a pantalla de simulación');
                 // Limpiar intervalo si existe
                 if (this.warningInterval) {
-                    clearInterval(this.warningInterval);
+                    this.cancelScheduled(this.warningInterval);
                 }
-                this.transitionToScreen('water-simulation');
+                this.nextScreen();
             });
         }
 
@@ -1625,14 +2746,14 @@ class CalculadoraApp {
         if (waterSimulationBtn) {
             waterSimulationBtn.addEventListener('click', () => {
                 console.log('➡️ Botón adelante de simulación presionado, avanzando a pantalla de frecuencia');
-                this.transitionToScreen('water-frequency');
+                this.nextScreen();
             });
             // Soporte táctil
             waterSimulationBtn.addEventListener('touchend', (e) => {
                 e.preventDefault();
                 e.stopPropagation();
                 console.log('➡️ Botón adelante de simulación presionado (táctil), avanzando a pantalla de frecuencia');
-                this.transitionToScreen('water-frequency');
+                this.nextScreen();
             });
         }
 
@@ -1651,113 +2772,376 @@ class CalculadoraApp {
                 this.nextScreen();
             });
         }
+
+        // Teclado numérico para "Otro monto" / "Otra cantidad"
+        this.setupAmountKeypad();
+
+        // Corrección de respuestas desde el resumen y la revisión
+        this.setupAnswerEditing('summary-table-container', () => this.generateSummaryTable());
+        this.setupAnswerEditing('review-table-container', () => this.renderReviewTable());
+
+        // Botón de la revisión: volver a confirmar con los totales actualizados
+        const reviewContinueBtn = document.getElementById('review-continue-button');
+        if (reviewContinueBtn) {
+            reviewContinueBtn.addEventListener('click', () => {
+                console.log('➡️ Revisión terminada, volviendo a la confirmación');
+                this.nextScreen();
+            });
+            reviewContinueBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('➡️ Revisión terminada, volviendo a la confirmación (táctil)');
+                this.nextScreen();
+            });
+        }
+
+        // Aviso para continuar una partida interrumpida
+        [['resume-session-accept', () => this.resumeSession()], ['resume-session-decline', () => this.discardSession()]].forEach(([buttonId, handler]) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.addEventListener('click', handler);
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handler();
+            });
+        });
+
+        // Pausa del presentador: botón flotante, botón del aviso y tecla P
+        ['presenter-pause-button', 'presenter-resume-button'].forEach(buttonId => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            button.addEventListener('click', () => this.togglePresenterPause());
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.togglePresenterPause();
+            });
+        });
+        // Subtítulos de la narración: botón flotante
+        const captionsToggle = document.getElementById('captions-toggle');
+        if (captionsToggle) {
+            captionsToggle.addEventListener('click', () => this.toggleCaptions());
+            captionsToggle.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleCaptions();
+            });
+        }
+        this.updateCaptionsToggle();
+        
+        // Demostración en espera: tocar en cualquier parte para empezar
+        const attractOverlay = document.getElementById('attract-overlay');
+        if (attractOverlay) {
+            attractOverlay.addEventListener('click', () => this.stopAttractLoop());
+            attractOverlay.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.stopAttractLoop();
+            });
+        }
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT');
+            if (isTyping || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.key === 'p' || e.key === 'P' || e.key === 'Pause') {
+                e.preventDefault();
+                this.togglePresenterPause();
+            }
+        });
+
+        // Botón continuar de la pantalla del hogar
+        const householdContinueBtn = document.getElementById('household-continue');
+        if (householdContinueBtn) {
+            householdContinueBtn.addEventListener('click', () => this.nextScreen());
+            householdContinueBtn.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.nextScreen();
+            });
+        }
+
+        // Modo "Necesito más tiempo" y botones "+10 s" de los timers
+        const accessibleToggle = document.getElementById('accessible-mode-toggle');
+        const timerButtons = document.querySelectorAll('.timer-extend-button');
+        [
+            ...(accessibleToggle ? [[accessibleToggle, () => this.toggleAccessibleMode()]] : []),
+            ...Array.from(timerButtons).map(button => [button, () => this.extendTimer(button.dataset.timerScreen)])
+        ].forEach(([button, handler]) => {
+            button.addEventListener('click', handler);
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handler();
+            });
+        });
+
+        // Acceso oculto a la configuración del operador y sus controles
+        this.setupAdminAccess();
+        this.setupAdminScreenControls();
+    }
+
+    // Iniciar el juego
+    startGame() {
+        console.log('🎮 Iniciando juego...');
+        
+        // Resetear estado del juego (preservar userName)
+        const savedUserName = this.gameState.userName || '';
+        const savedIsPlural = this.gameState.isPlural || false;
+        const savedGender = this.gameState.gender || '';
+        this.gameState = {
+            userName: savedUserName, // Preservar el nombre del usuario
+            isPlural: savedIsPlural, // Preservar si es plural
+            gender: savedGender, // Preservar "Familia" para preguntar por el hogar
+            products: [],
+            currentProductIndex: 0,
+            household: null,
+            currentMemberIndex: 0,
+            monthlyTotal: 0,
+            currentProductData: null,
+            waterType: null,
+            waterFrequency: null,
+            waterPrice: null,
+            waterMonthlyTotal: 0,
+            multiplier: 1,
+            totalAccumulated: 0,
+            yearsMultiplier: 1,
+            yearsTotalAccumulated: 0,
+            yearsTotalAdjusted: 0,
+            yearsProjection: null,
+            pasteurAnalysis: null,
+            financing: null,
+            benchmark: null,
+            analyticsRecorded: false
+        };
+        
+        // Resetear timers
+        Object.keys(this.timers).forEach(key => {
+            this.stopTimer(key);
+        });
+        
+        // Resetear banderas de narración
+        this.rulesNarrationPlayed = false;
+        this.reflectivePhrasePlayed = false; // Resetear frase reflexiva para nueva sesión
+        
+        console.log('🔄 Estado del juego reseteado:', this.gameState);
+        
+        // Navegar a las reglas (las familias pasan antes por la pantalla del hogar)
+        this.transitionToScreen(this.flow ? this.flow.getNext('welcome') : 'rules');
+    }
+
+    // Ir a la siguiente pantalla (según el flujo de pantallas)
+    nextScreen() {
+        console.log(`📱 nextScreen() llamado desde: ${this.currentScreen}`);
+        if (!this.flow) {
+            console.warn('⚠️ Flujo de pantallas no disponible');
+            return;
+        }
+        
+        const target = this.flow.getNext(this.currentScreen);
+        if (!target) {
+            console.warn(`⚠️ Sin pantalla siguiente para: ${this.currentScreen}`);
+            return;
+        }
+        
+        console.log(`➡️ Navegando a: ${target}`);
+        this.transitionToScreen(target);
+    }
+
+    // Volver a la pantalla anterior restaurando el estado que tenía el usuario en ella
+    previousScreen() {
+        if (this.screenHistory.length > 1) {
+            this.screenHistory.pop(); // Paso actual
+            const step = this.screenHistory[this.screenHistory.length - 1];
+            this.gameState = this.cloneGameState(step.state);
+            console.log(`⬅️ Volviendo a: ${step.screen} (estado restaurado)`);
+            this.transitionToScreen(step.screen, { fromHistory: true });
+            return;
+        }
+        
+        // Sin historial, usar el retroceso declarado en el flujo
+        const target = this.flow ? this.flow.getBack(this.currentScreen) : null;
+        if (!target) {
+            console.warn(`⚠️ Sin pantalla anterior para: ${this.currentScreen}`);
+            return;
+        }
+        
+        console.log(`⬅️ Volviendo a: ${target}`);
+        this.transitionToScreen(target);
+    }
+
+    // Avanzar automáticamente tras una pausa, solo si el usuario no navegó mientras tanto
+    scheduleNextScreen(delay) {
+        const visit = this.screenVisit;
+        this.schedule(() => {
+            if (this.screenVisit !== visit) {
+                console.log('⏭️ Avance automático cancelado: el usuario ya cambió de pantalla');
+                return;
+            }
+            this.nextScreen();
+        }, delay);
+    }
+
+    // Registrar un paso en el historial con una copia del estado al entrar a la pantalla
+    recordScreenStep(screenName, fromScreen) {
+        const step = { screen: screenName, state: this.cloneGameState(this.gameState) };
+        
+        // Volver al inicio empieza un historial nuevo (y descarta la partida guardada)
+        if (this.flow && screenName === this.flow.initial) {
+            this.screenHistory = [step];
+            if (fromScreen && this.dataStorage) this.dataStorage.clearGameProgress();
+            return;
+        }
+        
+        // Las pantallas de detalle regresan a la pantalla que las abrió sin agregar un paso
+        if (this.flow && this.flow.isDetour(fromScreen)) {
+            const index = this.screenHistory.map(entry => entry.screen).lastIndexOf(screenName);
+            if (index !== -1) this.screenHistory.splice(index);
+        }
+        
+        // Reentrar a la misma pantalla reemplaza su paso (salvo al pasar al siguiente producto o integrante)
+        const last = this.screenHistory[this.screenHistory.length - 1];
+        const sameQuestion = last && last.state.currentProductIndex === step.state.currentProductIndex &&
+            last.state.currentMemberIndex === step.state.currentMemberIndex;
+        if (last && last.screen === screenName && sameQuestion) {
+            this.screenHistory.pop();
+        }
+        
+        this.screenHistory.push(step);
+    }
+
+    // Guardar el avance (pantalla, respuestas e historial) para poder continuar tras recargar
+    saveSessionCheckpoint() {
+        if (!this.dataStorage || !this.flow) return;
+        
+        // Al terminar la partida ya no queda nada que continuar
+        if (this.flow.isTerminal(this.currentScreen)) {
+            this.dataStorage.clearGameProgress();
+            return;
+        }
+        if (!this.flow.isResumable(this.currentScreen)) return;
+        
+        this.dataStorage.storeGameProgress({
+            checkpoint: {
+                screen: this.currentScreen,
+                gameState: this.cloneGameState(this.gameState),
+                history: this.screenHistory,
+                financingReturnScreen: this.financingReturnScreen,
+                accessibleMode: this.accessibleMode,
+                captionsEnabled: this.captionsEnabled,
+                savedAt: Date.now()
+            }
+        });
+    }
+
+    // Obtener la partida guardada si todavía se puede continuar
+    getSessionCheckpoint() {
+        if (!this.dataStorage || !this.flow) return null;
+        
+        const checkpoint = this.dataStorage.getGameProgress().checkpoint;
+        if (!checkpoint || !checkpoint.gameState || !this.flow.hasScreen(checkpoint.screen)) return null;
+        
+        if (Date.now() - (checkpoint.savedAt || 0) > SESSION_RESUME_MAX_AGE) {
+            console.log('💾 Partida guardada demasiado antigua, descartándola');
+            this.dataStorage.clearGameProgress();
+            return null;
+        }
+        
+        return checkpoint;
     }
 
-    // Iniciar el juego
-    startGame() {
-        console.log('🎮 Iniciando juego...');
+    // Mostrar "¿Continuar donde quedaste?" si hay una partida interrumpida
+    offerSessionResume() {
+        const checkpoint = this.getSessionCheckpoint();
+        const modal = document.getElementById('resume-session-modal');
+        if (!checkpoint || !modal) return;
         
-        // Resetear estado del juego (preservar userName)
-        const savedUserName = this.gameState.userName || '';
-        const savedIsPlural = this.gameState.isPlural || false;
-        this.gameState = {
-            userName: savedUserName, // Preservar el nombre del usuario
-            isPlural: savedIsPlural, // Preservar si es plural
-            products: [],
-            currentProductIndex: 0,
-            monthlyTotal: 0,
-            currentProductData: null,
-            waterType: null,
-            waterFrequency: null,
-            waterPrice: null,
-            waterMonthlyTotal: 0,
-            multiplier: 1,
-            totalAccumulated: 0,
-            yearsMultiplier: 1,
-            yearsTotalAccumulated: 0
-        };
+        const { userName, isPlural, products } = checkpoint.gameState;
+        const title = document.getElementById('resume-session-title');
+        const text = document.getElementById('resume-session-text');
+        const answered = new Set((products || []).map(product => product.product)).size; // Cuidado personal por integrante cuenta una vez
+        const total = this.catalog.products.length;
         
-        // Resetear timers
-        Object.keys(this.timers).forEach(key => {
-            this.stopTimer(key);
-        });
+        if (title) {
+            title.textContent = isPlural ? '¿Continuar donde quedaron?' : '¿Continuar donde quedaste?';
+        }
+        if (text) {
+            const who = userName ? `${userName}, ` : '';
+            const progress = answered > 0 ? ` (${Math.min(answered, total)} de ${total} productos respondidos)` : '';
+            text.textContent = isPlural
+                ? `${who}tienen una partida sin terminar${progress}.`
+                : `${who}tienes una partida sin terminar${progress}.`;
+        }
         
-        // Resetear banderas de narración
-        this.rulesNarrationPlayed = false;
-        this.reflectivePhrasePlayed = false; // Resetear frase reflexiva para nueva sesión
+        modal.classList.remove('hidden');
+        console.log(`💾 Partida interrumpida encontrada en "${checkpoint.screen}"`);
+    }
+
+    // Continuar la partida guardada en la misma pantalla y con las mismas respuestas
+    resumeSession() {
+        const checkpoint = this.getSessionCheckpoint();
+        this.hideResumeSessionModal();
+        if (!checkpoint) return;
         
-        console.log('🔄 Estado del juego reseteado:', this.gameState);
+        this.gameState = { ...this.gameState, ...this.cloneGameState(checkpoint.gameState) };
+        this.screenHistory = Array.isArray(checkpoint.history) ? checkpoint.history : [];
+        this.financingReturnScreen = checkpoint.financingReturnScreen || 'prize';
+        this.accessibleMode = Boolean(checkpoint.accessibleMode);
+        this.captionsEnabled = typeof checkpoint.captionsEnabled === 'boolean' ? checkpoint.captionsEnabled : null;
+        this.updateCaptionsToggle();
+        
+        // Asegurar que el último paso del historial sea la pantalla restaurada
+        const last = this.screenHistory[this.screenHistory.length - 1];
+        if (!last || last.screen !== checkpoint.screen) {
+            this.screenHistory.push({ screen: checkpoint.screen, state: this.cloneGameState(this.gameState) });
+        }
         
-        // Navegar directamente a la pantalla de reglas
-        this.transitionToScreen('rules');
+        console.log(`▶️ Continuando partida en: ${checkpoint.screen}`);
+        this.transitionToScreen(checkpoint.screen, { fromHistory: true });
     }
 
-    // Ir a la siguiente pantalla
-    nextScreen() {
-        console.log(`📱 nextScreen() llamado desde: ${this.currentScreen}`);
-        // Flujo dinámico basado en el estado actual
-        if (this.currentScreen === 'welcome') {
-            console.log('➡️ Navegando a: rules');
-            this.transitionToScreen('rules');
-        } else if (this.currentScreen === 'rules') {
-            console.log('➡️ Navegando a: countdown');
-            this.transitionToScreen('countdown');
-        } else if (this.currentScreen === 'countdown') {
-            console.log('➡️ Navegando a: price');
-            this.transitionToScreen('price');
-        } else if (this.currentScreen === 'price') {
-            console.log('➡️ Navegando a: quantity');
-            this.transitionToScreen('quantity');
-        } else if (this.currentScreen === 'quantity') {
-            // Verificar si hay más productos
-            this.gameState.currentProductIndex++;
-            console.log(`📦 Producto actual: ${this.gameState.currentProductIndex} de ${PRODUCT_DATA.products.length}`);
-            if (this.gameState.currentProductIndex < PRODUCT_DATA.products.length) {
-                console.log('➡️ Navegando a: price (siguiente producto)');
-                this.transitionToScreen('price');
-            } else {
-                console.log('➡️ Navegando a: cleaning-result (todos los productos completados)');
-                this.transitionToScreen('cleaning-result');
-            }
-        } else if (this.currentScreen === 'cleaning-result') {
-            console.log('➡️ Navegando a: water-type');
-            this.transitionToScreen('water-type');
-        } else if (this.currentScreen === 'water-type') {
-            // Esto no debería ocurrir directamente, pero por si acaso
-            console.log('➡️ Navegando a: results');
-            this.transitionToScreen('results');
-        } else if (this.currentScreen === 'water-warning') {
-            console.log('➡️ Navegando a: water-frequency');
-            this.transitionToScreen('water-frequency');
-        } else if (this.currentScreen === 'water-frequency') {
-            console.log('➡️ Navegando a: water-price');
-            this.transitionToScreen('water-price');
-        } else if (this.currentScreen === 'water-price') {
-            console.log('➡️ Navegando a: water-result');
-            this.transitionToScreen('water-result');
-        } else if (this.currentScreen === 'water-result') {
-            console.log('➡️ Navegando a: results');
-            this.transitionToScreen('results');
-        } else if (this.currentScreen === 'results') {
-            console.log('➡️ Navegando a: multiplier');
-            this.transitionToScreen('multiplier');
-        } else if (this.currentScreen === 'years-result') {
-            console.log('➡️ Navegando a: validation');
-            this.transitionToScreen('validation');
-        } else if (this.currentScreen === 'validation') {
-            console.log('➡️ Navegando a: analysis');
-            this.transitionToScreen('analysis');
-        } else if (this.currentScreen === 'analysis') {
-            console.log('➡️ Navegando a: prize');
-            this.transitionToScreen('prize');
-        } else {
-            console.warn(`⚠️ Pantalla desconocida: ${this.currentScreen}`);
+    // Descartar la partida guardada y empezar desde cero
+    discardSession() {
+        if (this.dataStorage) this.dataStorage.clearGameProgress();
+        this.hideResumeSessionModal();
+        console.log('🗑️ Partida guardada descartada');
+    }
+
+    // Ocultar el aviso de partida interrumpida
+    hideResumeSessionModal() {
+        const modal = document.getElementById('resume-session-modal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    // Copia profunda del estado del juego (solo datos simples)
+    cloneGameState(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    // Avanzar al siguiente producto (antes de decidir la pantalla que sigue a la cantidad)
+    advanceProductIndex() {
+        // Los productos de cuidado personal se repiten para cada integrante del hogar
+        const members = this.getAnsweringMembers();
+        if (members.length > 0 && this.gameState.currentMemberIndex < members.length - 1) {
+            this.gameState.currentMemberIndex++;
+            console.log(`👤 Siguiente integrante: ${members[this.gameState.currentMemberIndex]}`);
+            return;
         }
+        
+        this.gameState.currentMemberIndex = 0;
+        this.gameState.currentProductIndex++;
+        console.log(`📦 Producto actual: ${this.gameState.currentProductIndex} de ${this.catalog.products.length}`);
     }
 
-    // Transición entre pantallas
-    transitionToScreen(screenName) {
+    // Transición entre pantallas (fromHistory: retroceso con estado ya restaurado)
+    transitionToScreen(screenName, options = {}) {
         console.log(`🔄 Transición INICIADA: ${this.currentScreen} → ${screenName}`);
+        this.screenVisit++;
+        
+        // Cerrar el teclado numérico si quedó abierto
+        if (this.keypadState) {
+            this.closeAmountKeypad();
+        }
         
         // Asegurar que el loading overlay no esté bloqueando
         const loadingOverlay = document.getElementById('loading-overlay');
@@ -1766,19 +3150,14 @@ class CalculadoraApp {
             loadingOverlay.classList.add('hidden');
         }
         
-        // Si salimos de la pantalla de resultado de años, detener la alarma repetitiva
-        if (this.currentScreen === 'years-result' && screenName !== 'years-result') {
-            this.stopYearsRepeatingAlarm();
-        }
-        
-        // Si salimos de la pantalla principal, detener el sonido de gota
-        if (this.currentScreen === 'initial-welcome' && screenName !== 'initial-welcome') {
-            this.stopWaterDropSound();
-        }
-        
-        // Si entramos a la pantalla principal, iniciar el sonido de gota
-        if (screenName === 'initial-welcome' && this.currentScreen !== 'initial-welcome') {
-            this.setupLogoWaterSound();
+        const fromScreen = this.currentScreen;
+        if (this.flow && fromScreen !== screenName) {
+            if (!options.fromHistory && !options.reset && !this.flow.hasEdge(fromScreen, screenName)) {
+                console.warn(`⚠️ Transición no declarada en el flujo: ${fromScreen} → ${screenName}`);
+            }
+            // Acciones al salir de la pantalla actual (alarmas, sonidos) y sus narraciones pendientes
+            this.flow.exit(fromScreen, screenName);
+            this.stopNarration(fromScreen);
         }
         
         // Ocultar todas las pantallas primero
@@ -1812,8 +3191,14 @@ class CalculadoraApp {
             // Actualizar nombre de usuario si existe
             this.updateUserNameDisplay();
             
+            // Guardar el paso para poder volver con el mismo estado
+            if (!options.fromHistory) {
+                this.recordScreenStep(screenName, fromScreen);
+            }
+            this.saveSessionCheckpoint();
+            
             // Ejecutar lógica específica de la pantalla
-            this.handleScreenEnter(screenName);
+            this.handleScreenEnter(screenName, fromScreen);
             console.log(`✅ Pantalla ${screenName} activada correctamente`);
         } else {
             console.error(`❌ No se encontró la pantalla: ${screenName}`);
@@ -1839,6 +3224,7 @@ class CalculadoraApp {
             this.currentScreen = screenName;
             // Actualizar nombre de usuario si existe
             this.updateUserNameDisplay();
+            this.recordScreenStep(screenName, null);
             this.handleScreenEnter(screenName);
         }
     }
@@ -1869,140 +3255,57 @@ class CalculadoraApp {
         }
     }
 
-    // Manejar entrada a pantalla
-    handleScreenEnter(screenName) {
-        // Si entramos a la pantalla principal, iniciar sonido de gota
-        if (screenName === 'initial-welcome') {
-            console.log('💧 Entrando a pantalla principal, iniciando sonido de gota...');
-            this.setupLogoWaterSound();
+    // Manejar entrada a pantalla (acciones "enter" del flujo de pantallas)
+    handleScreenEnter(screenName, fromScreen = null) {
+        if (this.flow) {
+            this.flow.enter(screenName, fromScreen);
         }
-        
-        // Si entramos a la pantalla de bienvenida (segunda pantalla), actualizar textos y iniciar narración
-        if (screenName === 'welcome') {
-            console.log('🎤 Entrando a pantalla de bienvenida, actualizando textos y iniciando narración...');
-            // Actualizar textos según singular/plural
-            this.updateWelcomeScreenTexts();
-            // Esperar un momento para que la pantalla se muestre completamente
-            setTimeout(() => {
+    }
+
+    // Iniciar la narración de bienvenida cuando la pantalla ya se muestra
+    scheduleWelcomeNarration() {
+        this.schedule(() => {
+            // No narrar si el usuario ya avanzó
+            if (this.currentScreen === 'welcome') {
                 this.startWelcomeNarration();
-            }, 500);
-        }
-        
-        // Si entramos a la pantalla de reglas (tercera pantalla), actualizar textos y iniciar narración automáticamente (solo una vez)
-        if (screenName === 'rules' && !this.rulesNarrationPlayed) {
-            console.log('🎤 Entrando a pantalla de reglas, actualizando textos e iniciando narración automáticamente...');
-            // IMPORTANTE: Detener cualquier narración de bienvenida que pueda estar reproduciéndose
-            this.stopWelcomeNarration();
-            this.setupRulesScreen();
-            // Esperar un momento para que la pantalla se muestre completamente y asegurar que la narración anterior se detuvo
-            setTimeout(() => {
-                this.startRulesNarration();
-            }, 500);
-        }
-        
-        // Si salimos de la pantalla de resultado de años, detener la alarma repetitiva
-        if (screenName !== 'years-result') {
-            this.stopYearsRepeatingAlarm();
-        }
-        
-        // Si salimos de la pantalla de bienvenida, detener la narración
-        // IMPORTANTE: Detener la narración de bienvenida cuando entramos a reglas para evitar que se solape
-        if (screenName === 'rules') {
-            // Detener cualquier narración de bienvenida que pueda estar reproduciéndose
-            this.stopWelcomeNarration();
-        } else if (screenName !== 'welcome' && screenName !== 'initial-welcome') {
-            this.stopWelcomeNarration();
-        }
-        
-        switch (screenName) {
-            case 'countdown':
-                this.startCountdown();
-                break;
-            case 'price':
-                this.setupPriceScreen();
-                break;
-            case 'quantity':
-                this.setupQuantityScreen();
-                break;
-            case 'cleaning-result':
-                this.showCleaningResult();
-                break;
-            case 'water-type':
-                this.setupWaterTypeScreen();
-                this.startWaterTypeNarration();
-                break;
-            case 'water-warning':
-                this.showWaterWarning();
-                break;
-            case 'water-simulation':
-                this.setupWaterSimulationScreen();
-                break;
-            case 'water-frequency':
-                this.setupWaterFrequencyScreen();
-                break;
-            case 'water-price':
-                this.setupWaterPriceScreen();
-                break;
-            case 'water-result':
-                this.showWaterResult();
-                break;
-            case 'results':
-                this.showResults();
-                break;
-            case 'multiplier':
-                this.setupMultiplierScreen();
-                break;
-            case 'years-multiplier':
-                this.setupYearsMultiplierScreen();
-                break;
-            case 'years-result':
-                this.showYearsResult();
-                break;
-            case 'validation':
-                this.setupValidationScreen();
-                this.startValidationNarration();
-                break;
-            case 'analysis':
-                this.setupAnalysisScreen();
-                this.showAnalysis();
-                break;
-            case 'prize':
-                this.setupPrizeScreen();
-                this.showConfetti();
-                this.startPrizeNarration();
-                break;
-            case 'benefit-ahorro':
-                this.setupBenefitAhorroScreen();
-                this.startBenefitAhorroNarration();
-                break;
-            case 'benefit-salud':
-                this.setupBenefitSaludScreen();
-                this.startBenefitSaludNarration();
-                break;
-            case 'benefit-tranquilidad':
-                this.setupBenefitTranquilidadScreen();
-                this.startBenefitTranquilidadNarration();
-                break;
-            case 'specialist':
-                this.setupSpecialistScreen();
-                this.startSpecialistNarration();
-                break;
-            case 'summary':
-                this.generateSummaryTable();
-                // Asegurar que el botón de descarga esté disponible
-                const downloadBtn = document.getElementById('download-pdf-button');
-                if (downloadBtn) {
-                    downloadBtn.style.display = 'block';
-                    console.log('✅ Botón de descarga PDF visible en pantalla de resumen');
-                } else {
-                    console.warn('⚠️ Botón de descarga PDF no encontrado en pantalla de resumen');
-                }
-                break;
+            }
+        }, 500);
+    }
+
+    // Entrar a la pantalla de reglas: actualizar textos y narrar automáticamente (solo una vez)
+    enterRulesScreen() {
+        if (this.rulesNarrationPlayed) return;
+        
+        console.log('🎤 Entrando a pantalla de reglas, actualizando textos e iniciando narración automáticamente...');
+        // IMPORTANTE: Detener cualquier narración de bienvenida que pueda estar reproduciéndose
+        this.stopNarration();
+        this.setupRulesScreen();
+        // Esperar un momento para que la pantalla se muestre completamente y asegurar que la narración anterior se detuvo
+        this.schedule(() => {
+            this.startRulesNarration();
+        }, 500);
+    }
+
+    // Asegurar que el botón de descarga esté disponible en el resumen
+    showSummaryDownloadButton() {
+        const downloadBtn = document.getElementById('download-pdf-button');
+        if (downloadBtn) {
+            downloadBtn.style.display = 'block';
+            console.log('✅ Botón de descarga PDF visible en pantalla de resumen');
+        } else {
+            console.warn('⚠️ Botón de descarga PDF no encontrado en pantalla de resumen');
         }
     }
 
     // Reproducir sonido de cuenta regresiva (tipo carrera)
     playCountdownSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        if (this.accessibleMode) {
+            this.playGentleCue();
+            return;
+        }
+        
         try {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
@@ -2058,6 +3361,8 @@ class CalculadoraApp {
 
     // Reproducir sonido de reloj (versión simple y funcional, similar a playCountdownSound)
     playClockTickSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
             // Crear AudioContext nuevo cada vez (mismo patrón que playCountdownSound que funciona)
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -2111,9 +3416,125 @@ class CalculadoraApp {
             this.playCountdownSound();
             await this.sleep(1000);
         }
+        
+        // Si el usuario retrocedió durante la cuenta regresiva, no avanzar
+        if (this.currentScreen !== 'countdown') return;
         this.nextScreen();
     }
 
+    // Configurar pantalla del hogar: personas y cómo responder el cuidado personal
+    setupHouseholdScreen() {
+        if (!this.gameState.household) {
+            this.gameState.household = { size: this.getHouseholdSize(), mode: 'together', members: [] };
+        }
+        const household = this.gameState.household;
+        
+        const createOption = (label, isSelected, onSelect) => {
+            const option = document.createElement('div');
+            option.className = 'drag-option clickable-option';
+            option.textContent = label;
+            option.classList.toggle('selected', isSelected);
+            option.addEventListener('click', onSelect);
+            option.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                onSelect();
+            });
+            return option;
+        };
+        
+        const sizeContainer = document.getElementById('household-size-options');
+        if (sizeContainer) {
+            sizeContainer.innerHTML = '';
+            for (let size = 2; size <= HOUSEHOLD_MAX_SIZE; size++) {
+                const label = size === HOUSEHOLD_MAX_SIZE ? `${size} o más` : `${size}`;
+                sizeContainer.appendChild(createOption(label, size === household.size, () => this.selectHouseholdSize(size)));
+            }
+        }
+        
+        const modeContainer = document.getElementById('household-mode-options');
+        if (modeContainer) {
+            modeContainer.innerHTML = '';
+            HOUSEHOLD_MODES.forEach(mode => {
+                modeContainer.appendChild(createOption(mode.label, mode.value === household.mode, () => this.selectHouseholdMode(mode.value)));
+            });
+        }
+    }
+
+    // Elegir cuántas personas viven en el hogar
+    selectHouseholdSize(size) {
+        const household = this.gameState.household;
+        if (!household) return;
+        
+        household.size = size;
+        household.members = this.buildHouseholdMembers(size, household.mode);
+        this.setupHouseholdScreen();
+    }
+
+    // Elegir si el cuidado personal se responde en conjunto, por persona o por grupos
+    selectHouseholdMode(mode) {
+        const household = this.gameState.household;
+        if (!household) return;
+        
+        household.mode = mode;
+        household.members = this.buildHouseholdMembers(household.size, mode);
+        console.log(`👪 Cuidado personal: ${mode}`, household.members);
+        this.setupHouseholdScreen();
+    }
+
+    // Integrantes que responden el cuidado personal (nombres escritos o "Persona N")
+    buildHouseholdMembers(size, mode) {
+        if (mode === 'groups') return ['Adultos', 'Niños'];
+        if (mode !== 'person') return [];
+        
+        const names = this.getHouseholdNames();
+        return Array.from({ length: size }, (_, index) => names[index] || `Persona ${index + 1}`);
+    }
+
+    // Integrantes que deben responder el producto actual (vacío si responde todo el hogar)
+    getAnsweringMembers() {
+        const product = this.catalog.products[this.gameState.currentProductIndex];
+        const household = this.gameState.household;
+        if (!product || !product.personalCare || !household) return [];
+        return household.members || [];
+    }
+
+    // Integrante que responde ahora (null si responde todo el hogar)
+    getCurrentMember() {
+        const members = this.getAnsweringMembers();
+        return members.length > 0 ? members[this.gameState.currentMemberIndex] || null : null;
+    }
+
+    // Nombre del producto con el integrante al que corresponde la respuesta
+    getProductLabel(product) {
+        return product.member ? `${product.product} (${product.member})` : product.product;
+    }
+
+    // Gasto mensual por integrante (cuidado personal) y del hogar (productos compartidos)
+    calculateMemberBreakdown(products) {
+        const rows = [];
+        const byMember = {};
+        let shared = 0;
+        
+        products.forEach(product => {
+            if (!product.member) {
+                shared += product.total || 0;
+                return;
+            }
+            if (byMember[product.member] === undefined) {
+                byMember[product.member] = 0;
+                rows.push(product.member);
+            }
+            byMember[product.member] += product.total || 0;
+        });
+        
+        if (rows.length === 0) return [];
+        return [
+            ...rows.map(member => ({ label: member, total: byMember[member] })),
+            { label: 'Hogar (productos compartidos)', total: shared }
+        ];
+    }
+
     // Configurar pantalla de reglas con lógica de género y plural
     setupRulesScreen() {
         const nameInfo = this.getUserNameInfo();
@@ -2122,11 +3543,13 @@ class CalculadoraApp {
         const rulesQuestion = document.querySelector('.rules-question');
         
         if (rulesMainText) {
-            if (nameInfo.isPlural) {
-                rulesMainText.textContent = 'Tendrán 15 segundos para elegir el precio aproximado de los productos que usan actualmente.';
-            } else {
-                rulesMainText.textContent = 'Tendrás 15 segundos para elegir el precio aproximado de los productos que usas actualmente.';
-            }
+            rulesMainText.textContent = this.getTimerRulesText(nameInfo.isPlural);
+        }
+        
+        const accessibleToggle = document.getElementById('accessible-mode-toggle');
+        if (accessibleToggle) {
+            accessibleToggle.textContent = this.accessibleMode ? '✅ Modo con más tiempo activado' : '🐢 Necesito más tiempo';
+            accessibleToggle.setAttribute('aria-pressed', String(this.accessibleMode));
         }
         
         if (instructionItems.length > 1) {
@@ -2167,7 +3590,7 @@ class CalculadoraApp {
         
         if (!container) return;
 
-        const currentProduct = PRODUCT_DATA.products[this.gameState.currentProductIndex];
+        const currentProduct = this.catalog.products[this.gameState.currentProductIndex];
         if (!currentProduct) {
             // No hay más productos, ir a resultados
             this.nextScreen();
@@ -2181,8 +3604,16 @@ class CalculadoraApp {
         if (productNameEl) {
             const emojiEl = productNameEl.querySelector('.product-emoji');
             const nameEl = productNameEl.querySelector('.product-name-text');
+            const member = this.getCurrentMember();
             if (emojiEl) emojiEl.textContent = currentProduct.emoji;
-            if (nameEl) nameEl.textContent = currentProduct.name;
+            if (nameEl) nameEl.textContent = member ? `${currentProduct.name} · ${member}` : currentProduct.name;
+        }
+
+        // Indicar la unidad de compra del producto (botella, barra, litro)
+        const priceInstruction = document.getElementById('price-instruction');
+        if (priceInstruction) {
+            const unit = this.getUnitInfo(currentProduct.unit);
+            priceInstruction.textContent = `👉 Selecciona el precio por ${unit.singular} que más se acerca`;
         }
 
         // Limpiar contenedor
@@ -2196,13 +3627,7 @@ class CalculadoraApp {
             const div = document.createElement('div');
             div.className = 'drag-option clickable-option';
             // Mostrar "No lo uso" cuando el precio es 0, de lo contrario mostrar el precio formateado
-            if (price === 0) {
-                div.textContent = 'No lo uso';
-            } else if (price === 2) {
-                div.textContent = '$2';
-            } else {
-            div.textContent = `$${price.toFixed(2)}`;
-            }
+            div.textContent = this.formatPriceLabel(price);
             div.dataset.price = price;
             
             // Evento de click (reemplaza drag & drop)
@@ -2226,11 +3651,31 @@ class CalculadoraApp {
             container.appendChild(div);
         });
 
+        // Tarjeta "Otro monto" si el producto la permite
+        if (currentProduct.otherAmount) {
+            const unit = this.getUnitInfo(currentProduct.unit);
+            container.appendChild(this.createOtherAmountOption('✏️ Otro monto', () => {
+                this.openAmountKeypad({
+                    title: `✏️ Precio por ${unit.singular}`,
+                    min: currentProduct.otherAmount.min,
+                    max: currentProduct.otherAmount.max,
+                    allowDecimals: true,
+                    isMoney: true,
+                    timerScreen: 'price',
+                    onConfirm: (amount) => this.selectPrice(amount)
+                });
+            }));
+        }
+
         // Iniciar timer
-        this.startTimer('price', 15, () => {
-            // Selección automática por defecto (precio medio, índice 3 = $9.99)
-            const defaultPrice = currentProduct.prices[3] || currentProduct.prices[1];
-            this.selectPrice(defaultPrice);
+        this.startTimer('price', this.getTimerSeconds(), () => {
+            if (this.operatorSettings.timeoutAction === 'skip') {
+                this.skipProductByTimeout('price');
+                return;
+            }
+            // Selección automática por defecto (precio medio de la escala del producto)
+            const defaultPrice = currentProduct.prices[Math.floor(currentProduct.prices.length / 2)];
+            this.selectPrice(defaultPrice, null, 'timeout');
         });
     }
 
@@ -2279,7 +3724,7 @@ class CalculadoraApp {
         }
 
         // Crear tarjetas de frecuencia clickeables (1 al 10)
-        PRODUCT_DATA.waterFrequencies.forEach(frequency => {
+        this.catalog.waterFrequencies.forEach(frequency => {
             const div = document.createElement('div');
             div.className = 'drag-option clickable-option';
             div.textContent = this.getNumberEmoji(frequency);
@@ -2339,10 +3784,10 @@ class CalculadoraApp {
         }
 
         // Crear tarjetas de precio clickeables
-        PRODUCT_DATA.waterPrices.forEach(price => {
+        this.catalog.waterPrices.forEach(price => {
             const div = document.createElement('div');
             div.className = 'drag-option clickable-option';
-            div.textContent = price === 20 ? '$+20' : `$${price.toFixed(2)}`;
+            div.textContent = this.formatPriceLabel(price);
             div.dataset.price = price;
             
             // Evento de click (reemplaza drag & drop)
@@ -2361,6 +3806,21 @@ class CalculadoraApp {
             
             container.appendChild(div);
         });
+
+        // Tarjeta "Otro monto" para quienes pagan más o menos que las opciones
+        const waterRange = this.catalog.waterPriceOtherAmount;
+        if (waterRange) {
+            container.appendChild(this.createOtherAmountOption('✏️ Otro monto', () => {
+                this.openAmountKeypad({
+                    title: '✏️ Precio por compra de agua',
+                    min: waterRange.min,
+                    max: waterRange.max,
+                    allowDecimals: true,
+                    isMoney: true,
+                    onConfirm: (amount) => this.selectWaterPrice(amount)
+                });
+            }));
+        }
     }
 
     // Configurar pantalla de tipo de agua
@@ -2403,7 +3863,7 @@ class CalculadoraApp {
         }
 
         // Crear tarjetas de tipo de agua clickeables
-        PRODUCT_DATA.waterTypes.forEach(waterType => {
+        this.catalog.waterTypes.forEach(waterType => {
             const div = document.createElement('div');
             div.className = 'drag-option clickable-option';
             div.textContent = `${waterType.emoji} ${waterType.name}`;
@@ -2435,10 +3895,16 @@ class CalculadoraApp {
         const quantityQuestion = document.getElementById('quantity-question');
         if (quantityQuestion) {
             const nameInfo = this.getUserNameInfo();
-            if (nameInfo.isPlural) {
-                quantityQuestion.textContent = '¿Cuántas unidades compran al mes?';
+            const unitPlural = this.gameState.currentProductData
+                ? this.getUnitInfo(this.gameState.currentProductData.unit).plural
+                : 'unidades';
+            const member = this.gameState.currentProductData ? this.gameState.currentProductData.member : null;
+            if (member) {
+                quantityQuestion.textContent = `¿Cuántas ${unitPlural} compran al mes para ${member}?`;
+            } else if (nameInfo.isPlural) {
+                quantityQuestion.textContent = `¿Cuántas ${unitPlural} compran al mes?`;
             } else {
-                quantityQuestion.textContent = '¿Cuántas unidades compras al mes?';
+                quantityQuestion.textContent = `¿Cuántas ${unitPlural} compras al mes?`;
             }
         }
         const container = document.getElementById('quantity-options');
@@ -2462,7 +3928,7 @@ class CalculadoraApp {
         }
 
         // Crear tarjetas de cantidad clickeables
-        PRODUCT_DATA.quantities.forEach(quantity => {
+        this.catalog.quantities.forEach(quantity => {
             const div = document.createElement('div');
             div.className = 'drag-option clickable-option';
             // Mostrar "Ninguno" cuando el valor es 0
@@ -2490,11 +3956,32 @@ class CalculadoraApp {
             container.appendChild(div);
         });
 
+        // Tarjeta "Otra cantidad" para compras mayores a las opciones
+        const quantityRange = this.catalog.quantityOtherAmount;
+        if (quantityRange) {
+            const unit = this.getUnitInfo(this.gameState.currentProductData.unit);
+            container.appendChild(this.createOtherAmountOption('✏️ Otra cantidad', () => {
+                this.openAmountKeypad({
+                    title: `✏️ ¿Cuántas ${unit.plural} al mes?`,
+                    min: quantityRange.min,
+                    max: quantityRange.max,
+                    allowDecimals: false,
+                    isMoney: false,
+                    timerScreen: 'quantity',
+                    onConfirm: (amount) => this.selectQuantity(amount)
+                });
+            }));
+        }
+
         // Iniciar timer para cantidad
-        this.startTimer('quantity', 15, () => {
+        this.startTimer('quantity', this.getTimerSeconds(), () => {
+            if (this.operatorSettings.timeoutAction === 'skip') {
+                this.skipProductByTimeout('quantity');
+                return;
+            }
             // Selección automática por defecto (cantidad media)
-            const defaultQuantity = PRODUCT_DATA.quantities[Math.floor(PRODUCT_DATA.quantities.length / 2)];
-            this.selectQuantity(defaultQuantity);
+            const defaultQuantity = this.catalog.quantities[Math.floor(this.catalog.quantities.length / 2)];
+            this.selectQuantity(defaultQuantity, null, 'timeout');
         }, timerEl);
     }
 
@@ -2516,7 +4003,7 @@ class CalculadoraApp {
         e.currentTarget.classList.add('dragging');
         let label = 'opción';
         if (option.price !== undefined) {
-            label = `$${option.price.toFixed(2)}`;
+            label = this.formatMoney(option.price);
         } else if (option.quantity !== undefined) {
             label = option.quantity.toString();
         } else if (option.label) {
@@ -2666,20 +4153,24 @@ class CalculadoraApp {
     }
 
     // Seleccionar precio
-    selectPrice(price, dropZone = null) {
-        console.log('✅ Precio seleccionado:', price);
+    selectPrice(price, dropZone = null, source = 'user') {
+        console.log('✅ Precio seleccionado:', price, source === 'timeout' ? '(automático por tiempo)' : '');
         
-        const currentProduct = PRODUCT_DATA.products[this.gameState.currentProductIndex];
+        const currentProduct = this.catalog.products[this.gameState.currentProductIndex];
         if (!currentProduct) return;
         
         // Guardar precio temporalmente - guardar solo el nombre del producto, no el objeto completo
         if (!this.gameState.currentProductData) {
             this.gameState.currentProductData = {
                 product: currentProduct.name, // Guardar solo el nombre como string
-                price: price
+                price: price,
+                unit: currentProduct.unit || 'unit',
+                member: this.getCurrentMember(), // Integrante del hogar (solo cuidado personal)
+                sources: { price: source } // 'user' o 'timeout' (elegido por el timer)
             };
         } else {
             this.gameState.currentProductData.price = price;
+            this.gameState.currentProductData.sources = { ...this.gameState.currentProductData.sources, price: source };
         }
         
         if (!dropZone) {
@@ -2687,15 +4178,14 @@ class CalculadoraApp {
         }
         
         // Mostrar feedback apropiado según el precio
-        const priceLabel = price === 0 ? 'No lo uso' : (price === 2 ? '$2' : `$${price.toFixed(2)}`);
-        this.showSuccessFeedback(dropZone, { label: priceLabel });
+        this.showSuccessFeedback(dropZone, { label: this.formatPriceLabel(price) });
         this.playSuccessSound();
         this.stopTimer('price');
         
         // Bloquear todas las opciones
         this.lockAllOptions('drag-options');
         
-        setTimeout(() => this.nextScreen(), 1500);
+        this.scheduleNextScreen(1500);
     }
 
     // Seleccionar frecuencia de compra de agua
@@ -2716,9 +4206,12 @@ class CalculadoraApp {
         this.lockAllOptions('water-frequency-options');
         
         // Pasar automáticamente a precio de agua
-        setTimeout(() => {
-            this.nextScreen(); // Pasa a precio de agua
-        }, 1500);
+        this.scheduleNextScreen(1500);
+    }
+
+    // Gasto mensual en agua: precio × compras por semana × semanas por mes
+    calculateWaterMonthlyTotal(price, frequency) {
+        return (Number(price) || 0) * (Number(frequency) || 0) * WEEKS_PER_MONTH;
     }
 
     // Seleccionar precio del agua
@@ -2730,194 +4223,187 @@ class CalculadoraApp {
         
         // Calcular automáticamente: Precio × Compras semanales
         if (this.gameState.waterFrequency) {
-            const weeklyTotal = price * this.gameState.waterFrequency;
-            // Convertir a mensual (asumiendo 4 semanas por mes)
-            const monthlyWaterTotal = weeklyTotal * 4;
+            const monthlyWaterTotal = this.calculateWaterMonthlyTotal(price, this.gameState.waterFrequency);
             this.gameState.waterMonthlyTotal = monthlyWaterTotal;
-            console.log(`💧 Cálculo automático: $${price.toFixed(2)} × ${this.gameState.waterFrequency} compras/semana = $${weeklyTotal.toFixed(2)}/semana = $${monthlyWaterTotal.toFixed(2)}/mes`);
+            console.log(`💧 Cálculo automático: ${this.formatMoney(price)} × ${this.gameState.waterFrequency} compras/semana = ${this.formatMoney(monthlyWaterTotal)}/mes`);
         }
         
         if (!dropZone) {
             dropZone = document.getElementById('water-price-drop-zone');
         }
         
-        const priceLabel = price === 20 ? '$+20' : `$${price.toFixed(2)}`;
-        this.showSuccessFeedback(dropZone, { label: priceLabel });
+        this.showSuccessFeedback(dropZone, { label: this.formatPriceLabel(price) });
         this.playSuccessSound();
         
         // Bloquear todas las opciones
         this.lockAllOptions('water-price-options');
         
         // Pasar automáticamente a resultado del agua
-        setTimeout(() => {
-            this.nextScreen(); // Pasa a resultado del agua
-        }, 1500);
+        this.scheduleNextScreen(1500);
     }
 
-    // Iniciar narración de productos de limpieza con voz femenina (misma que pantallas 1 y 2)
+    // Narrar la suma de limpieza y mostrar el total al terminar (a los 3 segundos si no hay voz)
     startCleaningNarration() {
-        console.log('🎤 Iniciando proceso de narración de productos de limpieza...');
+        return this.waitForNarration(this.narrate('cleaning-calculating'), 3000).then(({ cancelled }) => {
+            if (cancelled || this.currentScreen !== 'cleaning-result') return;
+            this.showCleaningResultAfterNarration();
+        });
+    }
+
+    // Mostrar resultado después de la narración
+    showCleaningResultAfterNarration() {
+        // Calcular total de productos de limpieza
+        const cleaningTotal = this.gameState.products.reduce((sum, product) => {
+            return sum + (product.total || 0);
+        }, 0);
         
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            // Fallback: mostrar resultado después de 3 segundos
-            setTimeout(() => {
-                this.showCleaningResultAfterNarration();
-            }, 3000);
-            return;
+        // Guardar el total en el estado
+        this.gameState.monthlyTotal = cleaningTotal;
+        
+        console.log(`🧹 Total de productos de limpieza: ${this.formatMoney(cleaningTotal)}`);
+        
+        // Ocultar animación y mostrar resultado
+        const thinking = document.getElementById('cleaning-thinking');
+        const result = document.getElementById('cleaning-calculation-result');
+        const continueButton = document.getElementById('cleaning-continue-button');
+        const resultTitle = result ? result.querySelector('.result-title-orange') : null;
+        
+        // Actualizar texto del título según género y plural
+        if (resultTitle) {
+            const nameInfo = this.getUserNameInfo();
+            if (nameInfo.isPlural) {
+                resultTitle.textContent = '🧹 Sus gastos mensuales en productos de limpieza son:';
+            } else {
+                resultTitle.textContent = '🧹 Tus gastos mensuales en productos de limpieza son:';
+            }
+        }
+        
+        if (thinking) thinking.classList.add('hidden');
+        if (result) {
+            result.classList.remove('hidden');
+            const amountEl = document.getElementById('cleaning-total-amount');
+            if (amountEl) {
+                amountEl.textContent = this.formatMoney(cleaningTotal);
+            }
         }
 
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
+        // Mostrar botón de continuar
+        if (continueButton) {
+            continueButton.classList.remove('hidden');
         }
 
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
+        // Reproducir sonido de alerta
+        this.playAlertSound();
 
-            // Función para iniciar la narración (se llama cuando las voces estén listas)
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (productos de limpieza)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    setTimeout(() => {
-                        this.showCleaningResultAfterNarration();
-                    }, 3000);
-                    return;
-                }
+        // Iniciar narración de resultados con voz femenina
+        this.startCleaningResultNarration(cleaningTotal);
 
-                // Texto a leer con lógica singular/plural
-                const nameInfo = this.getUserNameInfo();
-                const cleaningText = nameInfo.isPlural
-                    ? 'Sumando sus gastos en productos de limpieza y aseo. Espere un momento.'
-                    : 'Sumando tus gastos en productos de limpieza y aseo. Espere un momento.';
-                
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(cleaningText, 0.88, 1.2);
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de productos de limpieza completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                    // Mostrar resultado inmediatamente después de la narración
-                    this.showCleaningResultAfterNarration();
-                };
+        // Ya no avanzamos automáticamente - el usuario debe hacer clic en el botón
+    }
 
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de productos de limpieza:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                    // Mostrar resultado inmediatamente incluso con error
-                    this.showCleaningResultAfterNarration();
-                };
+    // Narrar el total de limpieza (con la frase reflexiva solo la primera vez)
+    startCleaningResultNarration(cleaningTotal) {
+        const reflective = !this.reflectivePhrasePlayed;
+        this.reflectivePhrasePlayed = true;
+        return this.narrate('cleaning-total', { total: cleaningTotal, reflective });
+    }
 
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de productos de limpieza iniciada correctamente');
-                };
+    // Mostrar resultado de productos de limpieza
+    async showCleaningResult() {
+        // Calcular total de productos de limpieza
+        const cleaningTotal = this.gameState.products.reduce((sum, product) => {
+            return sum + (product.total || 0);
+        }, 0);
+        
+        // Guardar el total en el estado
+        this.gameState.monthlyTotal = cleaningTotal;
+        
+        console.log(`🧹 Total de productos de limpieza: ${this.formatMoney(cleaningTotal)}`);
+        
+        // Mostrar animación de pensamiento (cerebro visible)
+        const thinking = document.getElementById('cleaning-thinking');
+        const result = document.getElementById('cleaning-calculation-result');
+        const continueButton = document.getElementById('cleaning-continue-button');
+        const thinkingText = thinking ? thinking.querySelector('.thinking-text') : null;
+        
+        // Actualizar texto según género y plural
+        if (thinkingText) {
+            const nameInfo = this.getUserNameInfo();
+            if (nameInfo.isPlural) {
+                thinkingText.textContent = '➡️ Sumando sus gastos en productos de limpieza...';
+            } else {
+                thinkingText.textContent = '➡️ Sumando tus gastos en productos de limpieza...';
+            }
+        }
+        
+        if (thinking) thinking.classList.remove('hidden');
+        if (result) result.classList.add('hidden');
+        if (continueButton) continueButton.classList.add('hidden');
 
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para productos de limpieza (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para productos de limpieza');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para productos de limpieza:', speakError);
-                    this.isNarrating = false;
-                    setTimeout(() => {
-                        this.showCleaningResultAfterNarration();
-                    }, 3000);
-                }
-            };
+        // Iniciar narración (el cerebro estará visible mientras habla)
+        this.startCleaningNarration();
+    }
 
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para productos de limpieza');
-                        this.isNarrating = false;
-                        setTimeout(() => {
-                            this.showCleaningResultAfterNarration();
-                        }, 3000);
-                    }
-                }, 1000);
+    // Mostrar resultado del agua
+    async showWaterResult() {
+        // Mostrar animación de pensamiento (cerebro visible)
+        const thinking = document.getElementById('water-thinking');
+        const result = document.getElementById('water-calculation-result');
+        const thinkingText = thinking ? thinking.querySelector('.thinking-text') : null;
+        
+        // Actualizar texto según género y plural
+        if (thinkingText) {
+            const nameInfo = this.getUserNameInfo();
+            if (nameInfo.isPlural) {
+                thinkingText.textContent = '➡️ Sumando sus gastos del agua...';
+            } else {
+                thinkingText.textContent = '➡️ Sumando tus gastos del agua...';
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de productos de limpieza:', error);
-            this.isNarrating = false;
-            // Fallback: mostrar resultado después de 3 segundos
-            setTimeout(() => {
-                this.showCleaningResultAfterNarration();
-            }, 3000);
         }
+        
+        if (thinking) thinking.classList.remove('hidden');
+        if (result) result.classList.add('hidden');
+
+        // Iniciar narración (el cerebro estará visible mientras habla)
+        this.startWaterNarration();
     }
 
-    // Mostrar resultado después de la narración
-    showCleaningResultAfterNarration() {
-        // Calcular total de productos de limpieza
-        const cleaningTotal = this.gameState.products.reduce((sum, product) => {
-            return sum + (product.total || 0);
-        }, 0);
-        
-        // Guardar el total en el estado
-        this.gameState.monthlyTotal = cleaningTotal;
-        
-        console.log(`🧹 Total de productos de limpieza: $${cleaningTotal.toFixed(2)}`);
+    // Narrar la suma del agua y mostrar el total al terminar (a los 3 segundos si no hay voz)
+    startWaterNarration() {
+        return this.waitForNarration(this.narrate('water-calculating'), 3000).then(({ cancelled }) => {
+            if (cancelled || this.currentScreen !== 'water-result') return;
+            this.showWaterResultAfterNarration();
+        });
+    }
+
+    // Mostrar resultado después de la narración de agua
+    showWaterResultAfterNarration() {
+        const waterTotal = this.gameState.waterMonthlyTotal || 0;
         
+        console.log(`💧 Total de agua: ${this.formatMoney(waterTotal)}`);
+
         // Ocultar animación y mostrar resultado
-        const thinking = document.getElementById('cleaning-thinking');
-        const result = document.getElementById('cleaning-calculation-result');
-        const continueButton = document.getElementById('cleaning-continue-button');
+        const thinking = document.getElementById('water-thinking');
+        const result = document.getElementById('water-calculation-result');
+        const continueButton = document.getElementById('water-continue-button');
         const resultTitle = result ? result.querySelector('.result-title-orange') : null;
         
         // Actualizar texto del título según género y plural
         if (resultTitle) {
             const nameInfo = this.getUserNameInfo();
             if (nameInfo.isPlural) {
-                resultTitle.textContent = '🧹 Sus gastos mensuales en productos de limpieza son:';
+                resultTitle.textContent = '💧 Sus gastos mensuales en agua son:';
             } else {
-                resultTitle.textContent = '🧹 Tus gastos mensuales en productos de limpieza son:';
+                resultTitle.textContent = '💧 Tus gastos mensuales en agua son:';
             }
         }
         
         if (thinking) thinking.classList.add('hidden');
         if (result) {
             result.classList.remove('hidden');
-            const amountEl = document.getElementById('cleaning-total-amount');
+            const amountEl = document.getElementById('water-total-amount');
             if (amountEl) {
-                amountEl.textContent = cleaningTotal.toFixed(2);
+                amountEl.textContent = this.formatMoney(waterTotal);
             }
         }
 
@@ -2930,726 +4416,970 @@ class CalculadoraApp {
         this.playAlertSound();
 
         // Iniciar narración de resultados con voz femenina
-        this.startCleaningResultNarration(cleaningTotal);
+        this.startWaterResultNarration(waterTotal);
 
         // Ya no avanzamos automáticamente - el usuario debe hacer clic en el botón
     }
 
-    // Iniciar narración de resultados de productos de limpieza
-    startCleaningResultNarration(cleaningTotal) {
-        console.log('🎤 Iniciando narración de resultados de productos de limpieza...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
+    // Narrar el total del agua y el paso a la suma general
+    startWaterResultNarration(waterTotal) {
+        return this.narrate('water-total', { total: waterTotal });
+    }
 
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
+    // Seleccionar tipo de agua
+    selectWaterType(waterType, dropZone = null) {
+        console.log('✅ Tipo de agua seleccionado:', waterType);
+        
+        // Guardar tipo de agua en el estado
+        this.gameState.waterType = waterType;
+        
+        if (!dropZone) {
+            dropZone = document.getElementById('water-type-drop-zone');
         }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
+        
+        this.showSuccessFeedback(dropZone, { label: `${waterType.emoji} ${waterType.name}` });
+        
+        // Si es "Agua del grifo", mostrar advertencia con sonido y efecto visual
+        if (waterType.value === 'tap') {
+            // Reproducir sonido de alerta y peligro
+            this.playAlertSound();
+            
+            // Agregar efecto de luces rojas a la pantalla
+            const screen = document.getElementById('water-type-screen');
+            if (screen) {
+                screen.classList.add('red-alert');
+                // Remover el efecto después de la transición
+                this.schedule(() => {
+                    screen.classList.remove('red-alert');
+                }, 2000);
             }
+        
+        // Bloquear todas las opciones
+        this.lockAllOptions('water-type-options');
+        
+            // Transicionar a pantalla de advertencia (la pantalla narra los mensajes al entrar)
+            this.scheduleNextScreen(1500);
+        } else {
+            // Si no es grifo, reproducir sonido de éxito normal
+            this.playSuccessSound();
             
-            // Marcar que estamos narrando
-            this.isNarrating = true;
+            // Bloquear todas las opciones
+            this.lockAllOptions('water-type-options');
+            
+            // Pasar directamente a frecuencia
+            this.scheduleNextScreen(1500);
+        }
+    }
 
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (resultados de limpieza)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
+    // Seleccionar cantidad
+    selectQuantity(quantity, dropZone = null, source = 'user') {
+        console.log('✅ Cantidad seleccionada:', quantity);
+        
+        if (!this.gameState.currentProductData) {
+            console.error('No hay precio seleccionado');
+            return;
+        }
+        
+        const productData = this.gameState.currentProductData;
+        const total = productData.price * quantity;
+        
+        // Guardar producto completo - asegurar que product sea el nombre (string)
+        // Si por alguna razón productData.product es un objeto, extraer el nombre
+        let productName = productData.product;
+        if (typeof productName === 'object' && productName !== null) {
+            productName = productName.name || 'Producto';
+        } else if (typeof productName !== 'string') {
+            productName = String(productName || 'Producto');
+        }
+        
+        this.gameState.products.push({
+            product: productName,
+            price: productData.price,
+            quantity: quantity,
+            unit: productData.unit || 'unit',
+            total: total,
+            ...(productData.member ? { member: productData.member } : {}),
+            sources: { price: 'user', ...productData.sources, quantity: source }
+        });
+        
+        // Limpiar datos temporales
+        this.gameState.currentProductData = null;
+        
+        if (!dropZone) {
+            dropZone = document.getElementById('quantity-drop-zone');
+        }
+        
+        // Mostrar feedback apropiado según la cantidad
+        const feedbackLabel = this.formatQuantityWithUnit(quantity, productData.unit);
+        this.showSuccessFeedback(dropZone, { label: feedbackLabel });
+        this.playSuccessSound();
+        
+        // Bloquear todas las opciones
+        this.lockAllOptions('quantity-options');
+        
+        // Detener timer de cantidad
+        this.stopTimer('quantity');
+        
+        // Calcular y pasar automáticamente al siguiente producto o a resultados
+        this.scheduleNextScreen(1500);
+    }
 
-                // Texto del resultado (en dólares) - sin emoji para mejor pronunciación
-                const resultText = `Tus gastos mensuales en productos de limpieza y aseo personal son aproximadamente ${cleaningTotal.toFixed(2)} dólares`;
-                
-                // Crear utterance para el resultado
-                // Crear utterance con voz humanizada
-                const resultUtterance = this.createHumanizedUtterance(resultText, 0.88, 1.2);
+    // Omitir el producto actual cuando se agota el tiempo (modo "skip" del operador)
+    skipProductByTimeout(screen) {
+        const currentProduct = this.catalog.products[this.gameState.currentProductIndex];
+        if (!currentProduct) return;
+        
+        const productData = this.gameState.currentProductData || {};
+        const price = screen === 'quantity' ? productData.price || 0 : 0;
+        const member = this.getCurrentMember();
+        console.log(`⏭️ Tiempo agotado: se omite ${currentProduct.name}${member ? ` (${member})` : ''}`);
+        
+        this.gameState.products.push({
+            product: currentProduct.name,
+            price: price,
+            quantity: 0,
+            unit: currentProduct.unit || 'unit',
+            total: 0,
+            ...(member ? { member } : {}),
+            sources: { price: screen === 'quantity' ? (productData.sources || {}).price || 'user' : 'timeout', quantity: 'timeout' },
+            skipped: true
+        });
+        this.gameState.currentProductData = null;
+        
+        // Desde precio se salta la cantidad: avanzar aquí al siguiente producto (o integrante)
+        if (screen === 'price') this.advanceProductIndex();
+        
+        const dropZoneId = screen === 'price' ? 'drop-zone' : 'quantity-drop-zone';
+        this.showSuccessFeedback(document.getElementById(dropZoneId), { label: '⏱️ Omitido' });
+        this.lockAllOptions(screen === 'price' ? 'drag-options' : 'quantity-options');
+        this.stopTimer(screen);
+        
+        this.scheduleNextScreen(1500);
+    }
 
-                // Guardar referencia
-                this.currentUtterance = resultUtterance;
+    // Mostrar feedback de éxito
+    showSuccessFeedback(dropZone, data) {
+        if (!dropZone) return;
+        
+        // Agregar clases de éxito
+        dropZone.classList.add('has-selection', 'success-glow');
+        
+        // Actualizar texto
+        const dropText = dropZone.querySelector('.drop-zone-text');
+        if (dropText) {
+            if (data.label) {
+                dropText.textContent = `✓ ${data.label}`;
+            } else if (data.price !== undefined) {
+                dropText.textContent = `✓ ${this.formatMoney(data.price)}`;
+            } else if (data.quantity !== undefined) {
+                dropText.textContent = `✓ ${this.formatQuantityWithUnit(data.quantity, data.unit)}`;
+            }
+            dropText.style.color = '#4CAF50';
+            dropText.style.fontWeight = '700';
+        }
+        
+        // Animación de pulso verde
+        this.schedule(() => {
+            dropZone.classList.remove('success-glow');
+        }, 2000);
+    }
 
-                // Evento cuando termine el resultado
-                resultUtterance.onend = () => {
-                    console.log('✅ Narración de resultado completada');
-                    
-                    // Esperar un momento antes de la frase reflexiva
-        setTimeout(() => {
-                        // Solo decir la frase reflexiva una vez
-                        if (!this.reflectivePhrasePlayed) {
-                            this.reflectivePhrasePlayed = true;
-                            this.speakReflectivePhrase(spanishVoice, voices);
-                        } else {
-                            this.isNarrating = false;
-                            this.currentUtterance = null;
-                        }
-                    }, 800);
-                };
+    // Bloquear todas las opciones
+    lockAllOptions(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const options = container.querySelectorAll('.drag-option');
+        options.forEach(option => {
+            option.draggable = false;
+            option.classList.add('locked');
+            option.style.opacity = '0.5';
+            option.style.cursor = 'not-allowed';
+        });
+    }
 
-                // Evento de error
-                resultUtterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de resultado:', event.error);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
+    // ===== CONFIGURACIÓN DEL OPERADOR =====
 
-                // Evento cuando comienza
-                resultUtterance.onstart = () => {
-                    console.log('🔊 Narración de resultado iniciada');
-                };
+    // Acceso oculto: 5 toques seguidos sobre el logo de la pantalla principal
+    setupAdminAccess() {
+        const logo = document.querySelector('#initial-welcome-screen .main-logo');
+        if (!logo) return;
+        
+        const registerTap = () => {
+            if (this.currentScreen !== 'initial-welcome') return;
+            
+            this.adminTapCount++;
+            this.cancelScheduled(this.adminTapTimer);
+            this.adminTapTimer = this.schedule(() => {
+                this.adminTapCount = 0;
+            }, 3000);
+            
+            if (this.adminTapCount >= 5) {
+                this.adminTapCount = 0;
+                this.requestAdminPin();
+            }
+        };
+        
+        logo.addEventListener('click', registerTap);
+        logo.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            registerTap();
+        });
+    }
 
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(resultUtterance);
-                            console.log('🎤 Comando speak() ejecutado para resultado (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(resultUtterance);
-                        console.log('🎤 Comando speak() ejecutado para resultado');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para resultado:', speakError);
-                    this.isNarrating = false;
+    // Pedir el PIN del operador con el teclado numérico
+    requestAdminPin() {
+        console.log('🔒 Solicitando PIN de operador...');
+        this.openAmountKeypad({
+            title: '🔒 PIN de operador',
+            hint: 'Ingrese el PIN para configurar',
+            allowDecimals: false,
+            isMoney: false,
+            mask: true,
+            maxDigits: 8,
+            rawValue: true,
+            validate: (value) => this.checkAdminPin(value) ? null : 'PIN incorrecto',
+            onConfirm: () => {
+                if (this.operatorSettings.pinHash) {
+                    this.transitionToScreen('admin');
+                } else {
+                    this.requestNewAdminPin();
                 }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para resultados');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de resultados:', error);
-            this.isNarrating = false;
-        }
+        });
     }
 
-    // Hablar la frase reflexiva (solo una vez)
-    speakReflectivePhrase(spanishVoice, voices) {
-        const reflectiveText = 'Ahora que lo ves claramente, tu cerebro ya no puede ignorar este gasto.';
-        
-        // Configurar con voz humanizada (un poco más lento para efecto reflexivo)
-        const reflectiveUtterance = this.createHumanizedUtterance(reflectiveText, 0.85, 1.2);
-
-        // La voz ya está configurada en createHumanizedUtterance
-
-        this.currentUtterance = reflectiveUtterance;
+    // Primer ingreso con el PIN de fábrica: elegir un PIN propio antes de configurar
+    requestNewAdminPin() {
+        console.log('🔒 Solicitando PIN nuevo de operador...');
+        this.openAmountKeypad({
+            title: '🔒 Nuevo PIN de operador',
+            hint: `Elija un PIN de 4 a 8 dígitos (distinto de ${FACTORY_PIN})`,
+            allowDecimals: false,
+            isMoney: false,
+            mask: true,
+            maxDigits: 8,
+            rawValue: true,
+            validate: (value) => this.validateNewPin(value),
+            onConfirm: (value) => {
+                this.operatorSettings.pinHash = this.hashPin(value);
+                this.persistOperatorSettings();
+                console.log('🔒 PIN de operador cambiado');
+                this.transitionToScreen('admin');
+            }
+        });
+    }
 
-        reflectiveUtterance.onend = () => {
-            console.log('✅ Frase reflexiva completada');
-            this.isNarrating = false;
-            this.currentUtterance = null;
-        };
+    // Validar un PIN nuevo; devuelve el mensaje de error o null
+    validateNewPin(pin) {
+        if (!/^\d{4,8}$/.test(pin)) return 'El PIN debe tener entre 4 y 8 dígitos';
+        if (pin === FACTORY_PIN) return 'Elija un PIN distinto al de fábrica';
+        return null;
+    }
 
-        reflectiveUtterance.onerror = (event) => {
-            console.error('❌ Error en la frase reflexiva:', event.error);
-            this.isNarrating = false;
-            this.currentUtterance = null;
+    // Configurar botones de la pantalla de configuración (una sola vez)
+    setupAdminScreenControls() {
+        const bindButton = (id, handler) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+            button.addEventListener('click', handler);
+            button.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                handler();
+            });
         };
+        
+        bindButton('admin-save', () => this.saveAdminSettings());
+        bindButton('admin-voice-preview', () => this.previewVoice(false));
+        bindButton('admin-male-voice-preview', () => this.previewVoice(true));
+        bindButton('admin-reset', () => this.resetAdminSettings());
+        bindButton('admin-stats-reset', () => this.resetSessionAnalytics());
+        bindButton('admin-exit', () => this.nextScreen());
+    }
 
-        reflectiveUtterance.onstart = () => {
-            console.log('🔊 Frase reflexiva iniciada');
+    // Cargar valores actuales en la pantalla de configuración
+    setupAdminScreen() {
+        const settings = this.operatorSettings;
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
         };
-
-        try {
-            speechSynthesis.speak(reflectiveUtterance);
-            console.log('🎤 Comando speak() ejecutado para frase reflexiva');
-        } catch (speakError) {
-            console.error('❌ Error al ejecutar speak() para frase reflexiva:', speakError);
-            this.isNarrating = false;
-        }
+        
+        setValue('admin-timer-seconds', settings.timerSeconds);
+        setValue('admin-timeout-action', settings.timeoutAction || OPERATOR_DEFAULTS.timeoutAction);
+        setValue('admin-accessible-timer', settings.accessibleTimerMultiplier ?? OPERATOR_DEFAULTS.accessibleTimerMultiplier);
+        setValue('admin-reveal-min', settings.revealMinSeconds ?? OPERATOR_DEFAULTS.revealMinSeconds);
+        setValue('admin-reveal-max', settings.revealMaxSeconds ?? OPERATOR_DEFAULTS.revealMaxSeconds);
+        setValue('admin-narration-output', settings.narrationOutput || OPERATOR_DEFAULTS.narrationOutput);
+        setValue('admin-captions', settings.captions || OPERATOR_DEFAULTS.captions);
+        this.setupVoiceSettings();
+        
+        const clipsStatus = document.getElementById('admin-narration-clips-status');
+        if (clipsStatus) {
+            clipsStatus.textContent = this.narrationClips && this.narrationClips.isLoaded()
+                ? '✅ Paquete de narración grabada instalado'
+                : `Sin paquete de narración grabada (${NARRATION_CLIPS_URL})`;
+        }
+        setValue('admin-prize-benefit', settings.prizeBenefit);
+        setValue('admin-prize-years', settings.prizeYears);
+        setValue('admin-prize-product', settings.prizeProduct);
+        setValue('admin-finance-price', settings.financePrice !== null && settings.financePrice !== undefined ? settings.financePrice : '');
+        setValue('admin-finance-down-payment', settings.financeDownPayment);
+        setValue('admin-finance-installments', settings.financeInstallments);
+        setValue('admin-finance-rate', settings.financeAnnualRate);
+        const inflationRates = this.getInflationRates();
+        setValue('admin-inflation-cleaning', inflationRates.cleaning);
+        setValue('admin-inflation-water', inflationRates.water);
+        setValue('admin-pin', '');
+        this.showAdminMessage('');
+        this.updateSessionStatsText();
+        
+        // Regiones de referencia para comparar gastos
+        const regionSelect = document.getElementById('admin-benchmark-region');
+        if (regionSelect && this.benchmarks) {
+            regionSelect.innerHTML = '';
+            this.benchmarks.getRegions().forEach(region => {
+                const option = document.createElement('option');
+                option.value = region.key;
+                option.textContent = region.name;
+                regionSelect.appendChild(option);
+            });
+            regionSelect.value = settings.benchmarkRegion || this.benchmarks.defaultRegion;
+        }
+        setValue('admin-family-size', settings.familyHouseholdSize);
+        setValue('admin-idle-seconds', settings.idleResetSeconds ?? OPERATOR_DEFAULTS.idleResetSeconds);
+        setValue('admin-attract-loop', settings.attractLoop || OPERATOR_DEFAULTS.attractLoop);
+        
+        // Monedas soportadas por el formateador
+        const currencySelect = document.getElementById('admin-currency');
+        if (currencySelect && this.money) {
+            currencySelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+            this.money.getSupportedCurrencies().forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = code;
+                currencySelect.appendChild(option);
+            });
+            currencySelect.value = settings.currency || '';
+        }
+        
+        // Lista de productos del catálogo cargado (incluye los ocultos)
+        const list = document.getElementById('admin-products-list');
+        if (!list) return;
+        list.innerHTML = '';
+        
+        const hidden = settings.hiddenProducts || [];
+        const overrides = settings.priceOverrides || {};
+        this.baseCatalog.products.forEach((product, index) => {
+            const row = document.createElement('div');
+            row.className = 'admin-product-row';
+            
+            const label = document.createElement('label');
+            label.className = 'admin-product-visible';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'admin-product-checkbox';
+            checkbox.dataset.productIndex = index;
+            checkbox.checked = !hidden.includes(product.name);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${product.emoji} ${product.name}`));
+            
+            const pricesInput = document.createElement('input');
+            pricesInput.type = 'text';
+            pricesInput.className = 'admin-input admin-product-prices';
+            pricesInput.dataset.productIndex = index;
+            pricesInput.inputMode = 'decimal';
+            pricesInput.value = (overrides[product.name] || product.prices).join(', ');
+            
+            row.appendChild(label);
+            row.appendChild(pricesInput);
+            list.appendChild(row);
+        });
     }
 
-    // Mostrar resultado de productos de limpieza
-    async showCleaningResult() {
-        // Calcular total de productos de limpieza
-        const cleaningTotal = this.gameState.products.reduce((sum, product) => {
-            return sum + (product.total || 0);
-        }, 0);
-        
-        // Guardar el total en el estado
-        this.gameState.monthlyTotal = cleaningTotal;
+    // Validar y guardar la configuración del operador
+    saveAdminSettings() {
+        const getValue = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
         
-        console.log(`🧹 Total de productos de limpieza: $${cleaningTotal.toFixed(2)}`);
+        const timerSeconds = parseInt(getValue('admin-timer-seconds'), 10);
+        if (isNaN(timerSeconds) || timerSeconds < 5 || timerSeconds > 120) {
+            this.showAdminMessage('⚠️ El tiempo debe estar entre 5 y 120 segundos', true);
+            return;
+        }
+        const timeoutAction = getValue('admin-timeout-action') === 'skip' ? 'skip' : 'guess';
+        const accessibleTimerMultiplier = parseInt(getValue('admin-accessible-timer'), 10);
+        if (![0, 2, 3].includes(accessibleTimerMultiplier)) {
+            this.showAdminMessage('⚠️ Elija el tiempo del modo "Necesito más tiempo"', true);
+            return;
+        }
         
-        // Mostrar animación de pensamiento (cerebro visible)
-        const thinking = document.getElementById('cleaning-thinking');
-        const result = document.getElementById('cleaning-calculation-result');
-        const continueButton = document.getElementById('cleaning-continue-button');
-        const thinkingText = thinking ? thinking.querySelector('.thinking-text') : null;
+        const revealMinSeconds = parseInt(getValue('admin-reveal-min'), 10);
+        const revealMaxSeconds = parseInt(getValue('admin-reveal-max'), 10);
+        if (isNaN(revealMinSeconds) || isNaN(revealMaxSeconds) || revealMinSeconds < 0 || revealMaxSeconds < 3 || revealMaxSeconds > 60) {
+            this.showAdminMessage('⚠️ La espera de resultados debe estar entre 0 y 60 segundos (máximo de al menos 3)', true);
+            return;
+        }
+        if (revealMinSeconds > revealMaxSeconds) {
+            this.showAdminMessage('⚠️ La espera mínima no puede superar la máxima', true);
+            return;
+        }
+        const narrationOutput = ['auto', 'recorded', 'speech', 'captions'].includes(getValue('admin-narration-output'))
+            ? getValue('admin-narration-output')
+            : OPERATOR_DEFAULTS.narrationOutput;
+        const captions = ['always', 'accessible', 'off'].includes(getValue('admin-captions')) ? getValue('admin-captions') : OPERATOR_DEFAULTS.captions;
         
-        // Actualizar texto según género y plural
-        if (thinkingText) {
-            const nameInfo = this.getUserNameInfo();
-            if (nameInfo.isPlural) {
-                thinkingText.textContent = '➡️ Sumando sus gastos en productos de limpieza...';
-            } else {
-                thinkingText.textContent = '➡️ Sumando tus gastos en productos de limpieza...';
-            }
+        const voicePreferences = this.readVoiceSettings();
+        if (!voicePreferences) return;
+        
+        const prizeYears = parseInt(getValue('admin-prize-years'), 10);
+        if (isNaN(prizeYears) || prizeYears < 1 || prizeYears > 30) {
+            this.showAdminMessage('⚠️ Los años del beneficio deben estar entre 1 y 30', true);
+            return;
         }
         
-        if (thinking) thinking.classList.remove('hidden');
-        if (result) result.classList.add('hidden');
-        if (continueButton) continueButton.classList.add('hidden');
-
-        // Iniciar narración (el cerebro estará visible mientras habla)
-        this.startCleaningNarration();
-    }
-
-    // Mostrar resultado del agua
-    async showWaterResult() {
-        // Mostrar animación de pensamiento (cerebro visible)
-        const thinking = document.getElementById('water-thinking');
-        const result = document.getElementById('water-calculation-result');
-        const thinkingText = thinking ? thinking.querySelector('.thinking-text') : null;
+        const prizeBenefit = getValue('admin-prize-benefit');
+        const prizeProduct = getValue('admin-prize-product');
+        if (!prizeBenefit || !prizeProduct) {
+            this.showAdminMessage('⚠️ Complete el texto del premio', true);
+            return;
+        }
         
-        // Actualizar texto según género y plural
-        if (thinkingText) {
-            const nameInfo = this.getUserNameInfo();
-            if (nameInfo.isPlural) {
-                thinkingText.textContent = '➡️ Sumando sus gastos del agua...';
-            } else {
-                thinkingText.textContent = '➡️ Sumando tus gastos del agua...';
-            }
+        const inflationCleaning = parseFloat(getValue('admin-inflation-cleaning'));
+        const inflationWater = parseFloat(getValue('admin-inflation-water'));
+        const isValidRate = (rate) => !isNaN(rate) && rate >= 0 && rate <= 50;
+        if (!isValidRate(inflationCleaning) || !isValidRate(inflationWater)) {
+            this.showAdminMessage('⚠️ La inflación anual debe estar entre 0% y 50%', true);
+            return;
         }
         
-        if (thinking) thinking.classList.remove('hidden');
-        if (result) result.classList.add('hidden');
-
-        // Iniciar narración (el cerebro estará visible mientras habla)
-        this.startWaterNarration();
-    }
-
-    // Iniciar narración de agua con voz femenina
-    startWaterNarration() {
-        console.log('🎤 Iniciando proceso de narración de agua...');
+        // Financiamiento (precio vacío = según catálogo)
+        const financePriceText = getValue('admin-finance-price');
+        const financePrice = financePriceText === '' ? null : parseFloat(financePriceText);
+        const financeDownPayment = parseFloat(getValue('admin-finance-down-payment') || '0');
+        const financeInstallments = parseInt(getValue('admin-finance-installments'), 10);
+        const financeAnnualRate = parseFloat(getValue('admin-finance-rate') || '0');
+        if (financePrice !== null && (isNaN(financePrice) || financePrice <= 0)) {
+            this.showAdminMessage('⚠️ El precio del sistema debe ser mayor que 0', true);
+            return;
+        }
+        if (isNaN(financeDownPayment) || financeDownPayment < 0) {
+            this.showAdminMessage('⚠️ El pago inicial no puede ser negativo', true);
+            return;
+        }
+        if (isNaN(financeInstallments) || financeInstallments < 1 || financeInstallments > 120) {
+            this.showAdminMessage('⚠️ Las cuotas deben estar entre 1 y 120', true);
+            return;
+        }
+        if (isNaN(financeAnnualRate) || financeAnnualRate < 0 || financeAnnualRate > 100) {
+            this.showAdminMessage('⚠️ La tasa de interés debe estar entre 0% y 100%', true);
+            return;
+        }
         
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            // Fallback: mostrar resultado después de 3 segundos
-            setTimeout(() => {
-                this.showWaterResultAfterNarration();
-            }, 3000);
+        const familyHouseholdSize = parseInt(getValue('admin-family-size'), 10);
+        if (isNaN(familyHouseholdSize) || familyHouseholdSize < 2 || familyHouseholdSize > 15) {
+            this.showAdminMessage('⚠️ Las personas por familia deben estar entre 2 y 15', true);
             return;
         }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
+        const benchmarkRegion = getValue('admin-benchmark-region') || null;
+        
+        const idleResetSeconds = parseInt(getValue('admin-idle-seconds'), 10);
+        if (isNaN(idleResetSeconds) || (idleResetSeconds !== 0 && (idleResetSeconds < 30 || idleResetSeconds > 1800))) {
+            this.showAdminMessage('⚠️ El reinicio por inactividad debe ser 0 (nunca) o entre 30 y 1800 segundos', true);
             return;
         }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
+        const attractLoop = ['low', 'muted', 'off'].includes(getValue('admin-attract-loop')) ? getValue('admin-attract-loop') : OPERATOR_DEFAULTS.attractLoop;
+        
+        const currency = getValue('admin-currency') || null;
+        
+        const pin = getValue('admin-pin');
+        const pinError = pin ? this.validateNewPin(pin) : null;
+        if (pinError) {
+            this.showAdminMessage(`⚠️ ${pinError}`, true);
+            return;
+        }
+        
+        // Productos visibles y precios
+        const hiddenProducts = [];
+        const priceOverrides = {};
+        for (let index = 0; index < this.baseCatalog.products.length; index++) {
+            const product = this.baseCatalog.products[index];
+            const checkbox = document.querySelector(`.admin-product-checkbox[data-product-index="${index}"]`);
+            const pricesInput = document.querySelector(`.admin-product-prices[data-product-index="${index}"]`);
+            
+            if (checkbox && !checkbox.checked) {
+                hiddenProducts.push(product.name);
             }
             
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración (se llama cuando las voces estén listas)
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (agua)...');
+            if (pricesInput) {
+                const prices = pricesInput.value.split(',')
+                    .map(value => value.trim())
+                    .filter(value => value !== '')
+                    .map(value => Number(value));
                 
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    setTimeout(() => {
-                        this.showWaterResultAfterNarration();
-                    }, 3000);
+                if (prices.length === 0 || prices.some(price => !Number.isFinite(price) || price < 0)) {
+                    this.showAdminMessage(`⚠️ Precios inválidos para ${product.name}`, true);
                     return;
                 }
-
-                // Texto a leer con lógica singular/plural
-                const nameInfo = this.getUserNameInfo();
-                const waterText = nameInfo.isPlural
-                    ? 'Sumando sus gastos totales de consumo de agua. Espere un momento.'
-                    : 'Sumando tus gastos totales de consumo de agua. Espere un momento.';
                 
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(waterText, 0.88, 1.2);
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de agua completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                    // Mostrar resultado inmediatamente después de la narración
-                    this.showWaterResultAfterNarration();
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de agua:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                    // Mostrar resultado inmediatamente incluso con error
-                    this.showWaterResultAfterNarration();
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de agua iniciada correctamente');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para agua (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para agua');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para agua:', speakError);
-                    this.isNarrating = false;
-                    setTimeout(() => {
-                        this.showWaterResultAfterNarration();
-                    }, 3000);
+                // Guardar solo los precios que cambian respecto al catálogo
+                if (prices.join(',') !== product.prices.join(',')) {
+                    priceOverrides[product.name] = prices;
                 }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para agua');
-                        this.isNarrating = false;
-                        setTimeout(() => {
-                            this.showWaterResultAfterNarration();
-                        }, 3000);
-                    }
-                }, 1000);
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de agua:', error);
-            this.isNarrating = false;
-            // Fallback: mostrar resultado después de 3 segundos
-            setTimeout(() => {
-                this.showWaterResultAfterNarration();
-            }, 3000);
         }
-    }
-
-    // Mostrar resultado después de la narración de agua
-    showWaterResultAfterNarration() {
-        const waterTotal = this.gameState.waterMonthlyTotal || 0;
         
-        console.log(`💧 Total de agua: $${waterTotal.toFixed(2)}`);
+        if (hiddenProducts.length === this.baseCatalog.products.length) {
+            this.showAdminMessage('⚠️ Debe quedar al menos un producto visible', true);
+            return;
+        }
+        
+        this.operatorSettings = {
+            ...this.operatorSettings,
+            timerSeconds,
+            timeoutAction,
+            accessibleTimerMultiplier,
+            revealMinSeconds,
+            revealMaxSeconds,
+            narrationOutput,
+            captions,
+            prizeYears,
+            prizeBenefit,
+            prizeProduct,
+            hiddenProducts,
+            priceOverrides,
+            currency,
+            inflationCleaning,
+            inflationWater,
+            financePrice,
+            financeDownPayment,
+            financeInstallments,
+            financeAnnualRate,
+            benchmarkRegion,
+            familyHouseholdSize,
+            idleResetSeconds,
+            attractLoop,
+            pinHash: pin ? this.hashPin(pin) : this.operatorSettings.pinHash
+        };
+        
+        this.persistOperatorSettings();
+        this.applyOperatorSettings();
+        this.savePreferences(voicePreferences);
+        
+        // No dejar el PIN escrito en pantalla
+        const pinInput = document.getElementById('admin-pin');
+        if (pinInput) pinInput.value = '';
+        
+        this.showAdminMessage('✅ Configuración guardada y aplicada');
+    }
 
-        // Ocultar animación y mostrar resultado
-        const thinking = document.getElementById('water-thinking');
-        const result = document.getElementById('water-calculation-result');
-        const continueButton = document.getElementById('water-continue-button');
-        const resultTitle = result ? result.querySelector('.result-title-orange') : null;
+    // Llenar la sección de voz y sonidos con las voces instaladas y las preferencias guardadas
+    setupVoiceSettings() {
+        const preferences = this.preferences;
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        const setChecked = (id, checked) => {
+            const input = document.getElementById(id);
+            if (input) input.checked = checked;
+        };
         
-        // Actualizar texto del título según género y plural
-        if (resultTitle) {
-            const nameInfo = this.getUserNameInfo();
-            if (nameInfo.isPlural) {
-                resultTitle.textContent = '💧 Sus gastos mensuales en agua son:';
-            } else {
-                resultTitle.textContent = '💧 Tus gastos mensuales en agua son:';
+        setChecked('admin-narration-enabled', this.isNarrationOn());
+        setChecked('admin-sound-effects-enabled', this.areSoundEffectsOn());
+        setValue('admin-voice-rate', this.getVoiceSetting('voiceRate', 0.5, 1.5));
+        setValue('admin-voice-pitch', this.getVoiceSetting('voicePitch', 0.5, 1.5));
+        setValue('admin-voice-volume', this.getVoiceSetting('voiceVolume', 0, 1));
+        
+        const voices = 'speechSynthesis' in window ? speechSynthesis.getVoices() : [];
+        // Voces en español primero
+        const sorted = [...voices].sort((a, b) => Number(!a.lang.startsWith('es')) - Number(!b.lang.startsWith('es')));
+        [['admin-voice', preferences.voiceName], ['admin-male-voice', preferences.maleVoiceName]].forEach(([id, selectedName]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            select.innerHTML = '';
+            select.appendChild(new Option('Automática', ''));
+            sorted.forEach(voice => select.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.name)));
+            // Una voz guardada que ya no está instalada se muestra para no perderla al guardar
+            if (selectedName && !voices.some(voice => voice.name === selectedName)) {
+                select.appendChild(new Option(`${selectedName} (no instalada)`, selectedName));
             }
-        }
+            select.value = selectedName || '';
+        });
         
-        if (thinking) thinking.classList.add('hidden');
-        if (result) {
-            result.classList.remove('hidden');
-            const amountEl = document.getElementById('water-total-amount');
-            if (amountEl) {
-                amountEl.textContent = waterTotal.toFixed(2);
-            }
+        // Las voces pueden cargarse después de abrir la pantalla
+        if (voices.length === 0 && 'speechSynthesis' in window && typeof speechSynthesis.addEventListener === 'function') {
+            speechSynthesis.addEventListener('voiceschanged', () => {
+                if (this.currentScreen === 'admin') this.setupVoiceSettings();
+            }, { once: true });
         }
+    }
 
-        // Mostrar botón de continuar
-        if (continueButton) {
-            continueButton.classList.remove('hidden');
+    // Leer y validar la sección de voz y sonidos (null si hay un valor inválido)
+    readVoiceSettings() {
+        const getValue = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        const isChecked = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.checked : true;
+        };
+        
+        const voiceRate = Number(getValue('admin-voice-rate'));
+        const voicePitch = Number(getValue('admin-voice-pitch'));
+        if (!getValue('admin-voice-rate') || !getValue('admin-voice-pitch') || voiceRate < 0.5 || voiceRate > 1.5 || voicePitch < 0.5 || voicePitch > 1.5) {
+            this.showAdminMessage('⚠️ La velocidad y el tono deben estar entre 0.5 y 1.5', true);
+            return null;
         }
+        const voiceVolume = Number(getValue('admin-voice-volume'));
+        if (!getValue('admin-voice-volume') || !Number.isFinite(voiceVolume) || voiceVolume < 0 || voiceVolume > 1) {
+            this.showAdminMessage('⚠️ El volumen de la voz debe estar entre 0 y 1', true);
+            return null;
+        }
+        
+        // El interruptor general de audio (audioEnabled) no está en el panel: se conserva el guardado
+        return {
+            narrationEnabled: isChecked('admin-narration-enabled'),
+            soundEffectsEnabled: isChecked('admin-sound-effects-enabled'),
+            voiceName: getValue('admin-voice') || null,
+            maleVoiceName: getValue('admin-male-voice') || null,
+            voiceRate,
+            voicePitch,
+            voiceVolume
+        };
+    }
 
-        // Reproducir sonido de alerta
-        this.playAlertSound();
-
-        // Iniciar narración de resultados con voz femenina
-        this.startWaterResultNarration(waterTotal);
-
-        // Ya no avanzamos automáticamente - el usuario debe hacer clic en el botón
+    // Guardar y aplicar las preferencias de voz y sonidos del equipo
+    savePreferences(preferences) {
+        this.preferences = { ...this.preferences, ...preferences };
+        if (this.dataStorage) this.dataStorage.storeUserPreferences(preferences);
+        this.applyPreferences();
     }
 
-    // Iniciar narración de resultados de agua
-    startWaterResultNarration(waterTotal) {
-        console.log('🎤 Iniciando narración de resultados de agua...');
-        
-        // Verificar si SpeechSynthesis está disponible
+    // Escuchar la voz con los valores de la pantalla, antes de guardarlos
+    previewVoice(isWarning) {
         if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
+            this.showAdminMessage('⚠️ Este navegador no tiene voces', true);
             return;
         }
+        const preferences = this.readVoiceSettings();
+        if (!preferences) return;
+        
+        this.stopNarration();
+        speechSynthesis.cancel();
+        const utterance = isWarning
+            ? this.createMaleHumanizedUtterance('Atención: el agua que consumes podría no ser tan segura como parece.', 0.85, 1.15, preferences)
+            : this.createHumanizedUtterance('Hola, así sonará la narración de la calculadora de gastos.', 0.88, 1.2, preferences);
+        utterance.volume = preferences.voiceVolume;
+        speechSynthesis.speak(utterance);
+    }
 
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Variables para guardar la voz (fuera de startSpeaking para acceso en callbacks)
-            let spanishVoice = null;
-            let voices = [];
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (resultados de agua)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto del resultado (en dólares) - sin emoji para mejor pronunciación
-                const resultText = `Tus gastos mensuales en consumo de agua son aproximadamente ${waterTotal.toFixed(2)} dólares`;
-                
-                // Crear utterance para el resultado
-                const resultUtterance = new SpeechSynthesisUtterance(resultText);
-                resultUtterance.lang = 'es-ES';
-                resultUtterance.rate = 0.95;
-                resultUtterance.pitch = 1.5;
-                resultUtterance.volume = 1.0;
-
-                // Usar la voz centralizada
-                spanishVoice = this.selectVoice();
-                voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    resultUtterance.voice = spanishVoice;
-                    console.log('✅ Usando voz centralizada para resultados de agua:', spanishVoice.name);
-                } else if (voices.length > 0) {
-                    resultUtterance.voice = voices[0];
-                    resultUtterance.pitch = 1.6;
-                    console.log('⚠️ Usando voz predeterminada (fallback):', voices[0].name);
-                }
-
-                // Guardar referencia
-                this.currentUtterance = resultUtterance;
-
-                // Evento cuando termine el resultado
-                resultUtterance.onend = () => {
-                    console.log('✅ Narración de resultado de agua completada');
-                    
-                    // Esperar un momento antes del mensaje adicional
-                    setTimeout(() => {
-                        this.speakWaterAdditionalMessage(spanishVoice, voices);
-                    }, 800);
-                };
-
-                // Evento de error
-                resultUtterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de resultado de agua:', event.error);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-
-                // Evento cuando comienza
-                resultUtterance.onstart = () => {
-                    console.log('🔊 Narración de resultado de agua iniciada');
-                };
+    // Restaurar valores de fábrica (se conserva el PIN actual)
+    resetAdminSettings() {
+        this.operatorSettings = { ...OPERATOR_DEFAULTS, pinHash: this.operatorSettings.pinHash };
+        this.persistOperatorSettings();
+        this.applyOperatorSettings();
+        this.setupAdminScreen();
+        this.showAdminMessage('↺ Valores de fábrica restaurados');
+    }
 
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(resultUtterance);
-                            console.log('🎤 Comando speak() ejecutado para resultado de agua (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(resultUtterance);
-                        console.log('🎤 Comando speak() ejecutado para resultado de agua');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para resultado de agua:', speakError);
-                    this.isNarrating = false;
-                }
-            };
+    // Sumar la sesión terminada a las estadísticas del equipo (una sola vez por partida)
+    recordSessionAnalytics() {
+        if (!this.dataStorage || this.gameState.analyticsRecorded) return;
+        
+        const counts = this.countTimeoutAnswers(this.gameState);
+        this.dataStorage.recordSessionAnalytics(counts);
+        this.gameState.analyticsRecorded = true;
+        this.saveSessionCheckpoint();
+        console.log(`📊 Sesión registrada: ${counts.timeoutAnswers} de ${counts.answers} respuestas por tiempo, ${counts.skippedProducts} productos omitidos`);
+    }
 
-            // Verificar si las voces ya están cargadas
-            voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    voices = speechSynthesis.getVoices();
-                    if (voices.length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para resultados de agua');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
+    // Contar respuestas con tiempo, las elegidas por el timer y los productos omitidos
+    countTimeoutAnswers(state) {
+        const counts = { answers: 0, timeoutAnswers: 0, skippedProducts: 0 };
+        
+        (state.products || []).forEach(product => {
+            const sources = product.sources || {};
+            ['price', 'quantity'].forEach(field => {
+                counts.answers += 1;
+                if (sources[field] === 'timeout') counts.timeoutAnswers += 1;
+            });
+            if (product.skipped) counts.skippedProducts += 1;
+        });
+        
+        return counts;
+    }
 
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de resultados de agua:', error);
-            this.isNarrating = false;
+    // Mostrar las estadísticas de sesiones en la pantalla de configuración
+    updateSessionStatsText() {
+        const statsEl = document.getElementById('admin-session-stats');
+        if (!statsEl || !this.dataStorage) return;
+        
+        const stats = this.dataStorage.getSessionAnalytics();
+        if (stats.completedSessions === 0) {
+            statsEl.textContent = 'Todavía no hay sesiones terminadas en este equipo.';
+            return;
         }
+        
+        const percent = stats.answers > 0 ? Math.round((stats.timeoutAnswers / stats.answers) * 100) : 0;
+        statsEl.textContent = `Sesiones terminadas: ${stats.completedSessions} ` +
+            `(${stats.sessionsWithTimeouts} con respuestas por tiempo). ` +
+            `Respuestas elegidas por tiempo: ${stats.timeoutAnswers} de ${stats.answers} (${percent}%). ` +
+            `Productos omitidos: ${stats.skippedProducts}.`;
     }
 
-    // Hablar el mensaje adicional después del resultado de agua
-    speakWaterAdditionalMessage(spanishVoice, voices) {
-        // Actualizar texto según singular/plural
-        const nameInfo = this.getUserNameInfo();
-        const additionalText = nameInfo.isPlural 
-            ? 'Estos gastos solo corresponden al agua que consumen. Ahora veremos cuál es el resultado de la suma de gastos de productos de limpieza y aseo personal, más el agua que consumen.'
-            : 'Estos gastos solo corresponden al agua que consumes. Ahora veremos cuál es el resultado de la suma de gastos de productos de limpieza y aseo personal, más el agua que consumes.';
-        
-        const additionalUtterance = new SpeechSynthesisUtterance(additionalText);
-        additionalUtterance.lang = 'es-ES';
-        additionalUtterance.rate = 0.95;
-        additionalUtterance.pitch = 1.5;
-        additionalUtterance.volume = 1.0;
-
-        if (spanishVoice) {
-            additionalUtterance.voice = spanishVoice;
-        } else if (voices.length > 0) {
-            additionalUtterance.voice = voices[0];
-            additionalUtterance.pitch = 1.6;
-        }
+    // Reiniciar las estadísticas de sesiones del equipo
+    resetSessionAnalytics() {
+        if (!this.dataStorage) return;
+        this.dataStorage.clearSessionAnalytics();
+        this.updateSessionStatsText();
+        this.showAdminMessage('↺ Estadísticas reiniciadas');
+    }
 
-        this.currentUtterance = additionalUtterance;
+    // Guardar configuración del operador en el almacenamiento
+    persistOperatorSettings() {
+        if (!this.dataStorage || !this.dataStorage.storeOperatorSettings(this.operatorSettings)) {
+            console.warn('⚠️ La configuración se aplicó pero no se pudo guardar');
+        }
+    }
 
-        additionalUtterance.onend = () => {
-            console.log('✅ Mensaje adicional de agua completado');
-            this.isNarrating = false;
-            this.currentUtterance = null;
-        };
+    // Mostrar mensaje en la pantalla de configuración
+    showAdminMessage(message, isError = false) {
+        const messageEl = document.getElementById('admin-message');
+        if (!messageEl) return;
+        
+        messageEl.textContent = message;
+        messageEl.classList.toggle('hidden', !message);
+        messageEl.classList.toggle('error', isError);
+    }
 
-        additionalUtterance.onerror = (event) => {
-            console.error('❌ Error en el mensaje adicional de agua:', event.error);
-            this.isNarrating = false;
-            this.currentUtterance = null;
-        };
+    // ===== TECLADO NUMÉRICO (OTRO MONTO) =====
 
-        additionalUtterance.onstart = () => {
-            console.log('🔊 Mensaje adicional de agua iniciado');
+    // Crear tarjeta "Otro monto" que abre el teclado numérico
+    createOtherAmountOption(label, onOpen) {
+        const div = document.createElement('div');
+        div.className = 'drag-option clickable-option other-amount-option';
+        div.textContent = label;
+        
+        const open = () => {
+            // No abrir si ya se eligió una respuesta
+            if (div.classList.contains('locked')) return;
+            this.initAudioContext();
+            onOpen();
         };
+        
+        div.addEventListener('click', open);
+        div.addEventListener('touchend', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            open();
+        });
+        
+        return div;
+    }
 
-        try {
-            speechSynthesis.speak(additionalUtterance);
-            console.log('🎤 Comando speak() ejecutado para mensaje adicional de agua');
-        } catch (speakError) {
-            console.error('❌ Error al ejecutar speak() para mensaje adicional de agua:', speakError);
-            this.isNarrating = false;
+    // Configurar botones del teclado numérico (una sola vez)
+    setupAmountKeypad() {
+        const modal = document.getElementById('amount-keypad-modal');
+        if (!modal) return;
+        
+        modal.querySelectorAll('.keypad-key').forEach(keyEl => {
+            keyEl.addEventListener('click', () => {
+                this.handleKeypadKey(keyEl.dataset.key);
+            });
+            keyEl.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.handleKeypadKey(keyEl.dataset.key);
+            });
+        });
+        
+        const acceptButton = document.getElementById('amount-keypad-accept');
+        if (acceptButton) {
+            acceptButton.addEventListener('click', () => this.confirmAmountKeypad());
+            acceptButton.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.confirmAmountKeypad();
+            });
+        }
+        
+        const cancelButton = document.getElementById('amount-keypad-cancel');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.closeAmountKeypad());
+            cancelButton.addEventListener('touchend', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeAmountKeypad();
+            });
         }
     }
 
-    // Seleccionar tipo de agua
-    selectWaterType(waterType, dropZone = null) {
-        console.log('✅ Tipo de agua seleccionado:', waterType);
+    // Abrir teclado numérico con rango mínimo/máximo
+    openAmountKeypad(options) {
+        const modal = document.getElementById('amount-keypad-modal');
+        if (!modal) return;
+        
+        this.keypadState = {
+            value: '',
+            min: options.min,
+            max: options.max,
+            // Las monedas sin decimales (COP, CLP) no aceptan punto decimal
+            allowDecimals: options.allowDecimals !== false && !(options.isMoney !== false && this.money && this.money.getDecimals() === 0),
+            isMoney: options.isMoney !== false,
+            mask: options.mask || false, // Ocultar dígitos (PIN)
+            maxDigits: options.maxDigits || 7,
+            validate: options.validate || null, // Validación personalizada en lugar de min/max
+            rawValue: options.rawValue || false, // Entregar el texto escrito en lugar del número
+            timerScreen: options.timerScreen || null,
+            onConfirm: options.onConfirm
+        };
         
-        // Guardar tipo de agua en el estado
-        this.gameState.waterType = waterType;
+        const titleEl = document.getElementById('amount-keypad-title');
+        if (titleEl) titleEl.textContent = options.title || '✏️ Otro monto';
         
-        if (!dropZone) {
-            dropZone = document.getElementById('water-type-drop-zone');
+        const hintEl = document.getElementById('amount-keypad-hint');
+        if (hintEl) {
+            hintEl.textContent = options.hint !== undefined
+                ? options.hint
+                : `Entre ${this.formatKeypadAmount(options.min)} y ${this.formatKeypadAmount(options.max)}`;
         }
         
-        this.showSuccessFeedback(dropZone, { label: `${waterType.emoji} ${waterType.name}` });
+        // Mostrar el tiempo restante solo si la pantalla tiene un timer activo
+        const timerBox = document.getElementById('amount-keypad-timer');
+        if (timerBox) {
+            const remaining = this.timerRemaining[this.keypadState.timerScreen];
+            const hasTimer = this.keypadState.timerScreen && remaining !== undefined;
+            timerBox.classList.toggle('hidden', !hasTimer);
+            const keypadTimerEl = document.getElementById('amount-keypad-timer-seconds');
+            if (hasTimer && keypadTimerEl) keypadTimerEl.textContent = remaining;
+        }
         
-        // Si es "Agua del grifo", mostrar advertencia con sonido y efecto visual
-        if (waterType.value === 'tap') {
-            // Reproducir sonido de alerta y peligro
-            this.playAlertSound();
-            
-            // Agregar efecto de luces rojas a la pantalla
-            const screen = document.getElementById('water-type-screen');
-            if (screen) {
-                screen.classList.add('red-alert');
-                // Remover el efecto después de la transición
-                setTimeout(() => {
-                    screen.classList.remove('red-alert');
-                }, 2000);
-            }
+        // El punto decimal solo aplica a montos
+        const decimalKey = modal.querySelector('.keypad-key[data-key="."]');
+        if (decimalKey) decimalKey.disabled = !this.keypadState.allowDecimals;
         
-        // Bloquear todas las opciones
-        this.lockAllOptions('water-type-options');
+        this.hideKeypadError();
+        this.updateKeypadDisplay();
+        modal.classList.remove('hidden');
+        console.log('⌨️ Teclado numérico abierto:', options.title);
+    }
+
+    // Procesar una tecla del teclado numérico
+    handleKeypadKey(key) {
+        if (!this.keypadState) return;
         
-            // Transicionar a pantalla de advertencia y narrar mensajes
-            setTimeout(() => {
-                this.transitionToScreen('water-warning');
-                // Iniciar narración de mensajes de advertencia
-                setTimeout(() => {
-                    this.startWaterWarningNarration();
-                }, 500);
-            }, 1500);
+        let value = this.keypadState.value;
+        
+        if (key === 'back') {
+            value = value.slice(0, -1);
+        } else if (key === '.') {
+            if (!this.keypadState.allowDecimals || value.includes('.')) return;
+            value = value === '' ? '0.' : `${value}.`;
         } else {
-            // Si no es grifo, reproducir sonido de éxito normal
-            this.playSuccessSound();
-            
-            // Bloquear todas las opciones
-            this.lockAllOptions('water-type-options');
-            
-            // Pasar directamente a frecuencia
-            setTimeout(() => {
-                this.transitionToScreen('water-frequency');
-            }, 1500);
+            // Máximo dos decimales y el número de dígitos permitido
+            if (value.includes('.') && value.split('.')[1].length >= 2) return;
+            if (value.replace('.', '').length >= this.keypadState.maxDigits) return;
+            value = value === '0' && !this.keypadState.rawValue ? key : value + key;
         }
+        
+        this.keypadState.value = value;
+        this.hideKeypadError();
+        this.updateKeypadDisplay();
     }
 
-    // Seleccionar cantidad
-    selectQuantity(quantity, dropZone = null) {
-        console.log('✅ Cantidad seleccionada:', quantity);
+    // Actualizar el monto mostrado en el teclado
+    updateKeypadDisplay() {
+        const displayEl = document.getElementById('amount-keypad-display');
+        if (!displayEl || !this.keypadState) return;
         
-        if (!this.gameState.currentProductData) {
-            console.error('No hay precio seleccionado');
+        if (this.keypadState.mask) {
+            displayEl.textContent = '•'.repeat(this.keypadState.value.length) || '—';
             return;
         }
         
-        const productData = this.gameState.currentProductData;
-        const total = productData.price * quantity;
-        
-        // Guardar producto completo - asegurar que product sea el nombre (string)
-        // Si por alguna razón productData.product es un objeto, extraer el nombre
-        let productName = productData.product;
-        if (typeof productName === 'object' && productName !== null) {
-            productName = productName.name || 'Producto';
-        } else if (typeof productName !== 'string') {
-            productName = String(productName || 'Producto');
+        const value = this.keypadState.value || '0';
+        const symbol = this.money ? this.money.getSymbol() : '$';
+        displayEl.textContent = this.keypadState.isMoney ? `${symbol}${value}` : value;
+    }
+
+    // Formatear límites del teclado (monto o cantidad)
+    formatKeypadAmount(amount) {
+        if (this.keypadState && !this.keypadState.isMoney) return String(amount);
+        return this.formatMoney(amount, { trimZeroDecimals: true });
+    }
+
+    // Validar el valor escrito; devuelve el mensaje de error o null
+    validateKeypadValue() {
+        const state = this.keypadState;
+        if (state.validate) {
+            return state.validate(state.value);
         }
         
-        this.gameState.products.push({
-            product: productName,
-            price: productData.price,
-            quantity: quantity,
-            total: total
-        });
-        
-        // Limpiar datos temporales
-        this.gameState.currentProductData = null;
+        const amount = parseFloat(state.value);
         
-        if (!dropZone) {
-            dropZone = document.getElementById('quantity-drop-zone');
+        if (state.value === '' || isNaN(amount)) {
+            return 'Escribe un valor';
         }
-        
-        // Mostrar feedback apropiado según la cantidad
-        const feedbackLabel = quantity === 0 ? 'Ninguno' : `${quantity} vez${quantity > 1 ? 'es' : ''}`;
-        this.showSuccessFeedback(dropZone, { label: feedbackLabel });
-        this.playSuccessSound();
-        
-        // Bloquear todas las opciones
-        this.lockAllOptions('quantity-options');
-        
-        // Detener timer de cantidad
-        this.stopTimer('quantity');
-        
-        // Calcular y pasar automáticamente
-        setTimeout(() => {
-            this.nextScreen(); // Pasa a siguiente producto o resultados
-        }, 1500);
+        if (amount < state.min) {
+            return `El mínimo es ${this.formatKeypadAmount(state.min)}`;
+        }
+        if (amount > state.max) {
+            return `El máximo es ${this.formatKeypadAmount(state.max)}`;
+        }
+        return null;
     }
 
-    // Mostrar feedback de éxito
-    showSuccessFeedback(dropZone, data) {
-        if (!dropZone) return;
-        
-        // Agregar clases de éxito
-        dropZone.classList.add('has-selection', 'success-glow');
+    // Confirmar el valor escrito; devuelve true si fue aceptado
+    confirmAmountKeypad() {
+        if (!this.keypadState) return false;
         
-        // Actualizar texto
-        const dropText = dropZone.querySelector('.drop-zone-text');
-        if (dropText) {
-            if (data.label) {
-                dropText.textContent = `✓ ${data.label}`;
-            } else if (data.price !== undefined) {
-                dropText.textContent = `✓ $${data.price.toFixed(2)}`;
-            } else if (data.quantity !== undefined) {
-                dropText.textContent = `✓ ${data.quantity} vez${data.quantity > 1 ? 'es' : ''}`;
+        const error = this.validateKeypadValue();
+        if (error) {
+            const errorEl = document.getElementById('amount-keypad-error');
+            if (errorEl) {
+                errorEl.textContent = `⚠️ ${error}`;
+                errorEl.classList.remove('hidden');
             }
-            dropText.style.color = '#4CAF50';
-            dropText.style.fontWeight = '700';
+            console.warn('⚠️ Valor de teclado inválido:', error);
+            return false;
         }
         
-        // Animación de pulso verde
-        setTimeout(() => {
-            dropZone.classList.remove('success-glow');
-        }, 2000);
+        const amount = this.keypadState.rawValue
+            ? this.keypadState.value
+            : Math.round(parseFloat(this.keypadState.value) * 100) / 100;
+        const onConfirm = this.keypadState.onConfirm;
+        const mask = this.keypadState.mask;
+        this.closeAmountKeypad();
+        console.log('✅ Valor ingresado con teclado:', mask ? '••••' : amount);
+        if (typeof onConfirm === 'function') {
+            onConfirm(amount);
+        }
+        return true;
     }
 
-    // Bloquear todas las opciones
-    lockAllOptions(containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        const options = container.querySelectorAll('.drag-option');
-        options.forEach(option => {
-            option.draggable = false;
-            option.classList.add('locked');
-            option.style.opacity = '0.5';
-            option.style.cursor = 'not-allowed';
-        });
+    // Ocultar mensaje de error del teclado
+    hideKeypadError() {
+        const errorEl = document.getElementById('amount-keypad-error');
+        if (errorEl) errorEl.classList.add('hidden');
+    }
+
+    // Cerrar teclado numérico sin seleccionar
+    closeAmountKeypad() {
+        this.keypadState = null;
+        const modal = document.getElementById('amount-keypad-modal');
+        if (modal) modal.classList.add('hidden');
     }
 
     // Reproducir sonido de alerta y peligro
     playAlertSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
             this.initAudioContext();
             if (!this.audioContext) {
@@ -3705,8 +5435,10 @@ class CalculadoraApp {
 
     // Reproducir sonido de acierto
     playSuccessSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
-            setTimeout(() => {
+            this.schedule(() => {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 
                 // Sonido de acierto (tono ascendente agradable)
@@ -3754,15 +5486,14 @@ class CalculadoraApp {
 
     // Mostrar resultados
     async showResults() {
-        // El total de productos de limpieza ya está guardado en this.gameState.monthlyTotal
-        // Solo necesitamos sumar el total de agua
-        const cleaningTotal = this.gameState.monthlyTotal || 0;
+        // Recalcular desde los productos (no sumar sobre el total anterior: la pantalla puede mostrarse varias veces)
+        const cleaningTotal = this.gameState.products.reduce((sum, product) => sum + (product.total || 0), 0);
         const waterTotal = this.gameState.waterMonthlyTotal || 0;
         
-        // Total mensual = productos de limpieza (ya guardado) + agua
+        // Total mensual = productos de limpieza + agua
         this.gameState.monthlyTotal = cleaningTotal + waterTotal;
         
-        console.log('🧹 Total productos de limpieza (guardado):', cleaningTotal);
+        console.log('🧹 Total productos de limpieza:', cleaningTotal);
         console.log('💧 Total agua mensual:', waterTotal);
         console.log('💰 Total mensual calculado:', this.gameState.monthlyTotal);
 
@@ -3784,14 +5515,20 @@ class CalculadoraApp {
         if (thinking) thinking.classList.remove('hidden');
         if (result) result.classList.add('hidden');
 
-        // Iniciar narración de "Sumando tus gastos generales"
-        this.startGeneralResultsNarration();
+        // Narrar "Sumando tus gastos generales" y mostrar el total al terminar (5 segundos si no hay voz)
+        await this.waitForNarration(this.startGeneralResultsNarration(), 5000);
 
-        // Esperar 5 segundos (tiempo para la narración y espera)
-        await this.sleep(5000);
+        // Si el usuario ya salió de la pantalla, no continuar
+        if (this.currentScreen !== 'results') return;
 
-        // Reproducir sonido de alarma suave
-        this.playAlarmSound();
+        // Comparar con el gasto típico del hogar
+        const benchmark = this.classifySpending(this.gameState.monthlyTotal);
+        const isAboveTypical = this.isSpendingAboveTypical(benchmark);
+
+        // Reproducir sonido de alarma suave solo si el gasto supera lo típico
+        if (isAboveTypical) {
+            this.playAlarmSound();
+        }
 
         // Ocultar animación y mostrar resultado con luces rojas
         if (thinking) thinking.classList.add('hidden');
@@ -3799,7 +5536,7 @@ class CalculadoraApp {
             result.classList.remove('hidden');
             const amountEl = document.getElementById('total-amount');
             if (amountEl) {
-                amountEl.textContent = this.gameState.monthlyTotal.toFixed(2);
+                amountEl.textContent = this.formatMoney(this.gameState.monthlyTotal);
             }
             
             // Actualizar título del header cuando aparece el monto
@@ -3811,13 +5548,9 @@ class CalculadoraApp {
             // Actualizar texto de alerta según género y plural
             const alertWarningText = result.querySelector('.alert-warning-text');
             if (alertWarningText) {
-                const nameInfo = this.getUserNameInfo();
-                if (nameInfo.isPlural) {
-                    alertWarningText.textContent = '⚠️ Sus gastos mensuales totales superan los estándares normales de consumo.';
-                } else {
-                    alertWarningText.textContent = '⚠️ Tus gastos mensuales totales superan los estándares normales de consumo.';
-                }
+                alertWarningText.textContent = this.getBenchmarkAlertText(benchmark, 'gastos mensuales totales');
             }
+            this.setBenchmarkLevelClass(result, benchmark);
             
             // Actualizar el texto del título del resultado
             const resultTitleMaximum = result.querySelector('.result-title-maximum');
@@ -3825,10 +5558,10 @@ class CalculadoraApp {
                 resultTitleMaximum.textContent = '💰 Gastos totales mensuales:';
             }
             
-            // Activar luces rojas pulsantes
-            const redLights = document.querySelector('.red-lights');
+            // Activar luces rojas pulsantes solo si el gasto supera lo típico
+            const redLights = result.querySelector('.red-lights');
             if (redLights) {
-                redLights.classList.add('active');
+                redLights.classList.toggle('active', isAboveTypical);
             }
 
             // Mostrar botón de continuar
@@ -3844,120 +5577,22 @@ class CalculadoraApp {
         // Ya no avanzamos automáticamente - el usuario debe hacer clic en el botón
     }
 
-    // Iniciar narración de resultados generales
+    // Narración de resultados generales
     startGeneralResultsNarration() {
-        console.log('🎤 Iniciando narración de resultados generales...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (resultados generales)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto a leer con lógica singular/plural
-                const nameInfo = this.getUserNameInfo();
-                const generalText = nameInfo.isPlural
-                    ? 'Sumando sus gastos generales.'
-                    : 'Sumando tus gastos generales.';
-                
-                // Crear utterance
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(generalText, 0.88, 1.2);
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de resultados generales completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de resultados generales:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de resultados generales iniciada correctamente');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para resultados generales (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para resultados generales');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para resultados generales:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para resultados generales');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de resultados generales:', error);
-            this.isNarrating = false;
-        }
+        return this.narrate('general-results');
     }
 
     // Reproducir sonido de alarma suave
     playAlarmSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        if (this.accessibleMode) {
+            this.playGentleCue();
+            return;
+        }
+        
         try {
-            setTimeout(() => {
+            this.schedule(() => {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 
                 // Sonido de alarma suave (pulso repetitivo)
@@ -3990,8 +5625,42 @@ class CalculadoraApp {
         }
     }
 
+    // Aviso suave para el modo accesible (reemplaza tic-tac, alarmas y alertas)
+    playGentleCue() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        try {
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            
+            // Campanita grave y corta, a bajo volumen
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(523.25, audioContext.currentTime); // C5
+            
+            gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+            gainNode.gain.linearRampToValueAtTime(0.08, audioContext.currentTime + 0.05);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.8);
+            
+            oscillator.start(audioContext.currentTime);
+            oscillator.stop(audioContext.currentTime + 0.8);
+        } catch (error) {
+            console.log('Audio no disponible');
+        }
+    }
+
     // Reproducir sonido de alerta y peligro (actualizado para agua del grifo)
     playAlertSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
+        if (this.accessibleMode) {
+            this.playGentleCue();
+            return;
+        }
+        
         try {
             this.initAudioContext();
             const audioContext = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
@@ -4035,8 +5704,10 @@ class CalculadoraApp {
     
     // Función anterior (mantener para compatibilidad)
     playAlertSoundOld() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
-            setTimeout(() => {
+            this.schedule(() => {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 
                 // Sonido de alerta (tono descendente tipo "fallo")
@@ -4066,320 +5737,42 @@ class CalculadoraApp {
                 oscillator2.start(audioContext.currentTime);
                 oscillator1.stop(audioContext.currentTime + 0.25);
                 oscillator2.stop(audioContext.currentTime + 0.25);
-            }, 50);
-        } catch (error) {
-            console.log('Audio no disponible');
-        }
-    }
-
-    // Manejar validación
-    handleValidation(isCorrect) {
-        console.log('Validación:', isCorrect ? 'Correcto' : 'Incorrecto');
-        
-        if (isCorrect) {
-            // Si responde SÍ, continuar normalmente
-        this.nextScreen();
-        } else {
-            // Si responde NO, mostrar modal de confirmación
-            this.showValidationModal();
-        }
-    }
-
-    // Mostrar modal de confirmación para revisar precios
-    showValidationModal() {
-        const nameInfo = this.getUserNameInfo();
-        const modal = document.getElementById('validation-review-modal');
-        const modalText = document.getElementById('validation-review-modal-text');
-        const acceptButton = document.getElementById('validation-review-accept');
-        const cancelButton = document.getElementById('validation-review-cancel');
-        
-        if (!modal) {
-            console.error('❌ Modal de validación no encontrado');
-            return;
-        }
-        
-        // Actualizar texto del modal según género y plural
-        if (modalText) {
-            if (nameInfo.isPlural) {
-                modalText.textContent = 'Ok, revisemos de nuevo sus precios';
-            } else {
-                modalText.textContent = 'Ok, revisemos de nuevo tus precios';
-            }
-        }
-        
-        // Mostrar modal
-        modal.classList.remove('hidden');
-        
-        // Narrar el mensaje del modal
-        this.speakValidationReviewMessage();
-        
-        // Event listeners para los botones
-        if (acceptButton) {
-            // Remover listeners previos para evitar duplicados
-            const newAcceptButton = acceptButton.cloneNode(true);
-            acceptButton.parentNode.replaceChild(newAcceptButton, acceptButton);
-            
-            newAcceptButton.addEventListener('click', () => {
-                this.handleValidationReviewAccept();
-            });
-            newAcceptButton.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.handleValidationReviewAccept();
-            });
-        }
-        
-        if (cancelButton) {
-            // Remover listeners previos para evitar duplicados
-            const newCancelButton = cancelButton.cloneNode(true);
-            cancelButton.parentNode.replaceChild(newCancelButton, cancelButton);
-            
-            newCancelButton.addEventListener('click', () => {
-                this.handleValidationReviewCancel();
-            });
-            newCancelButton.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                this.handleValidationReviewCancel();
-            });
-        }
-    }
-
-    // Narrar mensaje del modal de revisión
-    speakValidationReviewMessage() {
-        console.log('🎤 Iniciando narración de revisión de precios...');
-        
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            this.isNarrating = true;
-
-            const startSpeaking = () => {
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                const nameInfo = this.getUserNameInfo();
-                const reviewText = nameInfo.isPlural 
-                    ? 'Ok, revisemos de nuevo sus precios'
-                    : 'Ok, revisemos de nuevo tus precios';
-
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(reviewText, 0.88, 1.2);
-
-                this.currentUtterance = utterance;
-                utterance.onend = () => {
-                    console.log('✅ Narración de revisión completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de revisión:', event.error);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de revisión iniciada');
-                };
-
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para revisión (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para revisión');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para revisión:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para revisión');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de revisión:', error);
-            this.isNarrating = false;
-        }
-    }
-
-    // Manejar aceptación de revisión de precios
-    handleValidationReviewAccept() {
-        console.log('✅ Usuario acepta revisar precios, reiniciando desde el principio');
-        
-        // Ocultar modal
-        const modal = document.getElementById('validation-review-modal');
-        if (modal) {
-            modal.classList.add('hidden');
-        }
-        
-        // Preservar nombre y género del usuario
-        const savedUserName = this.gameState.userName || '';
-        const savedGender = this.gameState.gender || '';
-        const savedIsPlural = this.gameState.isPlural || false;
-        
-        // Resetear el índice del producto al inicio
-        this.gameState.currentProductIndex = 0;
-        
-        // Limpiar todos los productos seleccionados completamente
-        this.gameState.products = [];
-        
-        // Resetear otros valores pero preservar nombre y género
-        this.gameState.monthlyTotal = 0;
-        this.gameState.waterType = null;
-        this.gameState.waterFrequency = null;
-        this.gameState.waterPrice = null;
-        this.gameState.waterMonthlyTotal = 0;
-        this.gameState.multiplier = 1;
-        this.gameState.totalAccumulated = 0;
-        this.gameState.yearsMultiplier = 1;
-        this.gameState.yearsTotalAccumulated = 0;
-        this.gameState.currentProductData = null;
-        
-        // Preservar nombre y género
-        this.gameState.userName = savedUserName;
-        this.gameState.gender = savedGender;
-        this.gameState.isPlural = savedIsPlural;
-        
-        // Volver a la primera pantalla de precio (primer producto)
-        this.transitionToScreen('price');
-    }
-
-    // Manejar cancelación de revisión de precios
-    handleValidationReviewCancel() {
-        console.log('❌ Usuario cancela revisión, permaneciendo en pantalla de validación');
-        
-        // Ocultar modal
-        const modal = document.getElementById('validation-review-modal');
-        if (modal) {
-            modal.classList.add('hidden');
+            }, 50);
+        } catch (error) {
+            console.log('Audio no disponible');
         }
-        
-        // Permanecer en la pantalla de validación (no hacer nada)
     }
 
-    // Iniciar narración de mensajes de advertencia de agua del grifo
-    startWaterWarningNarration() {
-        console.log('🎤 Iniciando narración de advertencia de agua del grifo...');
+    // Manejar validación
+    handleValidation(isCorrect) {
+        console.log('Validación:', isCorrect ? 'Correcto' : 'Incorrecto');
         
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
+        if (isCorrect) {
+            // Si responde SÍ, continuar normalmente
+        this.nextScreen();
+        } else {
+            // Si responde NO, revisar respuesta por respuesta
+            this.transitionToScreen('review');
         }
+    }
 
-        try {
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            this.isNarrating = true;
-
-            const startSpeaking = () => {
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Obtener todos los mensajes de advertencia
-                const messages = document.querySelectorAll('#warning-messages .warning-message');
-                const allMessages = Array.from(messages).map(msg => msg.textContent.trim());
-                
-                // Combinar todos los mensajes en un solo texto
-                const fullWarningText = allMessages.join('. ');
-                
-                // Crear utterance con voz masculina humanizada (un poco más lento para seriedad)
-                const utterance = this.createMaleHumanizedUtterance(fullWarningText, 0.85, 1.15);
-
-                this.currentUtterance = utterance;
-
-                utterance.onend = () => {
-                    console.log('✅ Narración de advertencia completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de advertencia:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de advertencia iniciada');
-                };
-
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para advertencia (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para advertencia');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para advertencia:', speakError);
-                    this.isNarrating = false;
-                }
-            };
+    // Narrar mensaje de la pantalla de revisión
+    speakValidationReviewMessage() {
+        return this.narrate('review');
+    }
 
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para advertencia');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
+    // Narrar los mensajes de advertencia de agua del grifo con voz masculina
+    // y mostrar el botón para continuar al terminar (a los 21 segundos si no hay voz)
+    startWaterWarningNarration() {
+        const messages = document.querySelectorAll('#warning-messages .warning-message');
+        const text = Array.from(messages).map(msg => msg.textContent.trim()).join('. ');
+        return this.waitForNarration(this.narrate('water-warning', { text }), 21000, { keepTalking: true }).then(({ cancelled }) => {
+            if (cancelled || this.currentScreen !== 'water-warning') return;
+            const continueButton = document.getElementById('warning-continue-button');
+            if (continueButton) {
+                continueButton.classList.remove('hidden');
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de advertencia:', error);
-            this.isNarrating = false;
-        }
+        });
     }
 
     // Mostrar advertencia de agua del grifo
@@ -4399,7 +5792,7 @@ class CalculadoraApp {
         messages[currentIndex].classList.add('active');
         
         // Rotar mensajes cada 7 segundos (más lento para personas mayores)
-        const rotateInterval = setInterval(() => {
+        const rotateInterval = this.scheduleRepeating(() => {
             // Ocultar mensaje actual
             messages[currentIndex].classList.remove('active');
             
@@ -4409,25 +5802,14 @@ class CalculadoraApp {
             // Mostrar nuevo mensaje
             messages[currentIndex].classList.add('active');
             
-            // Si llegamos al último mensaje, mostrar el botón
+            // Al llegar al último mensaje, dejarlo fijo (el botón aparece al terminar la narración)
             if (currentIndex === messages.length - 1) {
-                clearInterval(rotateInterval);
-                if (continueButton) {
-                    continueButton.classList.remove('hidden');
-                }
+                this.cancelScheduled(rotateInterval);
             }
         }, 7000); // 7 segundos para dar tiempo a personas mayores a leer cada mensaje
         
         // Guardar intervalo para poder limpiarlo si es necesario
         this.warningInterval = rotateInterval;
-        
-        // Si hay 4 mensajes, después de 28 segundos (4 × 7) mostrar el botón como respaldo
-        setTimeout(() => {
-            clearInterval(rotateInterval);
-            if (continueButton) {
-                continueButton.classList.remove('hidden');
-            }
-        }, 28000); // 4 mensajes × 7 segundos = 28 segundos
     }
 
     // Configurar pantalla de multiplicador
@@ -4484,10 +5866,10 @@ class CalculadoraApp {
         this.gameState.totalAccumulated = total;
         
         if (multipliedTotal) {
-            multipliedTotal.textContent = total.toFixed(2);
+            multipliedTotal.textContent = this.formatMoney(total);
         }
         
-        console.log(`📊 Multiplicador: ${this.gameState.multiplier} meses × $${this.gameState.monthlyTotal.toFixed(2)} = $${total.toFixed(2)}`);
+        console.log(`📊 Multiplicador: ${this.gameState.multiplier} meses × ${this.formatMoney(this.gameState.monthlyTotal)} = ${this.formatMoney(total)}`);
     }
 
     // Configurar pantalla de multiplicador de años
@@ -4543,7 +5925,18 @@ class CalculadoraApp {
         const total = this.gameState.totalAccumulated * this.gameState.yearsMultiplier;
         this.gameState.yearsTotalAccumulated = total;
         
-        console.log(`📊 Multiplicador de años: ${this.gameState.yearsMultiplier} años × $${this.gameState.totalAccumulated.toFixed(2)} = $${total.toFixed(2)}`);
+        // Proyección con inflación (limpieza y agua por separado)
+        const waterMonthly = this.gameState.waterMonthlyTotal || 0;
+        const projection = this.calculateYearsProjection(
+            this.gameState.monthlyTotal - waterMonthly,
+            waterMonthly,
+            this.gameState.multiplier,
+            this.gameState.yearsMultiplier
+        );
+        this.gameState.yearsProjection = projection;
+        this.gameState.yearsTotalAdjusted = projection ? projection.adjustedTotal : total;
+        
+        console.log(`📊 Multiplicador de años: ${this.gameState.yearsMultiplier} años × ${this.formatMoney(this.gameState.totalAccumulated)} = ${this.formatMoney(total)} (con inflación: ${this.formatMoney(this.gameState.yearsTotalAdjusted)})`);
     }
 
     // Mostrar resultado de años
@@ -4572,11 +5965,11 @@ class CalculadoraApp {
             }
         }
 
-        // Iniciar narración del texto de cálculo
-        this.startYearsCalculationNarration(yearsCount);
+        // Narrar el cálculo y mostrar el resultado al terminar (8 segundos si no hay voz)
+        await this.waitForNarration(this.startYearsCalculationNarration(yearsCount), 8000);
 
-        // Esperar 8 segundos
-        await this.sleep(8000);
+        // Si el usuario ya salió de la pantalla, no continuar
+        if (this.currentScreen !== 'years-result') return;
 
         // Ocultar animación y mostrar resultado con luces rojas
         if (thinking) thinking.classList.add('hidden');
@@ -4584,7 +5977,20 @@ class CalculadoraApp {
             result.classList.remove('hidden');
             const amountEl = document.getElementById('years-total-amount');
             if (amountEl) {
-                amountEl.textContent = yearsTotal.toFixed(2);
+                amountEl.textContent = this.formatMoney(yearsTotal);
+            }
+            
+            // Total ajustado por inflación (solo si hay proyección)
+            const inflationBox = document.getElementById('years-inflation-box');
+            const adjustedEl = document.getElementById('years-adjusted-amount');
+            const ratesEl = document.getElementById('years-inflation-rates');
+            if (inflationBox) {
+                inflationBox.classList.toggle('hidden', !this.gameState.yearsProjection);
+            }
+            if (this.gameState.yearsProjection) {
+                const rates = this.getInflationRates();
+                if (adjustedEl) adjustedEl.textContent = this.formatMoney(this.gameState.yearsTotalAdjusted);
+                if (ratesEl) ratesEl.textContent = `Inflación anual estimada: limpieza y aseo ${rates.cleaning}%, agua ${rates.water}%`;
             }
             
             // Actualizar título del header con la cantidad de años
@@ -4595,26 +6001,28 @@ class CalculadoraApp {
             }
             
             // Actualizar texto de alerta según género y plural, incluyendo la cantidad de años
+            // La clasificación usa el gasto mensual (el acumulado solo lo multiplica)
+            const benchmark = this.classifySpending(this.gameState.monthlyTotal);
+            const isAboveTypical = this.isSpendingAboveTypical(benchmark);
+            
             const alertWarningText = result.querySelector('.alert-warning-text');
             if (alertWarningText) {
-                const nameInfo = this.getUserNameInfo();
                 const yearsCount = this.gameState.yearsMultiplier || 1;
                 const yearsText = yearsCount === 1 ? 'año' : 'años';
-                if (nameInfo.isPlural) {
-                    alertWarningText.textContent = `⚠️ Sus gastos acumulados en ${yearsCount} ${yearsText} superan los estándares normales de consumo.`;
-                } else {
-                    alertWarningText.textContent = `⚠️ Tus gastos acumulados en ${yearsCount} ${yearsText} superan los estándares normales de consumo.`;
-                }
+                alertWarningText.textContent = this.getBenchmarkAlertText(benchmark, `gastos acumulados en ${yearsCount} ${yearsText}`);
             }
+            this.setBenchmarkLevelClass(result, benchmark);
             
-            // Activar luces rojas pulsantes
+            // Activar luces rojas pulsantes solo si el gasto supera lo típico
             const redLights = result.querySelector('.red-lights');
             if (redLights) {
-                redLights.classList.add('active');
+                redLights.classList.toggle('active', isAboveTypical);
             }
 
-            // Iniciar alarma repetitiva cada 3 segundos
-            this.startYearsRepeatingAlarm();
+            // Iniciar alarma repetitiva cada 3 segundos (solo si el gasto supera lo típico)
+            if (isAboveTypical) {
+                this.startYearsRepeatingAlarm();
+            }
 
             // Mostrar botón de continuar
             const continueButton = document.getElementById('years-result-continue-button');
@@ -4629,103 +6037,26 @@ class CalculadoraApp {
         console.log('💾 Resultado de años guardado:', yearsTotal);
     }
 
-    // Iniciar narración del texto de cálculo por años
+    // Narración del cálculo por años
     startYearsCalculationNarration(yearsCount) {
-        console.log('🎤 Iniciando narración de cálculo por años...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                // Obtener información del usuario
-                const nameInfo = this.getUserNameInfo();
-                
-                // Construir el texto según género y plural
-                let calculationText = '';
-                if (nameInfo.isPlural) {
-                    calculationText = `Calculando sus gastos por ${yearsCount} ${yearsCount === 1 ? 'año' : 'años'}`;
-                } else {
-                    calculationText = `Calculando tus gastos por ${yearsCount} ${yearsCount === 1 ? 'año' : 'años'}`;
-                }
-                
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(calculationText, 0.88, 1.2);
-                
-                // Guardar referencia
-                this.currentUtterance = utterance;
-                
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de cálculo por años completada');
-                    this.currentUtterance = null;
-                };
-                
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de cálculo por años:', event.error);
-                    this.currentUtterance = null;
-                };
-                
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para cálculo por años (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para cálculo por años');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para cálculo por años:', speakError);
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para cálculo por años');
-                    }
-                }, 1000);
-            }
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de cálculo por años:', error);
-        }
+        return this.narrate('years-calculating', { years: yearsCount });
     }
 
     // Iniciar alarma repetitiva cada 3 segundos para años
     startYearsRepeatingAlarm() {
         // Limpiar intervalo anterior si existe
         if (this.yearsAlarmInterval) {
-            clearInterval(this.yearsAlarmInterval);
+            this.cancelScheduled(this.yearsAlarmInterval);
         }
 
         // Reproducir alarma inmediatamente
         this.playAlarmSound();
+        
+        // En modo accesible basta con un aviso suave, sin repetición
+        if (this.accessibleMode) return;
 
         // Configurar intervalo para repetir cada 3 segundos
-        this.yearsAlarmInterval = setInterval(() => {
+        this.yearsAlarmInterval = this.scheduleRepeating(() => {
             this.playAlarmSound();
         }, 3000);
 
@@ -4735,123 +6066,139 @@ class CalculadoraApp {
     // Detener alarma repetitiva de años
     stopYearsRepeatingAlarm() {
         if (this.yearsAlarmInterval) {
-            clearInterval(this.yearsAlarmInterval);
+            this.cancelScheduled(this.yearsAlarmInterval);
             this.yearsAlarmInterval = null;
             console.log('🔕 Alarma repetitiva de años detenida');
         }
     }
 
-    // Iniciar narración de resultado de años
+    // Narración del resultado por años
     startYearsResultNarration() {
-        console.log('🎤 Iniciando narración de resultado de años...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
+        return this.narrate('years-result');
+    }
 
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
+    // Abrir el plan de financiamiento recordando la pantalla de origen
+    openFinancingScreen(fromScreen) {
+        if (!this.financing) {
+            console.warn('⚠️ Financiamiento no disponible');
             return;
         }
+        
+        // El flujo decide con esto a dónde continuar y a dónde volver
+        this.financingReturnScreen = fromScreen;
+        this.transitionToScreen('financing');
+    }
 
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (resultado de años)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Usar la voz centralizada
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                // Crear función para crear utterance con la voz configurada
-                const createUtterance = (text, rate = 0.88) => {
-                    return this.createHumanizedUtterance(text, rate, 1.2);
-                };
-
-                // Obtener información del usuario
-                const nameInfo = this.getUserNameInfo();
-                const userName = this.gameState.userName || '';
+    // Configurar pantalla de financiamiento
+    setupFinancingScreen() {
+        if (!this.financing) return;
+        
+        const plan = this.getFinancingPlan();
+        
+        // Opciones de número de cuotas
+        const installmentsContainer = document.getElementById('financing-installments');
+        if (installmentsContainer) {
+            installmentsContainer.innerHTML = '';
+            this.financing.installmentOptions.forEach(count => {
+                const option = document.createElement('div');
+                option.className = 'drag-option clickable-option financing-installment-option';
+                option.textContent = `${count} cuotas`;
+                option.classList.toggle('selected', count === plan.installments);
                 
-                // Obtener el monto total acumulado
-                const yearsTotal = this.gameState.yearsTotalAccumulated || 0;
-                const formattedTotal = yearsTotal.toLocaleString('es-ES', {
-                    minimumFractionDigits: 2,
-                    maximumFractionDigits: 2
+                const select = () => this.selectFinancingInstallments(count);
+                option.addEventListener('click', select);
+                option.addEventListener('touchend', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    select();
                 });
-                
-                // Construir el texto de narración según género y plural
-                let narrationText = '';
-                
-                // Nombre del usuario
-                if (userName) {
-                    narrationText += `${userName}, `;
-                }
-                
-                // Texto principal con lógica de género y plural
-                if (nameInfo.isPlural) {
-                    narrationText += 'como pueden ver, sus gastos superan los estándares de consumo, convirtiéndose esto en una pérdida monetaria importante para ustedes. Si no toman una medida, nunca podrán rescatar este dinero. ';
-                    // Frase final para plural
-                    narrationText += `Ustedes podrían estar perdiendo $${formattedTotal}.`;
-                } else {
-                    // Singular: "puede" y "sus gastos", "toma" y "podrá" según género
-                    narrationText += 'como puede ver, sus gastos superan los estándares de consumo, convirtiéndose esto en una pérdida monetaria importante para usted. Si no toma una medida, nunca podrá rescatar este dinero. ';
-                    // Frase final para singular
-                    narrationText += `Usted podría estar perdiendo $${formattedTotal}.`;
-                }
-                
-                // Crear utterance con el texto completo
-                const utterance = createUtterance(narrationText, 0.85);
-                
-                // Event listeners
-                utterance.onend = () => {
-                    console.log('✅ Narración de resultado de años completada');
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-                
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en narración de resultado de años:', event);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-                
-                // Guardar referencia y comenzar
-                this.currentUtterance = utterance;
-                speechSynthesis.speak(utterance);
-            };
+                installmentsContainer.appendChild(option);
+            });
+        }
+        
+        this.updateFinancingDisplay();
+    }
 
-            // Iniciar inmediatamente si las voces ya están cargadas
-            if (speechSynthesis.getVoices().length > 0) {
-                startSpeaking();
-            } else {
-                // Esperar a que las voces se carguen
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                    speechSynthesis.onvoiceschanged = null; // Limpiar listener
-                };
+    // Elegir número de cuotas
+    selectFinancingInstallments(count) {
+        this.gameState.financing = { ...(this.gameState.financing || {}), installments: count };
+        
+        document.querySelectorAll('.financing-installment-option').forEach(option => {
+            option.classList.toggle('selected', option.textContent === `${count} cuotas`);
+        });
+        
+        this.updateFinancingDisplay();
+    }
+
+    // Cambiar el pago inicial con el teclado numérico
+    editFinancingDownPayment() {
+        const plan = this.getFinancingPlan();
+        if (!plan) return;
+        
+        this.openAmountKeypad({
+            title: '✏️ Pago inicial',
+            min: 0,
+            max: plan.price,
+            onConfirm: (amount) => {
+                this.gameState.financing = { ...(this.gameState.financing || {}), downPayment: amount };
+                this.updateFinancingDisplay();
             }
-        } catch (error) {
-            console.error('❌ Error al iniciar narración de resultado de años:', error);
-            this.isNarrating = false;
+        });
+    }
+
+    // Actualizar cuota, comparación con el gasto actual y tabla de amortización
+    updateFinancingDisplay() {
+        const plan = this.getFinancingPlan();
+        if (!plan) return;
+        
+        const comparison = this.financing.compareWithSpending(plan, this.getMonthlySpending());
+        const nameInfo = this.getUserNameInfo();
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        
+        setText('financing-price', this.formatMoney(plan.price));
+        setText('financing-down-payment', this.formatMoney(plan.downPayment));
+        setText('financing-rate', plan.annualRate === 0 ? '0% (sin intereses)' : `${plan.annualRate}%`);
+        setText('financing-monthly-payment', this.formatMoney(plan.monthlyPayment));
+        setText('financing-totals', `Total a pagar: ${this.formatMoney(plan.totalPaid)} · Intereses: ${this.formatMoney(plan.totalInterest)}`);
+        
+        // Comparar la cuota con lo que hoy gasta al mes
+        const spending = this.formatMoney(comparison.monthlySpending);
+        const difference = this.formatMoney(Math.abs(comparison.difference));
+        let comparisonText;
+        if (comparison.isLower) {
+            comparisonText = nameInfo.isPlural
+                ? `Hoy gastan ${spending} al mes: la cuota es ${difference} menos de lo que ya pagan.`
+                : `Hoy gastas ${spending} al mes: la cuota es ${difference} menos de lo que ya pagas.`;
+        } else {
+            comparisonText = nameInfo.isPlural
+                ? `Hoy gastan ${spending} al mes: con solo ${difference} más cubren la cuota completa.`
+                : `Hoy gastas ${spending} al mes: con solo ${difference} más cubres la cuota completa.`;
+        }
+        setText('financing-comparison-text', comparisonText);
+        
+        // Tabla de amortización
+        const scheduleContainer = document.getElementById('financing-schedule');
+        if (scheduleContainer) {
+            let html = '<table class="summary-table">';
+            html += '<thead><tr><th>Cuota</th><th>Pago</th><th>Capital</th><th>Interés</th><th>Saldo</th></tr></thead>';
+            html += '<tbody>';
+            plan.schedule.forEach(row => {
+                html += '<tr>';
+                html += `<td>${row.number}</td>`;
+                html += `<td>${this.formatMoney(row.payment)}</td>`;
+                html += `<td>${this.formatMoney(row.principal)}</td>`;
+                html += `<td>${this.formatMoney(row.interest)}</td>`;
+                html += `<td>${this.formatMoney(row.balance)}</td>`;
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+            scheduleContainer.innerHTML = html;
         }
+        
+        console.log(`💳 Plan: ${plan.installments} cuotas de ${this.formatMoney(plan.monthlyPayment)} (gasto actual ${this.formatMoney(comparison.monthlySpending)}/mes)`);
     }
 
     // Mostrar pantalla de análisis
@@ -4871,128 +6218,79 @@ class CalculadoraApp {
     async showAnalysis() {
         // Mostrar animación de pensamiento
         const thinking = document.getElementById('analysis-thinking-animation');
+        const result = document.getElementById('analysis-result');
         
         if (thinking) {
             thinking.classList.remove('hidden');
         }
+        if (result) {
+            result.classList.add('hidden');
+        }
 
-        // Iniciar narración
-        this.startAnalysisNarration();
-
-        // Esperar tiempo para narración (~4 segundos) + 5 segundos adicionales = 9 segundos total
-        await this.sleep(9000);
+        // Calcular recuperación de la inversión con las respuestas del cliente
+        const analysis = this.calculatePasteurAnalysis(this.gameState.products, this.gameState.waterMonthlyTotal || 0);
+        this.gameState.pasteurAnalysis = analysis;
 
-        // Avanzar automáticamente a la pantalla de felicidades
-        this.transitionToScreen('prize');
-    }
+        // Narrar el análisis y mostrar el resultado al terminar (9 segundos si no hay voz)
+        await this.waitForNarration(this.startAnalysisNarration(), 9000);
 
-    // Iniciar narración de análisis
-    async startAnalysisNarration() {
-        console.log('🎤 Iniciando narración de análisis...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
+        // Si el usuario ya salió de la pantalla, no continuar
+        if (this.currentScreen !== 'analysis') return;
 
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
+        // Sin análisis disponible, avanzar automáticamente a la pantalla de felicidades
+        if (!analysis || !result) {
+            this.nextScreen();
             return;
         }
 
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (análisis)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto a leer según singular/plural
-                const nameInfo = this.getUserNameInfo();
-                const analysisText = nameInfo.isPlural 
-                    ? 'Analizando su situación. Obteniendo resultados de calificación.'
-                    : 'Analizando tu situación. Obteniendo resultados de calificación.';
-                
-                // Crear utterance con voz humanizada
-                const utterance = this.createHumanizedUtterance(analysisText, 0.88, 1.2);
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de análisis completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de análisis:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de análisis iniciada correctamente');
-                };
+        if (thinking) thinking.classList.add('hidden');
+        this.renderPasteurAnalysis(analysis);
+        result.classList.remove('hidden');
+        this.startAnalysisResultNarration(analysis);
+    }
 
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para análisis (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para análisis');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para análisis:', speakError);
-                    this.isNarrating = false;
-                }
-            };
+    // Mostrar recuperación de la inversión, ahorro de por vida y ROI
+    renderPasteurAnalysis(analysis) {
+        const nameInfo = this.getUserNameInfo();
+        const setText = (id, text) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = text;
+        };
+        
+        const hasSavings = analysis.monthlySavings.total > 0;
+        if (hasSavings) {
+            setText('analysis-result-title', nameInfo.isPlural
+                ? '💧 Con el sistema Pasteur ustedes podrían ahorrar:'
+                : '💧 Con el sistema Pasteur podrías ahorrar:');
+            setText('analysis-monthly-savings', `${this.formatMoney(analysis.monthlySavings.total)} al mes`);
+        } else {
+            // El mantenimiento supera el ahorro: mostrar el costo extra, no un "ahorro" negativo
+            setText('analysis-result-title', nameInfo.isPlural
+                ? '💧 Con su consumo actual, el sistema Pasteur no les generaría ahorro:'
+                : '💧 Con tu consumo actual, el sistema Pasteur no te generaría ahorro:');
+            setText('analysis-monthly-savings', `${this.formatMoney(Math.abs(analysis.monthlySavings.total))} más al mes`);
+        }
+        // Solo se muestra el mes de recuperación cuando conviene (como en la narración)
+        const paybackYears = analysis.payback.years;
+        setText('analysis-break-even-label', nameInfo.isPlural ? '📅 Recuperan la inversión' : '📅 Recuperas la inversión');
+        setText('analysis-break-even', analysis.isWorthwhile
+            ? `Mes ${analysis.breakEvenMonth} (${this.formatNumber(paybackYears, Number.isInteger(paybackYears) ? 0 : 1)} ${paybackYears === 1 ? 'año' : 'años'})`
+            : 'No se recupera con el consumo actual');
+        setText('analysis-lifetime-savings', analysis.lifetime.totalSavings > 0
+            ? `${this.formatMoney(analysis.lifetime.totalSavings)} en ${analysis.lifetime.years} años`
+            : `Sin ahorro en ${analysis.lifetime.years} años`);
+        setText('analysis-roi', `${analysis.roi}%`);
+        setText('analysis-system-cost', `Inversión: ${this.formatMoney(analysis.initialCost)} · Mantenimiento: ${this.formatMoney(analysis.monthlySavings.maintenance)} al mes`);
+    }
 
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para análisis');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
+    // Narrar el resultado del análisis de ahorro
+    startAnalysisResultNarration(analysis) {
+        return this.narrate('analysis-result', { analysis });
+    }
 
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de análisis:', error);
-            this.isNarrating = false;
-        }
+    // Narración de análisis
+    startAnalysisNarration() {
+        return this.narrate('analysis');
     }
 
     setupValidationScreen() {
@@ -5006,133 +6304,115 @@ class CalculadoraApp {
                 validationQuestion.textContent = '⚠️ ¿Seguro que los montos de precios ingresados, reflejan el aproximado de tus gastos al mes?';
             }
         }
-    }
-
-    // Iniciar narración de validación
-    startValidationNarration() {
-        console.log('🎤 Iniciando narración de validación...');
         
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
+        // Total mensual actual (refleja las correcciones hechas en la revisión)
+        const monthlyTotalEl = document.getElementById('validation-monthly-total');
+        if (monthlyTotalEl) {
+            monthlyTotalEl.textContent = this.formatMoney(this.gameState.monthlyTotal);
         }
+    }
 
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
+    // Configurar pantalla de revisión detallada
+    setupReviewScreen() {
+        const nameInfo = this.getUserNameInfo();
+        const title = document.getElementById('review-title');
+        if (title) {
+            title.textContent = nameInfo.isPlural ? '📝 Revisemos sus respuestas' : '📝 Revisemos tus respuestas';
         }
+        const intro = document.getElementById('review-intro');
+        if (intro) {
+            intro.textContent = nameInfo.isPlural
+                ? 'Toquen el precio o la cantidad que quieran corregir. Lo demás se mantiene.'
+                : 'Toca el precio o la cantidad que quieras corregir. Lo demás se mantiene.';
+        }
+        this.renderReviewTable();
+    }
 
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (validación)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto a leer según singular/plural y género
-                const nameInfo = this.getUserNameInfo();
-                const validationText = nameInfo.isPlural 
-                    ? '¿Seguro que los montos de precios ingresados, reflejan el aproximado de sus gastos al mes?'
-                    : '¿Seguro que los montos de precios ingresados, reflejan el aproximado de tus gastos al mes?';
-                
-                // Crear utterance
-                const utterance = new SpeechSynthesisUtterance(validationText);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95;
-                utterance.pitch = 1.5;
-                utterance.volume = 1.0;
-
-                // Usar la voz centralizada
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                    console.log('✅ Usando voz centralizada para validación:', spanishVoice.name);
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                    console.log('⚠️ Usando voz predeterminada (fallback):', voices[0].name);
-                }
-
-                // Guardar referencia
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la lectura
-                utterance.onend = () => {
-                    console.log('✅ Narración de validación completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de validación:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de validación iniciada correctamente');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para validación (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para validación');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para validación:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para validación');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de validación:', error);
-            this.isNarrating = false;
+    // Listar cada respuesta con su subtotal, marcando las elegidas automáticamente por el timer
+    renderReviewTable() {
+        const container = document.getElementById('review-table-container');
+        if (!container) return;
+        
+        const state = this.gameState;
+        const currencyCode = this.getCurrencyCode();
+        const cell = (value, field, index = '', isAuto = false) => {
+            const autoClass = isAuto ? ' review-auto-selected' : '';
+            const autoMark = isAuto ? ' <span class="review-auto-icon" title="Elegido automáticamente">⏱️</span>' : '';
+            return `<td class="summary-editable${autoClass}" data-edit="${field}" data-index="${index}" role="button" tabindex="0">${value}${autoMark} <span class="summary-edit-icon">✏️</span></td>`;
+        };
+        
+        let html = '';
+        let hasAutoSelected = false;
+        
+        // Productos de limpieza y aseo
+        html += '<div class="summary-section">';
+        html += '<h3 class="summary-section-title">🧹 Limpieza y Aseo</h3>';
+        html += '<table class="summary-table review-table">';
+        html += `<thead><tr><th>Producto</th><th>Precio (${currencyCode})</th><th>Cantidad</th><th>Subtotal (${currencyCode})</th></tr></thead>`;
+        html += '<tbody>';
+        state.products.forEach((product, index) => {
+            const productInfo = this.getProductInfo(product.product);
+            const emoji = productInfo ? productInfo.emoji : '🧴';
+            const sources = product.sources || {};
+            const priceAuto = sources.price === 'timeout';
+            const quantityAuto = sources.quantity === 'timeout';
+            hasAutoSelected = hasAutoSelected || priceAuto || quantityAuto;
+            
+            html += `<tr${priceAuto || quantityAuto ? ' class="review-row-auto"' : ''}>`;
+            html += `<td>${emoji} ${this.escapeHtml(this.getProductLabel(product))}${product.skipped ? ' <em>(omitido)</em>' : ''}</td>`;
+            html += cell(product.price > 0 ? this.formatMoney(product.price) : '—', 'price', index, priceAuto);
+            html += cell(product.quantity > 0 ? this.formatQuantityWithUnit(product.quantity, product.unit) : '—', 'quantity', index, quantityAuto);
+            html += `<td>${this.formatMoney(product.total)}</td>`;
+            html += '</tr>';
+        });
+        const cleaningTotal = state.products.reduce((sum, product) => sum + (product.total || 0), 0);
+        html += '<tr class="summary-total-row">';
+        html += '<td colspan="3"><strong>Subtotal Limpieza y Aseo:</strong></td>';
+        html += `<td><strong>${this.formatMoney(cleaningTotal)}</strong></td>`;
+        html += '</tr>';
+        html += '</tbody></table>';
+        html += '</div>';
+        
+        // Agua
+        const waterTypeInfo = this.getWaterTypeInfo(state.waterType);
+        html += '<div class="summary-section">';
+        html += '<h3 class="summary-section-title">💧 Agua</h3>';
+        html += '<table class="summary-table review-table">';
+        html += '<thead><tr><th>Concepto</th><th>Valor</th></tr></thead>';
+        html += '<tbody>';
+        html += `<tr><td>Tipo de Agua</td><td>${waterTypeInfo ? `${waterTypeInfo.emoji} ${waterTypeInfo.name}` : 'No seleccionado'}</td></tr>`;
+        if (state.waterFrequency) {
+            html += `<tr><td>Compras por Semana</td>${cell(state.waterFrequency, 'waterFrequency')}</tr>`;
+        }
+        if (state.waterPrice) {
+            html += `<tr><td>Precio por Compra</td>${cell(this.formatMoney(state.waterPrice), 'waterPrice')}</tr>`;
         }
+        html += '<tr class="summary-total-row">';
+        html += '<td><strong>Subtotal Agua al Mes:</strong></td>';
+        html += `<td><strong>${this.formatMoney(state.waterMonthlyTotal)}</strong></td>`;
+        html += '</tr>';
+        html += '</tbody></table>';
+        html += '</div>';
+        
+        // Total mensual
+        html += '<div class="summary-section">';
+        html += '<table class="summary-table review-table"><tbody>';
+        html += '<tr class="summary-grand-total">';
+        html += '<td><strong>Total Mensual:</strong></td>';
+        html += `<td><strong>${this.formatMoney(cleaningTotal + (state.waterMonthlyTotal || 0))}</strong></td>`;
+        html += '</tr>';
+        html += '</tbody></table>';
+        if (hasAutoSelected) {
+            html += '<p class="summary-note">⏱️ Respuesta elegida automáticamente porque se agotó el tiempo. Conviene revisarla.</p>';
+        }
+        html += '</div>';
+        
+        container.innerHTML = html;
+    }
+
+    // Narración de validación
+    startValidationNarration() {
+        return this.narrate('validation');
     }
 
     setupPrizeScreen() {
@@ -5142,11 +6422,11 @@ class CalculadoraApp {
         const prizeQuestionText = document.querySelector('.prize-question-text');
         
         if (prizeMainText) {
-            if (nameInfo.isPlural) {
-                prizeMainText.innerHTML = 'Han calificado para recibir <strong>GRATIS</strong> la dotación de todos los productos evaluados, durante <strong>5 AÑOS consecutivos</strong>. Todo esto incluidos con la adquisición del <strong>Purificador de Agua Pasteur Water System</strong>.';
-            } else {
-                prizeMainText.innerHTML = 'Has calificado para recibir <strong>GRATIS</strong> la dotación de todos los productos evaluados, durante <strong>5 AÑOS consecutivos</strong>. Todo esto incluidos con la adquisición del <strong>Purificador de Agua Pasteur Water System</strong>.';
-            }
+            // Texto del premio configurable por el operador
+            const prize = this.getPrizeInfo();
+            const qualifiedText = nameInfo.isPlural ? 'Han calificado' : 'Has calificado';
+            const yearsHtml = prize.years === 1 ? '1 AÑO' : `${prize.years} AÑOS consecutivos`;
+            prizeMainText.innerHTML = `${qualifiedText} para recibir <strong>GRATIS</strong> ${this.escapeHtml(prize.benefit)}, durante <strong>${yearsHtml}</strong>. Todo esto incluidos con la adquisición del <strong>${this.escapeHtml(prize.product)}</strong>.`;
         }
         
         if (prizeQuestionText) {
@@ -5173,102 +6453,7 @@ class CalculadoraApp {
     }
 
     startBenefitAhorroNarration() {
-        console.log('🎤 Iniciando narración de beneficio Ahorro...');
-        
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            this.isNarrating = true;
-
-            const startSpeaking = () => {
-                const nameInfo = this.getUserNameInfo();
-                const textToRead = nameInfo.isPlural 
-                    ? 'Ahorro. Invertir una sola vez para dejar de pagar agua embotellada todos los meses. Su cerebro percibe control financiero y menor gasto futuro. Felicidades!'
-                    : 'Ahorro. Invertir una sola vez para dejar de pagar agua embotellada todos los meses. Tu cerebro percibe control financiero y menor gasto futuro. Felicidades!';
-                
-                const utterance = new SpeechSynthesisUtterance(textToRead);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95;
-                utterance.pitch = 1.5;
-                utterance.volume = 1.0;
-
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                }
-
-                this.currentUtterance = utterance;
-
-                utterance.onend = () => {
-                    console.log('✅ Narración de Ahorro completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de Ahorro:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de Ahorro iniciada');
-                };
-
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para Ahorro (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para Ahorro');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para Ahorro:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para Ahorro');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de Ahorro:', error);
-            this.isNarrating = false;
-        }
+        return this.narrate('benefit-ahorro');
     }
 
     setupBenefitSaludScreen() {
@@ -5284,102 +6469,7 @@ class CalculadoraApp {
     }
 
     startBenefitSaludNarration() {
-        console.log('🎤 Iniciando narración de beneficio Salud...');
-        
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            this.isNarrating = true;
-
-            const startSpeaking = () => {
-                const nameInfo = this.getUserNameInfo();
-                const textToRead = nameInfo.isPlural 
-                    ? 'Salud. Agua libre de contaminantes que su cuerpo reconoce como segura. Menos carga tóxica, más energía y bienestar a largo plazo. Felicidades!'
-                    : 'Salud. Agua libre de contaminantes que tu cuerpo reconoce como segura. Menos carga tóxica, más energía y bienestar a largo plazo. Felicidades!';
-                
-                const utterance = new SpeechSynthesisUtterance(textToRead);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95;
-                utterance.pitch = 1.5;
-                utterance.volume = 1.0;
-
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                }
-
-                this.currentUtterance = utterance;
-
-                utterance.onend = () => {
-                    console.log('✅ Narración de Salud completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de Salud:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de Salud iniciada');
-                };
-
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para Salud (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para Salud');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para Salud:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para Salud');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de Salud:', error);
-            this.isNarrating = false;
-        }
+        return this.narrate('benefit-salud');
     }
 
     setupBenefitTranquilidadScreen() {
@@ -5390,368 +6480,36 @@ class CalculadoraApp {
                 benefitText.textContent = 'La certeza diaria de que ustedes y su familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático.';
             } else {
                 benefitText.textContent = 'La certeza diaria de que tú y tu familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático.';
-            }
-        }
-    }
-
-    startBenefitTranquilidadNarration() {
-        console.log('🎤 Iniciando narración de beneficio Tranquilidad...');
-        
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            this.isNarrating = true;
-
-            const startSpeaking = () => {
-                const nameInfo = this.getUserNameInfo();
-                const textToRead = nameInfo.isPlural 
-                    ? 'Tranquilidad. La certeza diaria de que ustedes y su familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático. Felicidades!'
-                    : 'Tranquilidad. La certeza diaria de que tú y tu familia beben agua confiable sin preocuparse por lo invisible. Descanso mental automático. Felicidades!';
-                
-                const utterance = new SpeechSynthesisUtterance(textToRead);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95;
-                utterance.pitch = 1.5;
-                utterance.volume = 1.0;
-
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                }
-
-                this.currentUtterance = utterance;
-
-                utterance.onend = () => {
-                    console.log('✅ Narración de Tranquilidad completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de Tranquilidad:', event.error);
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de Tranquilidad iniciada');
-                };
-
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para Tranquilidad (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para Tranquilidad');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para Tranquilidad:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para Tranquilidad');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de Tranquilidad:', error);
-            this.isNarrating = false;
-        }
-    }
-
-    setupSpecialistScreen() {
-        const nameInfo = this.getUserNameInfo();
-        const specialistText = document.querySelector('.specialist-text');
-        if (specialistText) {
-            if (nameInfo.isPlural) {
-                specialistText.textContent = 'Felicidades, nuestros especialistas les ayudarán en todo desde ya mismo.';
-            } else {
-                specialistText.textContent = 'Felicidades, nuestros especialistas le ayudarán en todo desde ya mismo.';
-            }
-        }
-    }
-
-    // Iniciar narración de especialista
-    startSpecialistNarration() {
-        console.log('🎤 Iniciando narración de especialista...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (especialista)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Usar la voz centralizada
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                // Crear función para crear utterance con la voz configurada
-                const createUtterance = (text, rate = 0.88) => {
-                    return this.createHumanizedUtterance(text, rate, 1.2);
-                };
-
-                // Obtener información del usuario
-                const nameInfo = this.getUserNameInfo();
-                
-                // Construir el texto de narración según género y plural
-                let narrationText = '';
-                
-                if (nameInfo.isPlural) {
-                    narrationText = 'Felicidades, nuestros especialistas les ayudarán en todo desde ya mismo.';
-                } else {
-                    narrationText = 'Felicidades, nuestros especialistas le ayudarán en todo desde ya mismo.';
-                }
-                
-                // Crear utterance con el texto completo
-                const utterance = createUtterance(narrationText, 0.85);
-                
-                // Event listeners
-                utterance.onend = () => {
-                    console.log('✅ Narración de especialista completada');
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-                
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en narración de especialista:', event);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-                
-                // Guardar referencia y comenzar
-                this.currentUtterance = utterance;
-                speechSynthesis.speak(utterance);
-            };
-
-            // Iniciar inmediatamente si las voces ya están cargadas
-            if (speechSynthesis.getVoices().length > 0) {
-                startSpeaking();
-            } else {
-                // Esperar a que las voces se carguen
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                    speechSynthesis.onvoiceschanged = null; // Limpiar listener
-                };
-            }
-        } catch (error) {
-            console.error('❌ Error al iniciar narración de especialista:', error);
-            this.isNarrating = false;
-        }
-    }
-
-    // Iniciar narración de premio/felicidades
-    startPrizeNarration() {
-        console.log('🎤 Iniciando narración de premio...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            if ('speechSynthesis' in window) {
-                speechSynthesis.cancel();
-            }
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (premio)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Usar la voz centralizada
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                // Crear función para crear utterance con la voz configurada
-                const createUtterance = (text, rate = 0.88) => {
-                    return this.createHumanizedUtterance(text, rate, 1.2);
-                };
-
-                // Secuencia de narraciones con pausas naturales (actualizada según género y plural)
-                const nameInfo = this.getUserNameInfo();
-                let questionText;
-                if (nameInfo.isPlural) {
-                    questionText = '¿Al comenzar desde hoy mismo lo harían por?';
-                } else {
-                    // Aplicar género: "lo harías" para mujer, "lo haría" para hombre
-                    questionText = nameInfo.isFeminine 
-                        ? '¿Al comenzar desde hoy mismo lo harías por?'
-                        : '¿Al comenzar desde hoy mismo lo haría por?';
-                }
-                
-                const texts = [
-                    '¡Felicidades!',
-                    nameInfo.isPlural 
-                        ? 'Han calificado para recibir gratis la dotación de todos los productos evaluados, durante 5 años consecutivos.'
-                        : 'Has calificado para recibir gratis la dotación de todos los productos evaluados, durante 5 años consecutivos.',
-                    'Todo esto incluido con la adquisición del Purificador de Agua Pasteur Water System.',
-                    questionText,
-                    'Ahorro.',
-                    'Salud.',
-                    'Tranquilidad.'
-                ];
-
-                let currentIndex = 0;
-                
-                const speakNext = () => {
-                    if (currentIndex >= texts.length) {
-                        console.log('✅ Narración de premio completada');
-                        this.currentUtterance = null;
-                        this.isNarrating = false;
-                        return;
-                    }
-
-                    const text = texts[currentIndex];
-                    const utterance = createUtterance(text);
-                    this.currentUtterance = utterance;
-
-                    utterance.onend = () => {
-                        currentIndex++;
-                        // Pausa entre textos (más larga después de la pregunta)
-                        const pause = (currentIndex === 4) ? 800 : 500; // Pausa más larga antes de los botones
-                        setTimeout(() => {
-                            speakNext();
-                        }, pause);
-                    };
-
-                    utterance.onerror = (event) => {
-                        console.error('❌ Error en la narración de premio:', event.error);
-                        this.currentUtterance = null;
-                        this.isNarrating = false;
-                    };
-
-                    if (currentIndex === 0) {
-                        utterance.onstart = () => {
-                            console.log('🔊 Narración de premio iniciada correctamente');
-                        };
-                    }
-
-                    try {
-                        speechSynthesis.speak(utterance);
-                        console.log(`🎤 Hablando parte ${currentIndex + 1} de ${texts.length}: "${text}"`);
-                    } catch (speakError) {
-                        console.error('❌ Error al ejecutar speak() para premio:', speakError);
-                        this.isNarrating = false;
-                    }
-                };
+            }
+        }
+    }
 
-                // Iniciar la secuencia
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speakNext();
-                        }, 100);
-                    } else {
-                        speakNext();
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al iniciar narración de premio:', speakError);
-                    this.isNarrating = false;
-                }
-            };
+    startBenefitTranquilidadNarration() {
+        return this.narrate('benefit-tranquilidad');
+    }
 
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
+    setupSpecialistScreen() {
+        const nameInfo = this.getUserNameInfo();
+        const specialistText = document.querySelector('.specialist-text');
+        if (specialistText) {
+            if (nameInfo.isPlural) {
+                specialistText.textContent = 'Felicidades, nuestros especialistas les ayudarán en todo desde ya mismo.';
             } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para premio');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
+                specialistText.textContent = 'Felicidades, nuestros especialistas le ayudarán en todo desde ya mismo.';
             }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de premio:', error);
-            this.isNarrating = false;
         }
     }
 
+    // Narración de especialista
+    startSpecialistNarration() {
+        return this.narrate('specialist');
+    }
+
+    // Narración de premio/felicidades (frases con pausas naturales)
+    startPrizeNarration() {
+        return this.narrate('prize');
+    }
+
     // Mostrar confetti
     showConfetti() {
         const container = document.getElementById('confetti-container');
@@ -5780,14 +6538,16 @@ class CalculadoraApp {
                 z-index: 1000;
             `;
             container.appendChild(confetti);
-            setTimeout(() => confetti.remove(), 5000);
+            this.schedule(() => confetti.remove(), 5000);
         }
     }
 
     // Reproducir sonido de premio/triunfo (fanfarria emocionante)
     playPrizeSound() {
+        if (!this.areSoundEffectsOn()) return;
+        
         try {
-            setTimeout(() => {
+            this.schedule(() => {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 const now = audioContext.currentTime;
                 
@@ -5817,17 +6577,17 @@ class CalculadoraApp {
                 playFanfareChord(now, [523.25, 659.25, 783.99, 1046.50], 0.5, 0.35);
                 
                 // Segunda secuencia: Acorde Sol mayor (G-B-D-G) - Más alto y triunfante
-                setTimeout(() => {
+                this.schedule(() => {
                     playFanfareChord(now + 0.3, [783.99, 987.77, 1174.66, 1567.98], 0.6, 0.4);
                 }, 300);
                 
                 // Tercera secuencia: Acorde Do mayor más agudo - Final triunfante
-                setTimeout(() => {
+                this.schedule(() => {
                     playFanfareChord(now + 0.7, [1046.50, 1318.51, 1567.98, 2093.00], 0.8, 0.45);
                 }, 700);
                 
                 // Cuarta secuencia: Escala ascendente rápida para el final emocionante
-                setTimeout(() => {
+                this.schedule(() => {
                     const scaleFreqs = [523.25, 587.33, 659.25, 698.46, 783.99, 880.00, 987.77, 1046.50];
                     scaleFreqs.forEach((freq, index) => {
                         const osc = audioContext.createOscillator();
@@ -5855,9 +6615,54 @@ class CalculadoraApp {
         }
     }
 
+    // Activar o desactivar el modo "Necesito más tiempo" para la sesión actual
+    toggleAccessibleMode() {
+        this.accessibleMode = !this.accessibleMode;
+        console.log(`🐢 Modo con más tiempo ${this.accessibleMode ? 'activado' : 'desactivado'}: ${this.getTimerSeconds() || 'sin límite de'} segundos por pregunta`);
+        this.setupRulesScreen();
+        this.updateCaptionsToggle();
+        this.saveSessionCheckpoint();
+    }
+
+    // Cada cliente nuevo empieza con el modo normal
+    resetAccessibleMode() {
+        this.accessibleMode = false;
+        this.captionsEnabled = null;
+        this.updateCaptionsToggle();
+    }
+
+    // Agregar segundos al timer activo de una pantalla ("+10 s")
+    extendTimer(screen, seconds = TIMER_EXTENSION_SECONDS) {
+        if (this.timerRemaining[screen] === undefined) return;
+        
+        this.timerBonus[screen] = (this.timerBonus[screen] || 0) + seconds;
+        this.timerRemaining[screen] += seconds;
+        
+        const timerEl = document.getElementById(screen === 'price' ? 'timer-seconds' : `${screen}-timer-seconds`);
+        if (timerEl) timerEl.textContent = this.timerRemaining[screen];
+        console.log(`⏱️ +${seconds}s para ${screen}: quedan ${this.timerRemaining[screen]}s`);
+    }
+
+    // Mostrar el tiempo y el botón "+10 s" según el modo de la sesión
+    updateTimerDisplay(screen, hasTimer) {
+        const display = document.getElementById(screen === 'price' ? 'timer-display' : `${screen}-timer-display`);
+        if (display) display.classList.toggle('hidden', !hasTimer);
+        
+        const extendButton = document.querySelector(`.timer-extend-button[data-timer-screen="${screen}"]`);
+        if (extendButton) extendButton.classList.toggle('hidden', !(hasTimer && this.accessibleMode));
+    }
+
     // Timer
     startTimer(screen, seconds, callback, customTimerEl = null) {
         this.stopTimer(screen);
+        
+        // Modo accesible sin límite: no hay cuenta regresiva ni selección automática
+        this.updateTimerDisplay(screen, seconds > 0);
+        if (!seconds) {
+            console.log(`⏱️ Sin límite de tiempo para ${screen}`);
+            return;
+        }
+        
         let timerEl = customTimerEl;
         
         if (!timerEl) {
@@ -5896,20 +6701,42 @@ class CalculadoraApp {
 
         const startTimerCountdown = () => {
             const update = () => {
+                // Sumar los segundos agregados con "+10 s"
+                remaining += this.timerBonus[screen] || 0;
+                this.timerBonus[screen] = 0;
+                
                 if (timerEl) timerEl.textContent = remaining;
+                this.timerRemaining[screen] = remaining;
+                
+                // Reflejar el tiempo restante dentro del teclado numérico abierto
+                const keypadOpenHere = this.keypadState && this.keypadState.timerScreen === screen;
+                if (keypadOpenHere) {
+                    const keypadTimerEl = document.getElementById('amount-keypad-timer-seconds');
+                    if (keypadTimerEl) keypadTimerEl.textContent = remaining;
+                }
                 
                 // Reproducir sonido de reloj en cada segundo (incluyendo el primero)
-                if (remaining > 0) {
+                // En modo accesible solo un aviso suave cuando quedan 10 y 5 segundos
+                if (this.accessibleMode) {
+                    if (remaining === 10 || remaining === 5) this.playGentleCue();
+                } else if (remaining > 0) {
                     // Reproducir sonido inmediatamente
                     this.playClockTickSound();
                 }
                 
                 if (remaining <= 0) {
+                    // Si el tiempo se agota con el teclado abierto, usar el monto escrito si es válido
+                    if (keypadOpenHere) {
+                        if (this.keypadState.value !== '' && this.confirmAmountKeypad()) {
+                            return;
+                        }
+                        this.closeAmountKeypad();
+                    }
                     callback();
                 } else {
                     remaining--;
                     // Programar siguiente actualización
-                    this.timers[screen] = setTimeout(update, 1000);
+                    this.timers[screen] = this.schedule(update, 1000);
                 }
             };
             
@@ -5923,14 +6750,33 @@ class CalculadoraApp {
 
     stopTimer(screen) {
         if (this.timers[screen]) {
-            clearTimeout(this.timers[screen]);
+            this.cancelScheduled(this.timers[screen]);
             delete this.timers[screen];
         }
+        delete this.timerRemaining[screen];
+        delete this.timerBonus[screen];
     }
 
     // Utilidad: sleep
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => this.schedule(resolve, ms));
+    }
+
+    // Programar una acción que se congela con la pausa del presentador (setTimeout pausable)
+    schedule(callback, delay = 0) {
+        return this.pauseController ? this.pauseController.setTimeout(callback, delay) : setTimeout(callback, delay);
+    }
+
+    // Programar una acción repetitiva pausable (setInterval pausable)
+    scheduleRepeating(callback, period) {
+        return this.pauseController ? this.pauseController.setInterval(callback, period) : setInterval(callback, period);
+    }
+
+    // Cancelar una acción programada con schedule() o scheduleRepeating()
+    cancelScheduled(id) {
+        if (this.pauseController) this.pauseController.clear(id);
+        clearTimeout(id);
+        clearInterval(id);
     }
 
     // Generar tabla de resumen
@@ -5939,6 +6785,7 @@ class CalculadoraApp {
         if (!container) return;
 
         const state = this.gameState;
+        const currencyCode = this.getCurrencyCode();
         
         // Limpiar contenedor
         container.innerHTML = '';
@@ -5949,26 +6796,39 @@ class CalculadoraApp {
         html += '<div class="summary-section">';
         html += '<h3 class="summary-section-title">🧹 Gastos de Limpieza y Aseo</h3>';
         html += '<table class="summary-table">';
-        html += '<thead><tr><th>Producto</th><th>Precio (USD)</th><th>Cantidad</th><th>Total (USD)</th></tr></thead>';
+        html += `<thead><tr><th>Producto</th><th>Precio (${currencyCode})</th><th>Cantidad</th><th>Total (${currencyCode})</th></tr></thead>`;
         html += '<tbody>';
         
+        const editHint = ' <span class="summary-edit-icon">✏️</span>';
+        const autoMark = ' <span class="review-auto-icon" title="Elegido automáticamente">⏱️</span>';
+        const editableCell = (value, field, index = '', isAuto = false) =>
+            `<td class="summary-editable${isAuto ? ' review-auto-selected' : ''}" data-edit="${field}" data-index="${index}" role="button" tabindex="0">${value}${isAuto ? autoMark : ''}${editHint}</td>`;
+        
         let cleaningTotal = 0;
+        let hasAutoSelected = false;
         if (state.products && state.products.length > 0) {
             // Filtrar solo productos que tienen precio > 0 y cantidad > 0 para evitar mostrar productos vacíos o duplicados
+            // (los omitidos por tiempo se muestran para poder completarlos)
             const validProducts = state.products.filter(product => {
                 const hasPrice = product.price && product.price > 0;
                 const hasQuantity = product.quantity && product.quantity > 0;
-                return hasPrice && hasQuantity;
+                return (hasPrice && hasQuantity) || product.skipped;
             });
             
             validProducts.forEach(product => {
-                const productInfo = PRODUCT_DATA.products.find(p => p.name === product.product);
+                const productInfo = this.getProductInfo(product.product);
                 const emoji = productInfo ? productInfo.emoji : '🧴';
-                html += `<tr>`;
-                html += `<td>${emoji} ${product.product}</td>`;
-                html += `<td>$${product.price.toFixed(2)}</td>`;
-                html += `<td>${product.quantity}</td>`;
-                html += `<td>$${product.total.toFixed(2)}</td>`;
+                const index = state.products.indexOf(product);
+                const sources = product.sources || {};
+                const priceAuto = sources.price === 'timeout';
+                const quantityAuto = sources.quantity === 'timeout';
+                hasAutoSelected = hasAutoSelected || priceAuto || quantityAuto;
+                
+                html += `<tr${priceAuto || quantityAuto ? ' class="review-row-auto"' : ''}>`;
+                html += `<td>${emoji} ${this.escapeHtml(this.getProductLabel(product))}${product.skipped ? ' <em>(omitido)</em>' : ''}</td>`;
+                html += editableCell(product.price > 0 ? this.formatMoney(product.price) : '—', 'price', index, priceAuto);
+                html += editableCell(product.quantity > 0 ? this.formatQuantityWithUnit(product.quantity, product.unit) : '—', 'quantity', index, quantityAuto);
+                html += `<td>${this.formatMoney(product.total)}</td>`;
                 html += `</tr>`;
                 cleaningTotal += product.total;
             });
@@ -5976,10 +6836,33 @@ class CalculadoraApp {
         
         html += '<tr class="summary-total-row">';
         html += '<td colspan="3"><strong>Total Gastos de Limpieza y Aseo:</strong></td>';
-        html += `<td><strong>$${cleaningTotal.toFixed(2)}</strong></td>`;
+        html += `<td><strong>${this.formatMoney(cleaningTotal)}</strong></td>`;
         html += '</tr>';
         html += '</tbody></table>';
+        html += '<p class="summary-note">✏️ Toque un precio, cantidad o valor para corregirlo y recalcular todo.</p>';
+        if (hasAutoSelected) {
+            html += '<p class="summary-note">⏱️ Respuesta elegida automáticamente (o producto omitido) al agotarse el tiempo.</p>';
+        }
         html += '</div>';
+        
+        // 1b. Gasto por integrante (familias que respondieron el cuidado personal por persona o grupo)
+        const memberBreakdown = this.calculateMemberBreakdown(state.products || []);
+        if (memberBreakdown.length > 0) {
+            html += '<div class="summary-section">';
+            html += '<h3 class="summary-section-title">👪 Gasto por Integrante</h3>';
+            html += '<table class="summary-table">';
+            html += `<thead><tr><th>Integrante</th><th>Total (${currencyCode})</th></tr></thead>`;
+            html += '<tbody>';
+            memberBreakdown.forEach(row => {
+                html += `<tr><td>${this.escapeHtml(row.label)}</td><td>${this.formatMoney(row.total)}</td></tr>`;
+            });
+            html += '<tr class="summary-total-row">';
+            html += '<td><strong>Total Gastos de Limpieza y Aseo:</strong></td>';
+            html += `<td><strong>${this.formatMoney(cleaningTotal)}</strong></td>`;
+            html += '</tr>';
+            html += '</tbody></table>';
+            html += '</div>';
+        }
 
         // 2. Gastos de Agua
         html += '<div class="summary-section">';
@@ -5988,20 +6871,20 @@ class CalculadoraApp {
         html += '<thead><tr><th>Concepto</th><th>Valor</th></tr></thead>';
         html += '<tbody>';
         
-        const waterTypeInfo = PRODUCT_DATA.waterTypes.find(wt => wt.value === state.waterType);
+        const waterTypeInfo = this.getWaterTypeInfo(state.waterType);
         const waterTypeName = waterTypeInfo ? `${waterTypeInfo.emoji} ${waterTypeInfo.name}` : 'No seleccionado';
         
         html += `<tr><td>Tipo de Agua</td><td>${waterTypeName}</td></tr>`;
         if (state.waterFrequency) {
-            html += `<tr><td>Frecuencia por Semana</td><td>${state.waterFrequency} vez${state.waterFrequency > 1 ? 'es' : ''}</td></tr>`;
+            html += `<tr><td>Frecuencia por Semana</td>${editableCell(`${state.waterFrequency} vez${state.waterFrequency > 1 ? 'es' : ''}`, 'waterFrequency')}</tr>`;
         }
         if (state.waterPrice) {
-            html += `<tr><td>Precio por Compra</td><td>$${state.waterPrice.toFixed(2)}</td></tr>`;
+            html += `<tr><td>Precio por Compra</td>${editableCell(this.formatMoney(state.waterPrice), 'waterPrice')}</tr>`;
         }
         
         html += '<tr class="summary-total-row">';
         html += '<td><strong>Total Gastos de Agua al Mes:</strong></td>';
-        html += `<td><strong>$${state.waterMonthlyTotal.toFixed(2)}</strong></td>`;
+        html += `<td><strong>${this.formatMoney(state.waterMonthlyTotal)}</strong></td>`;
         html += '</tr>';
         html += '</tbody></table>';
         html += '</div>';
@@ -6011,13 +6894,13 @@ class CalculadoraApp {
         html += '<div class="summary-section">';
         html += '<h3 class="summary-section-title">💰 Sumatoria General</h3>';
         html += '<table class="summary-table">';
-        html += '<thead><tr><th>Concepto</th><th>Total (USD)</th></tr></thead>';
+        html += `<thead><tr><th>Concepto</th><th>Total (${currencyCode})</th></tr></thead>`;
         html += '<tbody>';
-        html += `<tr><td>Gastos de Limpieza y Aseo</td><td>$${cleaningTotal.toFixed(2)}</td></tr>`;
-        html += `<tr><td>Gastos de Agua al Mes</td><td>$${state.waterMonthlyTotal.toFixed(2)}</td></tr>`;
+        html += `<tr><td>Gastos de Limpieza y Aseo</td><td>${this.formatMoney(cleaningTotal)}</td></tr>`;
+        html += `<tr><td>Gastos de Agua al Mes</td><td>${this.formatMoney(state.waterMonthlyTotal)}</td></tr>`;
         html += '<tr class="summary-total-row">';
         html += '<td><strong>Total General Mensual:</strong></td>';
-        html += `<td><strong>$${generalTotal.toFixed(2)}</strong></td>`;
+        html += `<td><strong>${this.formatMoney(generalTotal)}</strong></td>`;
         html += '</tr>';
         html += '</tbody></table>';
         html += '</div>';
@@ -6030,11 +6913,11 @@ class CalculadoraApp {
         html += '<table class="summary-table">';
         html += '<thead><tr><th>Concepto</th><th>Valor</th></tr></thead>';
         html += '<tbody>';
-        html += `<tr><td>Total Mensual</td><td>$${generalTotal.toFixed(2)}</td></tr>`;
-        html += `<tr><td>Multiplicador (Meses)</td><td>${multiplier}</td></tr>`;
+        html += `<tr><td>Total Mensual</td><td>${this.formatMoney(generalTotal)}</td></tr>`;
+        html += `<tr><td>Multiplicador (Meses)</td>${editableCell(multiplier, 'multiplier')}</tr>`;
         html += '<tr class="summary-total-row">';
         html += '<td><strong>Total por Año:</strong></td>';
-        html += `<td><strong>$${yearTotal.toFixed(2)}</strong></td>`;
+        html += `<td><strong>${this.formatMoney(yearTotal)}</strong></td>`;
         html += '</tr>';
         html += '</tbody></table>';
         html += '</div>';
@@ -6047,19 +6930,217 @@ class CalculadoraApp {
         html += '<table class="summary-table">';
         html += '<thead><tr><th>Concepto</th><th>Valor</th></tr></thead>';
         html += '<tbody>';
-        html += `<tr><td>Total por Año</td><td>$${yearTotal.toFixed(2)}</td></tr>`;
-        html += `<tr><td>Multiplicador (Años)</td><td>${yearsMultiplier}</td></tr>`;
+        html += `<tr><td>Total por Año</td><td>${this.formatMoney(yearTotal)}</td></tr>`;
+        html += `<tr><td>Multiplicador (Años)</td>${editableCell(yearsMultiplier, 'yearsMultiplier')}</tr>`;
         html += '<tr class="summary-grand-total">';
         html += '<td><strong>Total Acumulado Final:</strong></td>';
-        html += `<td><strong>$${yearsTotal.toFixed(2)}</strong></td>`;
+        html += `<td><strong>${this.formatMoney(yearsTotal)}</strong></td>`;
         html += '</tr>';
         html += '</tbody></table>';
         html += '</div>';
 
+        // 6. Proyección año por año con inflación
+        const projection = this.calculateYearsProjection(cleaningTotal, state.waterMonthlyTotal, multiplier, yearsMultiplier);
+        if (projection) {
+            const rates = this.getInflationRates();
+            html += '<div class="summary-section">';
+            html += '<h3 class="summary-section-title">📈 Proyección Año por Año (con Inflación)</h3>';
+            html += `<p class="summary-note">Inflación anual estimada: limpieza y aseo ${rates.cleaning}%, agua ${rates.water}%</p>`;
+            html += '<table class="summary-table">';
+            html += '<thead><tr><th>Año</th><th>Limpieza y Aseo</th><th>Agua</th><th>Total del Año</th><th>Acumulado</th></tr></thead>';
+            html += '<tbody>';
+            projection.rows.forEach(row => {
+                html += '<tr>';
+                html += `<td>${row.year}</td>`;
+                html += `<td>${this.formatMoney(row.cleaning)}</td>`;
+                html += `<td>${this.formatMoney(row.water)}</td>`;
+                html += `<td>${this.formatMoney(row.adjusted)}</td>`;
+                html += `<td>${this.formatMoney(row.cumulativeAdjusted)}</td>`;
+                html += '</tr>';
+            });
+            html += `<tr><td colspan="4">Total sin inflación (precios de hoy)</td><td>${this.formatMoney(projection.nominalTotal)}</td></tr>`;
+            html += '<tr class="summary-grand-total">';
+            html += '<td colspan="4"><strong>Total con Inflación:</strong></td>';
+            html += `<td><strong>${this.formatMoney(projection.adjustedTotal)}</strong></td>`;
+            html += '</tr>';
+            html += '</tbody></table>';
+            html += '</div>';
+        }
+
+        // 7. Impacto ambiental del agua embotellada
+        const impact = this.calculateWaterImpact(state.waterType, state.waterFrequency, yearsMultiplier);
+        if (impact) {
+            const yearsLabel = `${impact.years} ${impact.years === 1 ? 'Año' : 'Años'}`;
+            html += '<div class="summary-section">';
+            html += '<h3 class="summary-section-title">🌎 Impacto Ambiental</h3>';
+            if (impact.hasImpact) {
+                html += '<table class="summary-table">';
+                html += `<thead><tr><th>Concepto</th><th>Por Año</th><th>En ${yearsLabel}</th></tr></thead>`;
+                html += '<tbody>';
+                html += `<tr><td>${impact.containerPlural.charAt(0).toUpperCase() + impact.containerPlural.slice(1)} de plástico</td><td>${this.formatNumber(impact.perYear.containers)}</td><td>${this.formatNumber(impact.total.containers)}</td></tr>`;
+                html += `<tr><td>Plástico (kg)</td><td>${this.formatNumber(impact.perYear.plasticKg, 1)}</td><td>${this.formatNumber(impact.total.plasticKg, 1)}</td></tr>`;
+                html += '<tr class="summary-total-row">';
+                html += '<td><strong>CO₂ estimado (kg):</strong></td>';
+                html += `<td><strong>${this.formatNumber(impact.perYear.co2Kg, 1)}</strong></td>`;
+                html += `<td><strong>${this.formatNumber(impact.total.co2Kg, 1)}</strong></td>`;
+                html += '</tr>';
+                html += '</tbody></table>';
+            } else {
+                html += '<p class="summary-note">Con el tipo de agua elegido no se compran envases de plástico.</p>';
+            }
+            html += '</div>';
+        }
+
+        // 8. Análisis de ahorro con el sistema Pasteur
+        const analysis = this.calculatePasteurAnalysis(state.products, state.waterMonthlyTotal || 0);
+        if (analysis) {
+            html += '<div class="summary-section">';
+            html += '<h3 class="summary-section-title">💧 Ahorro con el Sistema Pasteur</h3>';
+            html += '<table class="summary-table">';
+            html += '<thead><tr><th>Concepto</th><th>Valor</th></tr></thead>';
+            html += '<tbody>';
+            html += `<tr><td>Ahorro en Limpieza y Aseo</td><td>${this.formatMoney(analysis.monthlySavings.cleaning)} / mes</td></tr>`;
+            html += `<tr><td>Ahorro en Agua</td><td>${this.formatMoney(analysis.monthlySavings.water)} / mes</td></tr>`;
+            html += `<tr><td>Mantenimiento</td><td>-${this.formatMoney(analysis.monthlySavings.maintenance)} / mes</td></tr>`;
+            html += `<tr><td>Ahorro Neto Mensual</td><td>${this.formatMoney(analysis.monthlySavings.total)}</td></tr>`;
+            html += `<tr><td>Inversión del Sistema</td><td>${this.formatMoney(analysis.initialCost)}</td></tr>`;
+            html += `<tr><td>Recuperación de la Inversión</td><td>${analysis.isWorthwhile ? `Mes ${analysis.breakEvenMonth}` : 'No se recupera'}</td></tr>`;
+            html += `<tr><td>Retorno (ROI)</td><td>${analysis.roi}%</td></tr>`;
+            html += '<tr class="summary-grand-total">';
+            html += `<td><strong>Ahorro en ${analysis.lifetime.years} Años:</strong></td>`;
+            html += `<td><strong>${this.formatMoney(analysis.lifetime.totalSavings)}</strong></td>`;
+            html += '</tr>';
+            html += '</tbody></table>';
+            html += '</div>';
+        }
+
         container.innerHTML = html;
         console.log('✅ Tabla de resumen generada correctamente');
     }
 
+    // Configurar la corrección de respuestas en una tabla (delegación sobre el contenedor)
+    setupAnswerEditing(containerId, onApplied) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const handleEdit = (e) => {
+            const cell = e.target.closest('.summary-editable');
+            if (!cell) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.editAnswer(cell.dataset.edit, cell.dataset.index === '' ? null : Number(cell.dataset.index), onApplied);
+        };
+        container.addEventListener('click', handleEdit);
+        container.addEventListener('touchend', handleEdit, { passive: false });
+    }
+
+    // Abrir el teclado numérico para corregir una respuesta (resumen o revisión)
+    editAnswer(field, index = null, onApplied = null) {
+        const state = this.gameState;
+        const product = index !== null ? state.products[index] : null;
+        const sliderRange = (sliderId, fallbackMax) => {
+            const slider = document.getElementById(sliderId);
+            return {
+                min: slider ? Number(slider.min) || 1 : 1,
+                max: slider ? Number(slider.max) || fallbackMax : fallbackMax
+            };
+        };
+        
+        let options = null;
+        if (field === 'price' && product) {
+            const productInfo = this.getProductInfo(product.product);
+            const unit = this.getUnitInfo(product.unit);
+            const range = (productInfo && productInfo.otherAmount) || { min: 1, max: 100 };
+            options = { title: `✏️ ${product.product}: precio por ${unit.singular}`, ...range, allowDecimals: true, isMoney: true };
+        } else if (field === 'quantity' && product) {
+            const unit = this.getUnitInfo(product.unit);
+            const range = this.catalog.quantityOtherAmount || { min: 1, max: 30 };
+            options = { title: `✏️ ${product.product}: ¿cuántas ${unit.plural} al mes?`, ...range, allowDecimals: false, isMoney: false };
+        } else if (field === 'waterFrequency') {
+            const frequencies = this.catalog.waterFrequencies || [];
+            const max = frequencies.length > 0 ? Math.max(...frequencies) : 9;
+            options = { title: '✏️ Compras de agua por semana', min: 1, max, allowDecimals: false, isMoney: false };
+        } else if (field === 'waterPrice') {
+            const range = this.catalog.waterPriceOtherAmount || { min: 0.5, max: 200 };
+            options = { title: '✏️ Precio por compra de agua', ...range, allowDecimals: true, isMoney: true };
+        } else if (field === 'multiplier') {
+            options = { title: '✏️ Multiplicador de meses', ...sliderRange('multiplier-slider', 12), allowDecimals: false, isMoney: false };
+        } else if (field === 'yearsMultiplier') {
+            options = { title: '✏️ Multiplicador de años', ...sliderRange('years-multiplier-slider', 100), allowDecimals: false, isMoney: false };
+        }
+        
+        if (!options) {
+            console.warn(`⚠️ Respuesta no editable: ${field}`);
+            return;
+        }
+        
+        this.openAmountKeypad({
+            ...options,
+            onConfirm: (value) => {
+                this.applyAnswerCorrection(field, index, value);
+                if (onApplied) onApplied();
+            }
+        });
+    }
+
+    // Aplicar una corrección y recalcular todos los totales
+    applyAnswerCorrection(field, index, value) {
+        console.log(`✏️ Corrección de respuesta: ${field}${index !== null ? ` [${index}]` : ''} = ${value}`);
+        
+        // La corrección también aplica a los pasos del historial que ya tenían esa respuesta
+        // (los multiplicadores se responden al salir de su pantalla: solo los pasos posteriores los tienen)
+        const answerScreen = { multiplier: 'multiplier', yearsMultiplier: 'years-multiplier' }[field];
+        const answeredAt = answerScreen ? this.screenHistory.findIndex(step => step.screen === answerScreen) : -1;
+        const history = answerScreen
+            ? this.screenHistory.filter((step, stepIndex) => answeredAt !== -1 && stepIndex > answeredAt)
+            : this.screenHistory;
+        [this.gameState, ...history.map(step => step.state)].forEach(state => {
+            this.applyAnswerEdit(state, field, index, value);
+            this.recalculateTotals(state);
+        });
+        
+        // Análisis de ahorro y comparación con el gasto típico del estado actual
+        this.gameState.pasteurAnalysis = this.calculatePasteurAnalysis(this.gameState.products, this.gameState.waterMonthlyTotal || 0);
+        this.classifySpending(this.gameState.monthlyTotal);
+        
+        console.log(`🔁 Totales recalculados: ${this.formatMoney(this.gameState.monthlyTotal)}/mes, ${this.formatMoney(this.gameState.yearsTotalAccumulated)} en ${this.gameState.yearsMultiplier} año(s)`);
+        this.saveSessionCheckpoint();
+    }
+
+    // Cambiar una respuesta dentro de un estado del juego (si esa respuesta ya existe en él)
+    applyAnswerEdit(state, field, index, value) {
+        if (field === 'price' || field === 'quantity') {
+            const product = state.products[index];
+            if (!product) return;
+            product[field] = value;
+            product.total = product.price * product.quantity;
+            // Una respuesta corregida ya no es la elegida por el timer
+            product.sources = { ...product.sources, [field]: 'user' };
+            // Un producto omitido vuelve a contar cuando tiene precio y cantidad
+            if (product.skipped && product.price > 0 && product.quantity > 0) delete product.skipped;
+        } else if (field === 'waterFrequency' || field === 'waterPrice') {
+            if (!state[field]) return;
+            state[field] = value;
+            state.waterMonthlyTotal = this.calculateWaterMonthlyTotal(state.waterPrice, state.waterFrequency);
+        } else if (field === 'multiplier' || field === 'yearsMultiplier') {
+            state[field] = value;
+        }
+    }
+
+    // Recalcular los totales derivados de las respuestas (mes, multiplicadores y proyección)
+    recalculateTotals(state) {
+        const cleaningTotal = state.products.reduce((sum, product) => sum + (product.total || 0), 0);
+        const waterMonthly = state.waterMonthlyTotal || 0;
+        
+        state.monthlyTotal = cleaningTotal + waterMonthly;
+        state.totalAccumulated = state.monthlyTotal * state.multiplier;
+        state.yearsTotalAccumulated = state.totalAccumulated * state.yearsMultiplier;
+        
+        const projection = this.calculateYearsProjection(cleaningTotal, waterMonthly, state.multiplier, state.yearsMultiplier);
+        state.yearsProjection = projection;
+        state.yearsTotalAdjusted = projection ? projection.adjustedTotal : state.yearsTotalAccumulated;
+    }
+
     // Descargar PDF del resumen
     downloadSummaryPDF() {
         console.log('📥 Iniciando descarga de PDF...');
@@ -6093,6 +7174,8 @@ class CalculadoraApp {
             console.log('✅ Documento PDF creado correctamente');
             
             const state = this.gameState;
+            // Montos con la moneda configurada (espacios simples para las fuentes del PDF)
+            const money = (amount) => this.formatMoney(amount, { plainSpaces: true });
             let yPosition = 20;
             const pageWidth = doc.internal.pageSize.getWidth();
             const margin = 15;
@@ -6159,12 +7242,14 @@ class CalculadoraApp {
             yPosition += 8;
 
             let cleaningTotal = 0;
+            let hasAutoSelected = false;
             if (state.products && state.products.length > 0) {
                 // Filtrar solo productos que tienen precio > 0 y cantidad > 0 para evitar mostrar productos vacíos o duplicados
+                // (los omitidos por tiempo se listan como "Omitido")
                 const validProducts = state.products.filter(product => {
                     const hasPrice = product.price && product.price > 0;
                     const hasQuantity = product.quantity && product.quantity > 0;
-                    return hasPrice && hasQuantity;
+                    return (hasPrice && hasQuantity) || product.skipped;
                 });
                 
                 validProducts.forEach(product => {
@@ -6172,18 +7257,33 @@ class CalculadoraApp {
                         doc.addPage();
                         yPosition = 20;
                     }
-                    const productInfo = PRODUCT_DATA.products.find(p => p.name === product.product);
+                    const productInfo = this.getProductInfo(product.product);
                     // Solo mostrar el nombre del producto directamente, sin emoji ni viñeta
                     // Asegurar que todos los valores sean cadenas
+                    // "*" marca las respuestas elegidas automáticamente por el timer
+                    const sources = product.sources || {};
+                    const autoMark = (field) => sources[field] === 'timeout' ? ' *' : '';
+                    hasAutoSelected = hasAutoSelected || Boolean(autoMark('price') || autoMark('quantity'));
                     const productName = String(product.product || 'Producto');
-                    const productPrice = typeof product.price === 'number' ? product.price.toFixed(2) : '0.00';
-                    const productQuantity = String(product.quantity || 0);
-                    const productTotal = typeof product.total === 'number' ? product.total.toFixed(2) : '0.00';
+                    const productPrice = product.skipped && !(product.price > 0)
+                        ? `Omitido${autoMark('price')}`
+                        : `${money(typeof product.price === 'number' ? product.price : 0)}${autoMark('price')}`;
+                    const productQuantity = product.skipped
+                        ? `Omitido${autoMark('quantity')}`
+                        : `${this.formatQuantityWithUnit(product.quantity, product.unit)}${autoMark('quantity')}`;
+                    const productTotal = money(typeof product.total === 'number' ? product.total : 0);
                     
                     doc.text(productName, margin, yPosition);
-                    doc.text(`$${productPrice}`, margin + 60, yPosition);
+                    doc.text(productPrice, margin + 60, yPosition);
                     doc.text(productQuantity, margin + 90, yPosition);
-                    doc.text(`$${productTotal}`, margin + 130, yPosition);
+                    doc.text(productTotal, margin + 130, yPosition);
+                    // Integrante del hogar en una segunda línea (el nombre del producto ya ocupa la columna)
+                    if (product.member) {
+                        yPosition += 4;
+                        doc.setFontSize(8);
+                        doc.text(`Para: ${String(product.member)}`, margin + 3, yPosition);
+                        doc.setFontSize(10);
+                    }
                     yPosition += 7;
                     cleaningTotal += (product.total || 0);
                 });
@@ -6195,8 +7295,42 @@ class CalculadoraApp {
             }
             doc.setFont('helvetica', 'bold');
             doc.text('Total Gastos de Limpieza y Aseo:', margin, yPosition);
-            doc.text(`$${cleaningTotal.toFixed(2)}`, margin + 130, yPosition);
+            doc.text(`${money(cleaningTotal)}`, margin + 130, yPosition);
             yPosition += 10;
+            if (hasAutoSelected) {
+                doc.setFont('helvetica', 'italic');
+                doc.setFontSize(8);
+                doc.text('* Elegido automáticamente al agotarse el tiempo', margin, yPosition - 4);
+                doc.setFontSize(10);
+                yPosition += 4;
+            }
+
+            // Gasto por integrante del hogar
+            const memberBreakdown = this.calculateMemberBreakdown(state.products || []);
+            if (memberBreakdown.length > 0) {
+                if (yPosition > 240) {
+                    doc.addPage();
+                    yPosition = 20;
+                }
+                doc.setFontSize(12);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(102, 126, 234);
+                doc.text('• Gasto por Integrante', margin, yPosition);
+                yPosition += 7;
+                
+                doc.setFontSize(10);
+                doc.setTextColor(0, 0, 0);
+                memberBreakdown.forEach(row => {
+                    if (yPosition > 250) {
+                        doc.addPage();
+                        yPosition = 20;
+                    }
+                    doc.text(String(row.label), margin, yPosition);
+                    doc.text(money(row.total), margin + 130, yPosition);
+                    yPosition += 6;
+                });
+                yPosition += 4;
+            }
 
             // 2. Gastos de Agua
             if (yPosition > 250) {
@@ -6212,7 +7346,7 @@ class CalculadoraApp {
             doc.setFontSize(10);
             doc.setTextColor(0, 0, 0);
             doc.setFont('helvetica', 'normal');
-            const waterTypeInfo = PRODUCT_DATA.waterTypes.find(wt => wt.value === state.waterType);
+            const waterTypeInfo = this.getWaterTypeInfo(state.waterType);
             // Solo mostrar el nombre del tipo de agua sin emoji
             const waterTypeName = waterTypeInfo ? String(waterTypeInfo.name) : 'No seleccionado';
             doc.text(`Tipo de Agua: ${waterTypeName}`, margin, yPosition);
@@ -6223,14 +7357,14 @@ class CalculadoraApp {
                 yPosition += 6;
             }
             if (state.waterPrice) {
-                const waterPrice = typeof state.waterPrice === 'number' ? state.waterPrice.toFixed(2) : '0.00';
-                doc.text(`Precio por Compra: $${waterPrice}`, margin, yPosition);
+                const waterPrice = money(typeof state.waterPrice === 'number' ? state.waterPrice : 0);
+                doc.text(`Precio por Compra: ${waterPrice}`, margin, yPosition);
                 yPosition += 6;
             }
             doc.setFont('helvetica', 'bold');
             doc.text('Total Gastos de Agua al Mes:', margin, yPosition);
-            const waterMonthlyTotal = typeof state.waterMonthlyTotal === 'number' ? state.waterMonthlyTotal.toFixed(2) : '0.00';
-            doc.text(`$${waterMonthlyTotal}`, margin + 130, yPosition);
+            const waterMonthlyTotal = money(typeof state.waterMonthlyTotal === 'number' ? state.waterMonthlyTotal : 0);
+            doc.text(waterMonthlyTotal, margin + 130, yPosition);
             yPosition += 10;
 
             // 3. Sumatoria General
@@ -6248,13 +7382,13 @@ class CalculadoraApp {
             doc.setTextColor(0, 0, 0);
             const waterMonthlyTotalNum = typeof state.waterMonthlyTotal === 'number' ? state.waterMonthlyTotal : 0;
             const generalTotal = cleaningTotal + waterMonthlyTotalNum;
-            doc.text(`Gastos de Limpieza y Aseo: $${cleaningTotal.toFixed(2)}`, margin, yPosition);
+            doc.text(`Gastos de Limpieza y Aseo: ${money(cleaningTotal)}`, margin, yPosition);
             yPosition += 6;
-            doc.text(`Gastos de Agua al Mes: $${waterMonthlyTotalNum.toFixed(2)}`, margin, yPosition);
+            doc.text(`Gastos de Agua al Mes: ${money(waterMonthlyTotalNum)}`, margin, yPosition);
             yPosition += 6;
             doc.setFont('helvetica', 'bold');
             doc.text('Total General Mensual:', margin, yPosition);
-            doc.text(`$${generalTotal.toFixed(2)}`, margin + 130, yPosition);
+            doc.text(`${money(generalTotal)}`, margin + 130, yPosition);
             yPosition += 10;
 
             // 4. Multiplicador de 12 Meses
@@ -6272,13 +7406,13 @@ class CalculadoraApp {
             doc.setTextColor(0, 0, 0);
             const multiplier = Number(state.multiplier) || 12;
             const yearTotal = generalTotal * multiplier;
-            doc.text(`Total Mensual: $${generalTotal.toFixed(2)}`, margin, yPosition);
+            doc.text(`Total Mensual: ${money(generalTotal)}`, margin, yPosition);
             yPosition += 6;
             doc.text(`Multiplicador (Meses): ${String(multiplier)}`, margin, yPosition);
             yPosition += 6;
             doc.setFont('helvetica', 'bold');
             doc.text('Total por Año:', margin, yPosition);
-            doc.text(`$${yearTotal.toFixed(2)}`, margin + 130, yPosition);
+            doc.text(`${money(yearTotal)}`, margin + 130, yPosition);
             yPosition += 10;
 
             // 5. Multiplicador de Años
@@ -6296,7 +7430,7 @@ class CalculadoraApp {
             doc.setTextColor(0, 0, 0);
             const yearsMultiplier = Number(state.yearsMultiplier) || 1;
             const finalYearsTotal = yearTotal * yearsMultiplier;
-            doc.text(`Total por Año: $${yearTotal.toFixed(2)}`, margin, yPosition);
+            doc.text(`Total por Año: ${money(yearTotal)}`, margin, yPosition);
             yPosition += 6;
             doc.text(`Multiplicador (Años): ${String(yearsMultiplier)}`, margin, yPosition);
             yPosition += 10;
@@ -6314,13 +7448,221 @@ class CalculadoraApp {
             doc.setFontSize(16);
             doc.setFont('helvetica', 'bold');
             doc.setTextColor(255, 0, 0); // Rojo
-            const totalText = `Total Acumulado Final: $${finalYearsTotal.toFixed(2)}`;
+            const totalText = `Total Acumulado Final: ${money(finalYearsTotal)}`;
             const textWidth = doc.getTextWidth(totalText);
             const textX = margin + (cellWidth - textWidth) / 2; // Centrar texto
             doc.text(totalText, textX, cellY + 11);
             
             yPosition += cellHeight + 15;
             
+            // 6. Proyección año por año con inflación
+            const projection = this.calculateYearsProjection(cleaningTotal, waterMonthlyTotalNum, multiplier, yearsMultiplier);
+            if (projection) {
+                if (yPosition > 230) {
+                    doc.addPage();
+                    yPosition = 20;
+                }
+                const rates = this.getInflationRates();
+                doc.setFontSize(14);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(102, 126, 234);
+                doc.text('• Proyección Año por Año (con Inflación)', margin, yPosition);
+                yPosition += 7;
+                
+                doc.setFontSize(9);
+                doc.setTextColor(100, 100, 100);
+                doc.text(`Inflación anual estimada: limpieza y aseo ${rates.cleaning}%, agua ${rates.water}%`, margin, yPosition);
+                yPosition += 7;
+                
+                const drawProjectionHeader = () => {
+                    doc.setFontSize(10);
+                    doc.setFont('helvetica', 'bold');
+                    doc.setTextColor(0, 0, 0);
+                    doc.text('Año', margin, yPosition);
+                    doc.text('Limpieza y Aseo', margin + 20, yPosition);
+                    doc.text('Agua', margin + 65, yPosition);
+                    doc.text('Total del Año', margin + 100, yPosition);
+                    doc.text('Acumulado', margin + 140, yPosition);
+                    yPosition += 6;
+                    doc.setFont('helvetica', 'normal');
+                };
+                drawProjectionHeader();
+                
+                projection.rows.forEach(row => {
+                    if (yPosition > 270) {
+                        doc.addPage();
+                        yPosition = 20;
+                        drawProjectionHeader();
+                    }
+                    doc.text(String(row.year), margin, yPosition);
+                    doc.text(money(row.cleaning), margin + 20, yPosition);
+                    doc.text(money(row.water), margin + 65, yPosition);
+                    doc.text(money(row.adjusted), margin + 100, yPosition);
+                    doc.text(money(row.cumulativeAdjusted), margin + 140, yPosition);
+                    yPosition += 6;
+                });
+                
+                if (yPosition > 255) {
+                    doc.addPage();
+                    yPosition = 20;
+                }
+                yPosition += 2;
+                doc.text('Total sin inflación (precios de hoy):', margin, yPosition);
+                doc.text(money(projection.nominalTotal), margin + 140, yPosition);
+                yPosition += 6;
+                doc.setFont('helvetica', 'bold');
+                doc.text('Total con Inflación:', margin, yPosition);
+                doc.text(money(projection.adjustedTotal), margin + 140, yPosition);
+                yPosition += 12;
+            }
+            
+            // 7. Impacto ambiental (página propia)
+            const impact = this.calculateWaterImpact(state.waterType, state.waterFrequency, yearsMultiplier);
+            if (impact) {
+                doc.addPage();
+                yPosition = 20;
+                
+                doc.setFontSize(18);
+                doc.setFont('helvetica', 'bold');
+                doc.setTextColor(34, 139, 34);
+                doc.text('Impacto Ambiental', margin, yPosition);
+                yPosition += 12;
+                
+                doc.setFontSize(10);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(0, 0, 0);
+                if (impact.hasImpact) {
+                    const yearsLabel = `${impact.years} ${impact.years === 1 ? 'año' : 'años'}`;
+                    const impactRows = [
+                        [`${impact.containerPlural.charAt(0).toUpperCase() + impact.containerPlural.slice(1)} de plástico:`, this.formatNumber(impact.perYear.containers), this.formatNumber(impact.total.containers)],
+                        ['Plástico (kg):', this.formatNumber(impact.perYear.plasticKg, 1), this.formatNumber(impact.total.plasticKg, 1)],
+                        ['CO2 estimado (kg):', this.formatNumber(impact.perYear.co2Kg, 1), this.formatNumber(impact.total.co2Kg, 1)]
+                    ];
+                    
+                    doc.setFont('helvetica', 'bold');
+                    doc.text('Concepto', margin, yPosition);
+                    doc.text('Por año', margin + 90, yPosition);
+                    doc.text(`En ${yearsLabel}`, margin + 130, yPosition);
+                    yPosition += 7;
+                    doc.setFont('helvetica', 'normal');
+                    impactRows.forEach(([label, perYear, total]) => {
+                        doc.text(label, margin, yPosition);
+                        doc.text(perYear, margin + 90, yPosition);
+                        doc.text(total, margin + 130, yPosition);
+                        yPosition += 6;
+                    });
+                    yPosition += 6;
+                    
+                    const impactPhrase = `En ${yearsLabel} su hogar podría dejar de desechar ${this.formatNumber(impact.total.containers)} ${impact.containerPlural} y evitar ${this.formatNumber(impact.total.co2Kg, 1)} kg de CO2.`;
+                    const impactLines = doc.splitTextToSize(impactPhrase, maxWidth);
+                    doc.text(impactLines, margin, yPosition);
+                    yPosition += (Array.isArray(impactLines) ? impactLines.length : 1) * 6 + 6;
+                } else {
+                    doc.text('Con el tipo de agua elegido no se compran envases de plástico.', margin, yPosition);
+                    yPosition += 12;
+                }
+            }
+            
+            // 8. Ahorro con el sistema Pasteur
+            const analysis = this.calculatePasteurAnalysis(state.products || [], waterMonthlyTotalNum);
+            if (analysis) {
+                if (yPosition > 210) {
+                    doc.addPage();
+                    yPosition = 20;
+                }
+                doc.setFontSize(14);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(102, 126, 234);
+                doc.text('• Ahorro con el Sistema Pasteur', margin, yPosition);
+                yPosition += 8;
+                
+                doc.setFontSize(10);
+                doc.setTextColor(0, 0, 0);
+                const analysisRows = [
+                    ['Ahorro en Limpieza y Aseo:', `${money(analysis.monthlySavings.cleaning)} / mes`],
+                    ['Ahorro en Agua:', `${money(analysis.monthlySavings.water)} / mes`],
+                    ['Mantenimiento:', `-${money(analysis.monthlySavings.maintenance)} / mes`],
+                    ['Ahorro Neto Mensual:', money(analysis.monthlySavings.total)],
+                    ['Inversión del Sistema:', money(analysis.initialCost)],
+                    ['Recuperación de la Inversión:', analysis.isWorthwhile ? `Mes ${analysis.breakEvenMonth}` : 'No se recupera'],
+                    ['Retorno (ROI):', `${analysis.roi}%`]
+                ];
+                analysisRows.forEach(([label, value]) => {
+                    doc.text(label, margin, yPosition);
+                    doc.text(value, margin + 130, yPosition);
+                    yPosition += 6;
+                });
+                doc.setFont('helvetica', 'bold');
+                doc.text(`Ahorro en ${analysis.lifetime.years} Años:`, margin, yPosition);
+                doc.text(money(analysis.lifetime.totalSavings), margin + 130, yPosition);
+                yPosition += 12;
+            }
+            
+            // 9. Plan de financiamiento
+            const financingPlan = this.getFinancingPlan();
+            if (financingPlan) {
+                const comparison = this.financing.compareWithSpending(financingPlan, this.getMonthlySpending(state));
+                if (yPosition > 200) {
+                    doc.addPage();
+                    yPosition = 20;
+                }
+                doc.setFontSize(14);
+                doc.setFont('helvetica', 'normal');
+                doc.setTextColor(102, 126, 234);
+                doc.text('• Plan de Financiamiento', margin, yPosition);
+                yPosition += 8;
+                
+                doc.setFontSize(10);
+                doc.setTextColor(0, 0, 0);
+                const financingRows = [
+                    ['Precio del Sistema:', money(financingPlan.price)],
+                    ['Pago Inicial:', money(financingPlan.downPayment)],
+                    ['Tasa de Interés Anual:', financingPlan.annualRate === 0 ? '0% (sin intereses)' : `${financingPlan.annualRate}%`],
+                    ['Número de Cuotas:', String(financingPlan.installments)],
+                    ['Total a Pagar:', money(financingPlan.totalPaid)],
+                    ['Gasto Mensual Actual:', money(comparison.monthlySpending)]
+                ];
+                financingRows.forEach(([label, value]) => {
+                    doc.text(label, margin, yPosition);
+                    doc.text(value, margin + 130, yPosition);
+                    yPosition += 6;
+                });
+                doc.setFont('helvetica', 'bold');
+                doc.text('Cuota Mensual:', margin, yPosition);
+                doc.text(money(financingPlan.monthlyPayment), margin + 130, yPosition);
+                yPosition += 10;
+                
+                // Tabla de amortización
+                const drawScheduleHeader = () => {
+                    doc.setFontSize(10);
+                    doc.setFont('helvetica', 'bold');
+                    doc.setTextColor(0, 0, 0);
+                    doc.text('Cuota', margin, yPosition);
+                    doc.text('Pago', margin + 25, yPosition);
+                    doc.text('Capital', margin + 60, yPosition);
+                    doc.text('Interés', margin + 95, yPosition);
+                    doc.text('Saldo', margin + 130, yPosition);
+                    yPosition += 6;
+                    doc.setFont('helvetica', 'normal');
+                };
+                drawScheduleHeader();
+                
+                financingPlan.schedule.forEach(row => {
+                    if (yPosition > 270) {
+                        doc.addPage();
+                        yPosition = 20;
+                        drawScheduleHeader();
+                    }
+                    doc.text(String(row.number), margin, yPosition);
+                    doc.text(money(row.payment), margin + 25, yPosition);
+                    doc.text(money(row.principal), margin + 60, yPosition);
+                    doc.text(money(row.interest), margin + 95, yPosition);
+                    doc.text(money(row.balance), margin + 130, yPosition);
+                    yPosition += 6;
+                });
+                yPosition += 8;
+            }
+            
             // Frase final
             if (yPosition > 250) {
                 doc.addPage();
@@ -6331,11 +7673,8 @@ class CalculadoraApp {
             doc.setFont('helvetica', 'normal');
             doc.setTextColor(0, 0, 0);
             
-            // Formatear el monto con separadores de miles
-            const formattedTotal = finalYearsTotal.toLocaleString('es-ES', { 
-                minimumFractionDigits: 2, 
-                maximumFractionDigits: 2 
-            });
+            // Formatear el monto con la moneda configurada
+            const formattedTotal = money(finalYearsTotal);
             
             // Obtener información del usuario para aplicar lógica de género y plural
             // Nota: userName ya fue declarado anteriormente en la función, reutilizamos esa variable
@@ -6344,9 +7683,9 @@ class CalculadoraApp {
             // Construir el mensaje final con lógica de género y plural
             let finalPhrase1;
             if (nameInfo.isPlural) {
-                finalPhrase1 = `${userName}, En ${yearsMultiplier} año${yearsMultiplier > 1 ? 's' : ''}, con estos números ustedes pueden gastar $${formattedTotal}… Esto sin calcular gastos de transporte, aumentos de precio, riesgos en la salud, etc.`;
+                finalPhrase1 = `${userName}, En ${yearsMultiplier} año${yearsMultiplier > 1 ? 's' : ''}, con estos números ustedes pueden gastar ${formattedTotal}… Esto sin calcular gastos de transporte, aumentos de precio, riesgos en la salud, etc.`;
             } else {
-                finalPhrase1 = `${userName}, En ${yearsMultiplier} año${yearsMultiplier > 1 ? 's' : ''}, con estos números usted puede gastar $${formattedTotal}… Esto sin calcular gastos de transporte, aumentos de precio, riesgos en la salud, etc.`;
+                finalPhrase1 = `${userName}, En ${yearsMultiplier} año${yearsMultiplier > 1 ? 's' : ''}, con estos números usted puede gastar ${formattedTotal}… Esto sin calcular gastos de transporte, aumentos de precio, riesgos en la salud, etc.`;
             }
             
             const finalPhrase2 = 'Tiene la opción de invertir, muchísimo menos y desde hoy cambiar completamente esa historia.';
@@ -6409,14 +7748,14 @@ class CalculadoraApp {
                     downloadLink.click();
                     
                     // Limpiar después de un delay
-                    setTimeout(() => {
+                    this.schedule(() => {
                         document.body.removeChild(downloadLink);
                         URL.revokeObjectURL(blobUrl);
                         console.log('✅ PDF descargado correctamente en móvil:', fileName);
                     }, 100);
                     
                     // Mostrar mensaje de confirmación para móviles
-                    setTimeout(() => {
+                    this.schedule(() => {
                         alert('✅ PDF descargado correctamente. Revisa tu carpeta de descargas.');
                     }, 500);
                 } else {
@@ -6431,7 +7770,7 @@ class CalculadoraApp {
                     console.log('✅ PDF descargado correctamente:', fileName);
                     
                     // Mostrar mensaje de confirmación
-                    setTimeout(() => {
+                    this.schedule(() => {
                         console.log('✅ Descarga de PDF completada exitosamente');
                     }, 100);
                 }
@@ -6449,7 +7788,7 @@ class CalculadoraApp {
                     downloadLink.style.display = 'none';
                     document.body.appendChild(downloadLink);
                     downloadLink.click();
-                    setTimeout(() => {
+                    this.schedule(() => {
                         document.body.removeChild(downloadLink);
                         URL.revokeObjectURL(blobUrl);
                     }, 100);
@@ -6479,270 +7818,14 @@ class CalculadoraApp {
         }
     }
 
-    // Iniciar narración de simulación de agua
+    // Narración de simulación de agua
     startWaterSimulationNarration() {
-        console.log('🎤 Iniciando narración de simulación de agua...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (simulación de agua)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto con el nombre del usuario
-                let simulationText;
-                const nameInfo = this.getUserNameInfo();
-                if (nameInfo.displayName) {
-                    if (nameInfo.isPlural) {
-                        simulationText = `${nameInfo.displayName}, no se preocupen, ustedes hoy tienen la solución en sus manos, así que hagamos una simulación de gastos de agua.`;
-                    } else {
-                        simulationText = `${nameInfo.displayName}, no se preocupe, usted hoy tiene la solución en sus manos, así que hagamos una simulación de gastos de agua.`;
-                    }
-                } else {
-                    simulationText = 'No se preocupe, usted hoy tiene la solución en sus manos, así que hagamos una simulación de gastos de agua.';
-                }
-                
-                // Crear utterance
-                const utterance = new SpeechSynthesisUtterance(simulationText);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95; // Velocidad natural
-                utterance.pitch = 1.5; // Pitch alto para voz femenina
-                utterance.volume = 1.0;
-
-                // Usar la voz centralizada seleccionada para toda la aplicación
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                    console.log('✅ Usando voz centralizada para simulación de agua:', spanishVoice.name);
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                    console.log('⚠️ Usando voz predeterminada (fallback) para simulación de agua:', voices[0].name);
-                }
-
-                // Guardar referencia para poder detenerla
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la narración
-                utterance.onend = () => {
-                    console.log('✅ Narración de simulación de agua completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de simulación de agua:', event.error);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de simulación de agua iniciada');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para simulación de agua (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para simulación de agua');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para simulación de agua:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para simulación de agua');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de simulación de agua:', error);
-            this.isNarrating = false;
-        }
+        return this.narrate('water-simulation');
     }
 
-    // Iniciar narración de tipo de agua
+    // Narración de tipo de agua
     startWaterTypeNarration() {
-        console.log('🎤 Iniciando narración de tipo de agua...');
-        
-        // Verificar si SpeechSynthesis está disponible
-        if (!('speechSynthesis' in window)) {
-            console.error('❌ SpeechSynthesis no está disponible en este navegador');
-            return;
-        }
-
-        // Prevenir múltiples llamadas simultáneas
-        if (this.isNarrating) {
-            console.log('⚠️ Narración ya en curso, ignorando llamada duplicada');
-            return;
-        }
-
-        try {
-            // Detener cualquier narración previa
-            this.stopWelcomeNarration();
-            speechSynthesis.cancel();
-            
-            // Marcar que estamos narrando
-            this.isNarrating = true;
-
-            // Función para iniciar la narración
-            const startSpeaking = () => {
-                console.log('🗣️ Preparando para hablar (tipo de agua)...');
-                
-                // Verificar que speechSynthesis siga disponible
-                if (!('speechSynthesis' in window)) {
-                    console.error('❌ SpeechSynthesis ya no está disponible');
-                    this.isNarrating = false;
-                    return;
-                }
-
-                // Texto corregido y mejorado con el nombre del usuario y tratamiento correcto
-                const nameInfo = this.getUserNameInfo();
-                let waterTypeText;
-                if (nameInfo.displayName) {
-                    if (nameInfo.isPlural) {
-                        waterTypeText = `Ahora, ${nameInfo.displayName}, hablemos del agua que consumen. Será rápido, así que ¿atentos?`;
-                    } else {
-                        waterTypeText = `Ahora, ${nameInfo.displayName}, hablemos del agua que consumes. Será rápido, así que ¿atentos?`;
-                    }
-                } else {
-                    waterTypeText = 'Ahora hablemos del agua que consumes. Será rápido, así que ¿atentos?';
-                }
-                
-                // Crear utterance
-                const utterance = new SpeechSynthesisUtterance(waterTypeText);
-                utterance.lang = 'es-ES';
-                utterance.rate = 0.95; // Velocidad natural
-                utterance.pitch = 1.5; // Pitch alto para voz femenina
-                utterance.volume = 1.0;
-
-                // Usar la voz centralizada seleccionada para toda la aplicación
-                const spanishVoice = this.selectVoice();
-                const voices = speechSynthesis.getVoices();
-                
-                if (spanishVoice) {
-                    utterance.voice = spanishVoice;
-                    utterance.pitch = 1.5;
-                    console.log('✅ Usando voz centralizada para tipo de agua:', spanishVoice.name);
-                } else if (voices.length > 0) {
-                    utterance.voice = voices[0];
-                    utterance.pitch = 1.6;
-                    console.log('⚠️ Usando voz predeterminada (fallback) para tipo de agua:', voices[0].name);
-                }
-
-                // Guardar referencia para poder detenerla
-                this.currentUtterance = utterance;
-
-                // Evento cuando termine la narración
-                utterance.onend = () => {
-                    console.log('✅ Narración de tipo de agua completada');
-                    this.currentUtterance = null;
-                    this.isNarrating = false;
-                };
-
-                // Evento de error
-                utterance.onerror = (event) => {
-                    console.error('❌ Error en la narración de tipo de agua:', event.error);
-                    this.isNarrating = false;
-                    this.currentUtterance = null;
-                };
-
-                // Evento cuando comienza
-                utterance.onstart = () => {
-                    console.log('🔊 Narración de tipo de agua iniciada');
-                };
-
-                // Iniciar la narración
-                try {
-                    if (speechSynthesis.speaking || speechSynthesis.pending) {
-                        speechSynthesis.cancel();
-                        setTimeout(() => {
-                            speechSynthesis.speak(utterance);
-                            console.log('🎤 Comando speak() ejecutado para tipo de agua (después de cancelar)');
-                        }, 100);
-                    } else {
-                        speechSynthesis.speak(utterance);
-                        console.log('🎤 Comando speak() ejecutado para tipo de agua');
-                    }
-                } catch (speakError) {
-                    console.error('❌ Error al ejecutar speak() para tipo de agua:', speakError);
-                    this.isNarrating = false;
-                }
-            };
-
-            // Verificar si las voces ya están cargadas
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-                startSpeaking();
-            } else {
-                speechSynthesis.onvoiceschanged = () => {
-                    startSpeaking();
-                };
-                setTimeout(() => {
-                    if (speechSynthesis.getVoices().length > 0) {
-                        startSpeaking();
-                    } else {
-                        console.warn('⚠️ No se pudieron cargar las voces para tipo de agua');
-                        this.isNarrating = false;
-                    }
-                }, 1000);
-            }
-
-        } catch (error) {
-            console.error('❌ Error al iniciar la narración de tipo de agua:', error);
-            this.isNarrating = false;
-        }
+        return this.narrate('water-type');
     }
 }
 
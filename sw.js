@@ -1,7 +1,7 @@
 // Service Worker para PWA - Calculadora de Gastos
 // Versión del cache
-const CACHE_NAME = 'calculadora-gastos-v1.0.0';
-const CACHE_VERSION = '1.0.0';
+const CACHE_NAME = 'calculadora-gastos-v1.12.0';
+const CACHE_VERSION = '1.12.0';
 
 // Archivos esenciales que se deben cachear para funcionar offline
 const FILES_TO_CACHE = [
@@ -9,6 +9,19 @@ const FILES_TO_CACHE = [
   './index.html',
   './styles/main.css',
   './JS/app.js',
+  './JS/CatalogLoader.js',
+  './JS/DataStorage.js',
+  './JS/MoneyFormatter.js',
+  './JS/CalculatorModule.js',
+  './JS/FinancingCalculator.js',
+  './JS/ImpactCalculator.js',
+  './JS/BenchmarkCalculator.js',
+  './JS/ScreenFlow.js',
+  './JS/PauseController.js',
+  './JS/IdleMonitor.js',
+  './JS/NarrationService.js',
+  './JS/NarrationClips.js',
+  './catalog.json',
   './styles/Logo/d856f2_cf6bc381d9fb47c6ad407ae5095cc914~mv2.png',
   './styles/tanque/479bf1_05ef7700946d43d7a32166d486d18115f000.avif',
   './styles/tanque completo/1000475288.png',